@@ -0,0 +1,201 @@
+/**
+ * Local searchable catalog of meta JSONL records.
+ *
+ * The catalog lives under `<outputDir>/catalog/` as one shard per month
+ * (`catalog/YYYY/YYYY-MM.jsonl`) plus a `manifest.json` that remembers the
+ * size and mtime of the meta file each shard was built from, so updates only
+ * rebuild months whose meta changed. Each shard row keeps the original meta
+ * record, its local PDF path and a normalized search text.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG_VERSION = 1;
+
+// Normalize text for matching: NFC, lowercase, no zero-width characters,
+// Thai SARA AM typed as NIKHAHIT + SARA AA folded into one, single spaces
+function normalizeText(text) {
+  return String(text)
+    .normalize('NFC')
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .replace(/\u0E4D\u0E32/g, '\u0E33')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function catalogDir(outputDir) {
+  return path.join(outputDir, 'catalog');
+}
+
+function shardPath(outputDir, month) {
+  return path.join(catalogDir(outputDir), month.slice(0, 4), `${month}.jsonl`);
+}
+
+function loadManifest(outputDir) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(catalogDir(outputDir), 'manifest.json'), 'utf-8'));
+    if (manifest.version === CATALOG_VERSION) return manifest;
+  } catch {
+    // Missing or unreadable: start over
+  }
+  return { version: CATALOG_VERSION, months: {} };
+}
+
+function saveManifest(outputDir, manifest) {
+  fs.mkdirSync(catalogDir(outputDir), { recursive: true });
+  fs.writeFileSync(path.join(catalogDir(outputDir), 'manifest.json'), JSON.stringify(manifest, null, 2));
+}
+
+// Local meta files, keyed by month
+function listMetaFiles(outputDir) {
+  const metaDir = path.join(outputDir, 'meta');
+  const files = new Map();
+  if (!fs.existsSync(metaDir)) return files;
+
+  for (const year of fs.readdirSync(metaDir)) {
+    const yearDir = path.join(metaDir, year);
+    if (!fs.statSync(yearDir).isDirectory()) continue;
+
+    for (const name of fs.readdirSync(yearDir)) {
+      const match = name.match(/^(\d{4}-\d{2})\.jsonl$/);
+      if (match) files.set(match[1], path.join(yearDir, name));
+    }
+  }
+  return files;
+}
+
+// Build the shard rows for one month's meta file
+function buildShard(month, metaPath) {
+  const lines = fs.readFileSync(metaPath, 'utf-8').split('\n').filter(line => line.trim());
+  const rows = [];
+
+  for (const line of lines) {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    const values = Object.values(record).filter(v => v !== null && typeof v !== 'object');
+    rows.push({
+      month,
+      pdf: record.pdf_file ? `pdf/${month.slice(0, 4)}/${month}/${record.pdf_file}` : null,
+      text: normalizeText(values.join(' ')),
+      record,
+    });
+  }
+
+  return rows;
+}
+
+// Bring the catalog up to date with the local meta files. Only months whose
+// meta file changed since the last update are rebuilt; shards of months whose
+// meta file is gone are dropped. Pass `months` to limit the update to those.
+// Returns { updated, removed, months, records }.
+function updateCatalog(outputDir, { months = null } = {}) {
+  const manifest = loadManifest(outputDir);
+  const metaFiles = listMetaFiles(outputDir);
+  const updated = [];
+  const removed = [];
+
+  for (const [month, metaPath] of metaFiles) {
+    if (months && !months.includes(month)) continue;
+
+    const stats = fs.statSync(metaPath);
+    const known = manifest.months[month];
+    if (known && known.metaSize === stats.size && known.metaMtimeMs === stats.mtimeMs &&
+      fs.existsSync(shardPath(outputDir, month))) {
+      continue;
+    }
+
+    const rows = buildShard(month, metaPath);
+    const target = shardPath(outputDir, month);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : ''));
+
+    manifest.months[month] = {
+      metaSize: stats.size,
+      metaMtimeMs: stats.mtimeMs,
+      records: rows.length,
+      updatedAt: new Date().toISOString(),
+    };
+    updated.push(month);
+  }
+
+  for (const month of Object.keys(manifest.months)) {
+    if (months && !months.includes(month)) continue;
+    if (metaFiles.has(month)) continue;
+
+    fs.rmSync(shardPath(outputDir, month), { force: true });
+    delete manifest.months[month];
+    removed.push(month);
+  }
+
+  if (updated.length > 0 || removed.length > 0) {
+    saveManifest(outputDir, manifest);
+  }
+
+  const entries = Object.values(manifest.months);
+  return {
+    updated,
+    removed,
+    months: entries.length,
+    records: entries.reduce((a, m) => a + m.records, 0),
+  };
+}
+
+// Search the catalog.
+//   terms  - free text terms (words or phrases) that must all appear in the record
+//   where  - predicate on the original meta record
+//   from/to - month bounds (YYYY-MM, inclusive)
+//   limit  - return at most this many matches
+// Returns { matches, total } where total counts all matches, not just those returned.
+function searchCatalog(outputDir, { terms = [], where = null, from = null, to = null, limit = Infinity } = {}) {
+  const manifest = loadManifest(outputDir);
+  terms = terms.map(normalizeText).filter(Boolean);
+  const matches = [];
+  let total = 0;
+
+  const months = Object.keys(manifest.months)
+    .filter(month => (!from || month >= from) && (!to || month <= to))
+    .sort()
+    .reverse(); // newest first
+
+  for (const month of months) {
+    const file = shardPath(outputDir, month);
+    if (!fs.existsSync(file)) continue;
+
+    const lines = fs.readFileSync(file, 'utf-8').split('\n');
+    for (const line of lines) {
+      if (!line) continue;
+
+      // Cheap pre-check on the raw line before parsing (terms JSON would escape can't be checked raw)
+      if (!terms.every(term => /["\\]/.test(term) || line.includes(term))) continue;
+
+      const row = JSON.parse(line);
+      if (terms.length > 0 && !terms.every(term => row.text.includes(term))) continue;
+      if (where && !where(row.record)) continue;
+
+      total++;
+      if (matches.length < limit) {
+        matches.push({
+          month: row.month,
+          pdf: row.pdf && path.join(outputDir, row.pdf),
+          record: row.record,
+        });
+      }
+    }
+  }
+
+  return { matches, total };
+}
+
+module.exports = {
+  normalizeText,
+  listMetaFiles,
+  updateCatalog,
+  searchCatalog,
+};
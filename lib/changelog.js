@@ -0,0 +1,131 @@
+/**
+ * Record-level change tracking for meta JSONL files.
+ *
+ * When a month's meta file changes upstream, the previous version is kept
+ * under `<outputDir>/meta-history/YYYY/YYYY-MM/<timestamp>.jsonl` and the
+ * difference (records added, removed and modified, keyed by `pdf_file`) is
+ * appended to `changelog.jsonl` (one JSON entry per change) and
+ * `changelog.md` (human-readable).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function parseRecords(content) {
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // Skip malformed lines
+    }
+  }
+  return records;
+}
+
+// Records without a pdf_file can't be matched across versions: they are
+// keyed by their whole content, so any change shows as removed + added
+function recordKey(record) {
+  return record.pdf_file || JSON.stringify(record);
+}
+
+// Compare two meta file contents.
+// Returns { added, removed, modified } where modified entries are
+// { pdf_file, changes: { field: { from, to } } }.
+function diffMeta(previousContent, content) {
+  const before = new Map(parseRecords(previousContent).map(r => [recordKey(r), r]));
+  const after = new Map(parseRecords(content).map(r => [recordKey(r), r]));
+  const diff = { added: [], removed: [], modified: [] };
+
+  for (const [key, record] of after) {
+    const old = before.get(key);
+    if (!old) {
+      diff.added.push(record);
+      continue;
+    }
+
+    const changes = {};
+    for (const field of new Set([...Object.keys(old), ...Object.keys(record)])) {
+      if (JSON.stringify(old[field]) !== JSON.stringify(record[field])) {
+        changes[field] = { from: old[field] ?? null, to: record[field] ?? null };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      diff.modified.push({ pdf_file: record.pdf_file || null, changes });
+    }
+  }
+
+  for (const [key, record] of before) {
+    if (!after.has(key)) diff.removed.push(record);
+  }
+
+  return diff;
+}
+
+function describe(record) {
+  const title = record.doctitle ? ` — ${record.doctitle}` : '';
+  return `${record.pdf_file || JSON.stringify(record)}${title}`;
+}
+
+function formatValue(value) {
+  const text = JSON.stringify(value);
+  return text.length > 200 ? text.slice(0, 197) + '...' : text;
+}
+
+// Human-readable changelog section for one entry
+function formatEntry(entry) {
+  const lines = [`## ${entry.month} (${entry.timestamp})`, ''];
+  lines.push(`Previous version: \`${entry.previous}\``, '');
+
+  if (entry.added.length > 0) {
+    lines.push(`Added (${entry.added.length}):`);
+    lines.push(...entry.added.map(r => `- ${describe(r)}`), '');
+  }
+  if (entry.removed.length > 0) {
+    lines.push(`Removed (${entry.removed.length}):`);
+    lines.push(...entry.removed.map(r => `- ${describe(r)}`), '');
+  }
+  if (entry.modified.length > 0) {
+    lines.push(`Modified (${entry.modified.length}):`);
+    for (const m of entry.modified) {
+      lines.push(`- ${m.pdf_file}`);
+      for (const [field, { from, to }] of Object.entries(m.changes)) {
+        lines.push(`  - ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+      }
+    }
+    lines.push('');
+  }
+  if (entry.added.length + entry.removed.length + entry.modified.length === 0) {
+    lines.push('No record changes (formatting only)', '');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Keep the previous version of a month's meta file and log how it differs
+// from the new content. Call before overwriting the meta file.
+// Returns the changelog entry.
+function recordMetaChange(outputDir, month, previousContent, content) {
+  const timestamp = new Date().toISOString();
+  const previous = path.join('meta-history', month.slice(0, 4), month, `${timestamp.replace(/[:.]/g, '-')}.jsonl`);
+
+  fs.mkdirSync(path.dirname(path.join(outputDir, previous)), { recursive: true });
+  fs.writeFileSync(path.join(outputDir, previous), previousContent);
+
+  const entry = { timestamp, month, previous: previous.split(path.sep).join('/'), ...diffMeta(previousContent, content) };
+
+  fs.appendFileSync(path.join(outputDir, 'changelog.jsonl'), JSON.stringify(entry) + '\n');
+  const mdPath = path.join(outputDir, 'changelog.md');
+  if (!fs.existsSync(mdPath)) {
+    fs.writeFileSync(mdPath, '# Meta changelog\n\nChanges to meta records between syncs, oldest first.\n\n');
+  }
+  fs.appendFileSync(mdPath, formatEntry(entry));
+
+  return entry;
+}
+
+module.exports = {
+  diffMeta,
+  recordMetaChange,
+};
@@ -0,0 +1,239 @@
+/**
+ * Export of the local meta records of many months to one table, as CSV,
+ * Parquet (lib/parquet.js) or SQLite (lib/sqlite.js).
+ *
+ * Meta keys are normalized to snake_case column names, so keys spelled
+ * differently across months (`publishDate`, `publish_date`) share a column.
+ * Every column gets one type across all months: integer, double or boolean
+ * when all its values are, otherwise string (objects and arrays as JSON).
+ * Empty strings become nulls. Derived columns come first: `month`, `pdf_path`
+ * (relative to the download folder), `pdf_present` and `pdf_size`.
+ *
+ * Meta files are read from the local tree; PDF presence and sizes come from
+ * wherever the PDF tree is stored (see `listPdfs` below).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listMetaFiles } = require('./catalog');
+const { createParquetWriter } = require('./parquet');
+const { createSqliteWriter } = require('./sqlite');
+
+const FORMATS = {
+  csv: ['.csv'],
+  parquet: ['.parquet'],
+  sqlite: ['.sqlite', '.sqlite3', '.db'],
+};
+
+const DERIVED_COLUMNS = [
+  { name: 'month', type: 'string' },
+  { name: 'pdf_path', type: 'string' },
+  { name: 'pdf_present', type: 'boolean' },
+  { name: 'pdf_size', type: 'integer' },
+];
+
+// Format for an output file name, from its extension (null if unknown)
+function formatForFile(file) {
+  const ext = path.extname(file).toLowerCase();
+  return Object.keys(FORMATS).find(format => FORMATS[format].includes(ext)) || null;
+}
+
+// snake_case column name for a meta key; keys that clash with a derived
+// column get a `meta_` prefix
+function columnName(key) {
+  const name = String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '_')
+    .replace(/^_+|_+$/g, '') || 'field';
+  return DERIVED_COLUMNS.some(c => c.name === name) ? `meta_${name}` : name;
+}
+
+function valueType(value) {
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return Number.isSafeInteger(value) ? 'integer' : 'double';
+  return 'string';
+}
+
+// Type that holds the values of both types
+function widenType(a, b) {
+  if (!a || a === b) return b;
+  if (['integer', 'double'].includes(a) && ['integer', 'double'].includes(b)) return 'double';
+  return 'string';
+}
+
+function readRecords(metaPath) {
+  const records = [];
+  for (const line of fs.readFileSync(metaPath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record && typeof record === 'object' && !Array.isArray(record)) records.push(record);
+    } catch {
+      // Skip malformed lines
+    }
+  }
+  return records;
+}
+
+// A record's values by column name (the first non-empty one when several
+// keys map to the same column)
+function recordValues(record) {
+  const values = new Map();
+  for (const [key, value] of Object.entries(record)) {
+    if (value === null || value === '') continue;
+    const name = columnName(key);
+    if (!values.has(name)) values.set(name, value);
+  }
+  return values;
+}
+
+// Columns for all records of `metaFiles`, derived ones first
+function inferColumns(metaFiles) {
+  const types = new Map();
+  for (const metaPath of metaFiles.values()) {
+    for (const record of readRecords(metaPath)) {
+      for (const key of Object.keys(record)) {
+        if (!types.has(columnName(key))) types.set(columnName(key), null);
+      }
+      for (const [name, value] of recordValues(record)) {
+        types.set(name, widenType(types.get(name), valueType(value)));
+      }
+    }
+  }
+  return [...DERIVED_COLUMNS, ...[...types].map(([name, type]) => ({ name, type: type || 'string' }))];
+}
+
+function toColumnType(value, type) {
+  if (value === undefined || value === null) return null;
+  if (type !== 'string') return value;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function csvField(value) {
+  if (value === null) return '';
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 CSV with a header row; nulls are empty fields
+function createCsvWriter(filePath, columns) {
+  const fd = fs.openSync(filePath, 'w');
+  let pending = [];
+  let pendingSize = 0;
+
+  const flush = () => {
+    fs.writeSync(fd, pending.join(''));
+    pending = [];
+    pendingSize = 0;
+  };
+  const writeLine = (values) => {
+    const line = values.map(csvField).join(',') + '\r\n';
+    pending.push(line);
+    pendingSize += line.length;
+    if (pendingSize > 1 << 20) flush();
+  };
+
+  writeLine(columns.map(c => c.name));
+
+  return {
+    write: writeLine,
+    close() {
+      flush();
+      fs.closeSync(fd);
+    },
+  };
+}
+
+function createWriter(format, filePath, columns) {
+  switch (format) {
+    case 'csv':
+      return createCsvWriter(filePath, columns);
+    case 'parquet':
+      return createParquetWriter(filePath, columns);
+    case 'sqlite':
+      return createSqliteWriter(filePath, columns, { table: 'records' });
+    default:
+      throw new Error(`Unknown export format: ${format} (expected ${Object.keys(FORMATS).join(', ')})`);
+  }
+}
+
+// PDFs of a local month folder: Map of name -> { size }, or null
+function listLocalPdfs(outputDir, dir) {
+  const full = path.join(outputDir, dir);
+  if (!fs.existsSync(full)) return null;
+  const files = new Map();
+  for (const entry of fs.readdirSync(full, { withFileTypes: true })) {
+    if (entry.isFile()) files.set(entry.name, { size: fs.statSync(path.join(full, entry.name)).size });
+  }
+  return files;
+}
+
+// Write the meta records of the local months (all of them, or `months`, or
+// those between `from` and `to`) to `file` in `format`. The file is written
+// as `.part` and renamed into place when complete. `listPdfs(dir)` lists a
+// PDF month folder (Map of name -> { size }, or null), by default in
+// `outputDir`; pass the storage's list() for other stores. `onMonth(month,
+// rows)` is called after each month. Resolves with { file, format, months,
+// rows, columns }.
+async function exportMeta(outputDir, {
+  file, format, months = null, from = null, to = null,
+  listPdfs = dir => listLocalPdfs(outputDir, dir), onMonth = () => {},
+}) {
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown export format: ${format} (expected ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  const metaFiles = new Map([...listMetaFiles(outputDir)]
+    .filter(([month]) => (!months || months.includes(month)) && (!from || month >= from) && (!to || month <= to))
+    .sort(([a], [b]) => a.localeCompare(b)));
+  if (metaFiles.size === 0) {
+    throw new Error('No local meta files to export: sync some months first');
+  }
+
+  const columns = inferColumns(metaFiles);
+  const metaColumns = columns.slice(DERIVED_COLUMNS.length);
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const partPath = `${file}.part`;
+  const writer = createWriter(format, partPath, columns);
+  let rows = 0;
+
+  try {
+    for (const [month, metaPath] of metaFiles) {
+      const pdfDir = `pdf/${month.slice(0, 4)}/${month}`;
+      const pdfs = await listPdfs(pdfDir) || new Map();
+
+      for (const record of readRecords(metaPath)) {
+        const pdfPath = record.pdf_file ? `${pdfDir}/${record.pdf_file}` : null;
+        const pdfSize = pdfPath && pdfs.has(record.pdf_file) ? pdfs.get(record.pdf_file).size : null;
+
+        const values = recordValues(record);
+        writer.write([
+          month,
+          pdfPath,
+          pdfSize !== null,
+          pdfSize,
+          ...metaColumns.map(c => toColumnType(values.get(c.name), c.type)),
+        ]);
+        rows++;
+      }
+      onMonth(month, rows);
+    }
+  } catch (error) {
+    writer.close();
+    fs.rmSync(partPath, { force: true });
+    throw error;
+  }
+
+  writer.close();
+  fs.renameSync(partPath, file);
+
+  return { file, format, months: metaFiles.size, rows, columns: columns.length };
+}
+
+module.exports = {
+  FORMATS,
+  formatForFile,
+  exportMeta,
+};
@@ -0,0 +1,253 @@
+/**
+ * Filters on meta records, to sync only some gazettes of each month.
+ *
+ * A filter is written as an expression:
+ *
+ *   section = ก and (category ~ "ประกาศ" or doctitle ~ ภาษี)
+ *   not doctitle ~ แก้คำผิด and publishDate >= 2024-06-01
+ *   section in [ก, ข]
+ *
+ * Conditions compare a meta field with a value, and combine with `and`,
+ * `or`, `not` and parentheses. Values can be "quoted" or 'quoted', and must
+ * be when they contain spaces or any of `()[],`. Operators:
+ *
+ *   =  !=        exact match (a missing field is an empty string)
+ *   ~  !~        contains, ignoring case
+ *   < <= > >=    numbers when both sides are numbers, otherwise text
+ *                (so ISO dates compare as dates)
+ *   in [a, b]    exact match with any of the values
+ *
+ * or as a JSON predicate, the same tree spelled out:
+ *
+ *   { "and": [{ "field": "section", "op": "=", "value": "ก" },
+ *             { "not": { "field": "doctitle", "op": "~", "value": "แก้คำผิด" } }] }
+ *
+ * with `or` like `and`, and `in` taking an array value. A top-level array
+ * means `and`.
+ */
+
+const fs = require('fs');
+
+const OPERATORS = ['=', '!=', '~', '!~', '<', '<=', '>', '>=', 'in'];
+const KEYWORDS = ['and', 'or', 'not', 'in'];
+
+// Split an expression into tokens: { type, value, pos } with type 'op',
+// 'punct' ((, ), [, ] or ,), 'string' (quoted) or 'word'
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if ('()[],'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch, pos: i });
+      i++;
+    } else if (ch === '"' || ch === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < text.length && text[j] !== ch) {
+        // Backslash escapes the next character
+        if (text[j] === '\\' && j + 1 < text.length) j++;
+        value += text[j++];
+      }
+      if (j >= text.length) throw new Error(`Unterminated string at position ${i + 1}`);
+      tokens.push({ type: 'string', value, pos: i });
+      i = j + 1;
+    } else {
+      const op = ['<=', '>=', '!=', '!~', '=', '~', '<', '>'].find(o => text.startsWith(o, i));
+      if (op) {
+        tokens.push({ type: 'op', value: op, pos: i });
+        i += op.length;
+        continue;
+      }
+      let j = i;
+      while (j < text.length && !/[\s()[\],"'=~<>!]/.test(text[j])) j++;
+      if (j === i) throw new Error(`Unexpected "${ch}" at position ${i + 1}`);
+      tokens.push({ type: 'word', value: text.slice(i, j), pos: i });
+      i = j;
+    }
+  }
+  return tokens;
+}
+
+// Parse an expression into a predicate tree (the JSON form)
+function parseFilter(text) {
+  const tokens = tokenize(text);
+  let i = 0;
+
+  const peek = () => tokens[i];
+  const isKeyword = (token, keyword) => token && token.type === 'word' && token.value.toLowerCase() === keyword;
+  const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+  const fail = (message) => {
+    const token = peek();
+    throw new Error(token ? `${message} at position ${token.pos + 1} ("${token.value}")` : `${message} at the end`);
+  };
+  const expectPunct = (value) => {
+    if (!isPunct(peek(), value)) fail(`Expected "${value}"`);
+    i++;
+  };
+
+  function value() {
+    const token = peek();
+    if (!token || (token.type !== 'string' && token.type !== 'word')) fail('Expected a value');
+    i++;
+    return token.value;
+  }
+
+  function condition() {
+    const token = peek();
+    if (!token || token.type !== 'word' || KEYWORDS.includes(token.value.toLowerCase())) fail('Expected a field name');
+    i++;
+    const field = token.value;
+
+    if (isKeyword(peek(), 'in')) {
+      i++;
+      expectPunct('[');
+      const values = [value()];
+      while (isPunct(peek(), ',')) {
+        i++;
+        values.push(value());
+      }
+      expectPunct(']');
+      return { field, op: 'in', value: values };
+    }
+
+    if (!peek() || peek().type !== 'op') fail(`Expected an operator (${OPERATORS.join(' ')})`);
+    const op = tokens[i++].value;
+    return { field, op, value: value() };
+  }
+
+  function unary() {
+    if (isKeyword(peek(), 'not')) {
+      i++;
+      return { not: unary() };
+    }
+    if (isPunct(peek(), '(')) {
+      i++;
+      const node = or();
+      expectPunct(')');
+      return node;
+    }
+    return condition();
+  }
+
+  function and() {
+    const nodes = [unary()];
+    while (isKeyword(peek(), 'and')) {
+      i++;
+      nodes.push(unary());
+    }
+    return nodes.length === 1 ? nodes[0] : { and: nodes };
+  }
+
+  function or() {
+    const nodes = [and()];
+    while (isKeyword(peek(), 'or')) {
+      i++;
+      nodes.push(and());
+    }
+    return nodes.length === 1 ? nodes[0] : { or: nodes };
+  }
+
+  if (tokens.length === 0) throw new Error('Empty filter');
+  const tree = or();
+  if (i < tokens.length) fail('Unexpected token');
+  return tree;
+}
+
+// A record's field as text ('' when missing)
+function fieldText(record, field) {
+  const value = record[field];
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function compare(actual, expected) {
+  const a = Number(actual);
+  const b = Number(expected);
+  if (actual.trim() !== '' && expected.trim() !== '' && Number.isFinite(a) && Number.isFinite(b)) return a - b;
+  return actual < expected ? -1 : actual > expected ? 1 : 0;
+}
+
+// Predicate on records for a tree; throws on malformed nodes
+function compileFilter(node) {
+  if (Array.isArray(node)) return compileFilter({ and: node });
+  if (!node || typeof node !== 'object') throw new Error(`Invalid filter node: ${JSON.stringify(node)}`);
+
+  if ('and' in node || 'or' in node) {
+    const list = node.and || node.or;
+    if (!Array.isArray(list) || list.length === 0) throw new Error(`"${'and' in node ? 'and' : 'or'}" needs a non-empty array`);
+    const predicates = list.map(compileFilter);
+    return 'and' in node
+      ? record => predicates.every(p => p(record))
+      : record => predicates.some(p => p(record));
+  }
+  if ('not' in node) {
+    const predicate = compileFilter(node.not);
+    return record => !predicate(record);
+  }
+
+  const { field, op = '=', value } = node;
+  if (typeof field !== 'string' || field === '') throw new Error(`Filter condition without a field: ${JSON.stringify(node)}`);
+  if (!OPERATORS.includes(op)) throw new Error(`Unknown filter operator "${op}" (expected ${OPERATORS.join(' ')})`);
+
+  if (op === 'in') {
+    if (!Array.isArray(value)) throw new Error(`"in" needs an array of values (field ${field})`);
+    const values = new Set(value.map(String));
+    return record => values.has(fieldText(record, field));
+  }
+  if (value === undefined || value === null || typeof value === 'object') {
+    throw new Error(`Filter condition on ${field} needs a text or number value`);
+  }
+
+  const expected = String(value);
+  const needle = expected.toLowerCase();
+  switch (op) {
+    case '=': return record => fieldText(record, field) === expected;
+    case '!=': return record => fieldText(record, field) !== expected;
+    case '~': return record => fieldText(record, field).toLowerCase().includes(needle);
+    case '!~': return record => !fieldText(record, field).toLowerCase().includes(needle);
+    case '<': return record => compare(fieldText(record, field), expected) < 0;
+    case '<=': return record => compare(fieldText(record, field), expected) <= 0;
+    case '>': return record => compare(fieldText(record, field), expected) > 0;
+    default: return record => compare(fieldText(record, field), expected) >= 0;
+  }
+}
+
+// Filter for a spec: an expression, the path of a JSON predicate file
+// (ending in .json), a predicate tree or a function. Returns
+// { test(record), description }, or null for no spec.
+function createFilter(spec) {
+  if (spec === null || spec === undefined) return null;
+  if (typeof spec === 'function') return { test: spec, description: spec.name || '(function)' };
+
+  if (typeof spec === 'string' && spec.trim().toLowerCase().endsWith('.json')) {
+    let tree;
+    try {
+      tree = JSON.parse(fs.readFileSync(spec.trim(), 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not read filter file ${spec}: ${error.message}`);
+    }
+    return { test: compileFilter(tree), description: spec.trim() };
+  }
+
+  if (typeof spec === 'string') {
+    let tree;
+    try {
+      tree = parseFilter(spec);
+    } catch (error) {
+      throw new Error(`Invalid filter: ${error.message}`);
+    }
+    return { test: compileFilter(tree), description: spec.trim() };
+  }
+
+  return { test: compileFilter(spec), description: JSON.stringify(spec) };
+}
+
+module.exports = {
+  parseFilter,
+  compileFilter,
+  createFilter,
+};
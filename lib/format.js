@@ -0,0 +1,44 @@
+/**
+ * Human-readable sizes and durations for logs and command-line options.
+ */
+
+// Format bytes with binary units, e.g. "1.5 MB"
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// Parse a byte size such as 500K, 10M or 1.5G (binary units, like
+// formatBytes). Returns null if it can't be read.
+function parseBytes(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([KMGT]?)(?:i?B)?$/i);
+  if (!match) return null;
+  return Math.round(Number(match[1]) * 1024 ** ' KMGT'.indexOf(match[2].toUpperCase() || ' '));
+}
+
+// Parse a duration like "90s", "15m", "2h" or "1d" (bare numbers are
+// seconds) into milliseconds; null if invalid
+function parseDuration(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/i);
+  if (!match) return null;
+  const unit = { '': 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2].toLowerCase()];
+  return Math.round(Number(match[1]) * unit * 1000);
+}
+
+// Format milliseconds as the largest whole unit (e.g. "15m")
+function formatDuration(ms) {
+  for (const [unit, size] of [['d', 86400000], ['h', 3600000], ['m', 60000]]) {
+    if (ms >= size && ms % size === 0) return `${ms / size}${unit}`;
+  }
+  return `${Math.round(ms / 1000)}s`;
+}
+
+module.exports = {
+  formatBytes,
+  parseBytes,
+  parseDuration,
+  formatDuration,
+};
@@ -0,0 +1,185 @@
+/**
+ * Persistent sync journal: what happened to every file, across runs.
+ *
+ * Per-file state is kept in one shard per month,
+ * `<outputDir>/journal/YYYY/YYYY-MM.json`:
+ *
+ *   { month, error, missing: [name], updatedAt,
+ *     files: { name: { status, source, attempts, error, size, updatedAt } } }
+ *
+ * `attempts` counts the failed attempts at a file since it last succeeded
+ * (0 once it is downloaded). `error` is set when the whole month failed (no source could serve it, or
+ * its ZIP was unusable) and `missing` lists meta files not on disk after the
+ * last sync or verification. Every run also appends its summary to
+ * `<outputDir>/journal/runs.jsonl`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Statuses that mean the file was not fetched this time: they keep its count
+// of failed attempts
+const UNTOUCHED = new Set(['skipped', 'existing']);
+
+function journalDir(outputDir) {
+  return path.join(outputDir, 'journal');
+}
+
+function shardPath(outputDir, month) {
+  return path.join(journalDir(outputDir), month.slice(0, 4), `${month}.json`);
+}
+
+function readShard(outputDir, month) {
+  try {
+    return JSON.parse(fs.readFileSync(shardPath(outputDir, month), 'utf-8'));
+  } catch {
+    return { month, error: null, missing: [], updatedAt: null, files: {} };
+  }
+}
+
+// Months with a journal shard, sorted
+function journalMonths(outputDir) {
+  const months = [];
+  const dir = journalDir(outputDir);
+  if (!fs.existsSync(dir)) return months;
+
+  for (const year of fs.readdirSync(dir)) {
+    if (!/^\d{4}$/.test(year)) continue;
+    for (const name of fs.readdirSync(path.join(dir, year))) {
+      const match = name.match(/^(\d{4}-\d{2})\.json$/);
+      if (match) months.push(match[1]);
+    }
+  }
+
+  return months.sort();
+}
+
+// Journal for one run. Shards are loaded on first use and written by flush().
+function createJournal(outputDir) {
+  const shards = new Map();
+  const dirty = new Set();
+
+  function shard(month) {
+    if (!shards.has(month)) shards.set(month, readShard(outputDir, month));
+    dirty.add(month);
+    const current = shards.get(month);
+    current.updatedAt = new Date().toISOString();
+    return current;
+  }
+
+  return {
+    // Record the outcome of one file: a status from the file-done event, or
+    // 'failed' with the error
+    recordFile(month, name, { status, source = null, error = null, size = null }) {
+      const current = shard(month);
+      const entry = current.files[name] || { attempts: 0 };
+      let attempts = entry.attempts || 0;
+      if (status === 'failed') attempts++;
+      else if (!UNTOUCHED.has(status)) attempts = 0;
+
+      current.files[name] = {
+        status,
+        source,
+        attempts,
+        error,
+        size: size ?? entry.size ?? null,
+        updatedAt: current.updatedAt,
+      };
+    },
+
+    // Drop a file that no longer belongs to the month (e.g. pruned)
+    forgetFile(month, name) {
+      delete shard(month).files[name];
+    },
+
+    // Set or clear (null) a month-level failure
+    setMonthError(month, error) {
+      shard(month).error = error;
+    },
+
+    // Meta files missing on disk after a sync or verification
+    setMissing(month, names) {
+      shard(month).missing = [...names];
+    },
+
+    // Write the shards changed since the last flush (or just `month`'s)
+    flush(month = null) {
+      for (const key of month ? [month] : [...dirty]) {
+        if (!dirty.has(key)) continue;
+        const target = shardPath(outputDir, key);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(`${target}.part`, JSON.stringify(shards.get(key), null, 2));
+        fs.renameSync(`${target}.part`, target);
+        dirty.delete(key);
+      }
+    },
+  };
+}
+
+// What is still outstanding, per month: { month, error, failed: [{ name,
+// error, attempts, updatedAt }], missing: [name] }. Months with nothing
+// outstanding are left out.
+function readOutstanding(outputDir) {
+  const outstanding = [];
+
+  for (const month of journalMonths(outputDir)) {
+    const shard = readShard(outputDir, month);
+    const failed = Object.entries(shard.files)
+      .filter(([, file]) => file.status === 'failed')
+      .map(([name, file]) => ({ name, error: file.error, attempts: file.attempts, updatedAt: file.updatedAt }));
+    const failedNames = new Set(failed.map(f => f.name));
+    const missing = (shard.missing || []).filter(name => !failedNames.has(name));
+
+    if (shard.error || failed.length > 0 || missing.length > 0) {
+      outstanding.push({ month, error: shard.error || null, failed, missing, updatedAt: shard.updatedAt });
+    }
+  }
+
+  return outstanding;
+}
+
+// What --retry-failed re-attempts in `months` (all when empty) between
+// `from` and `to`: Map of month -> Set of file names, or null for a month
+// that failed as a whole and is synced again in full
+function selectRetries(outputDir, { months = [], from = null, to = null } = {}) {
+  const retries = new Map();
+  for (const { month, error, failed, missing } of readOutstanding(outputDir)) {
+    if ((months.length > 0 && !months.includes(month)) || (from && month < from) || (to && month > to)) continue;
+    retries.set(month, error ? null : new Set([...failed.map(f => f.name), ...missing]));
+  }
+  return retries;
+}
+
+function appendRun(outputDir, record) {
+  fs.mkdirSync(journalDir(outputDir), { recursive: true });
+  fs.appendFileSync(path.join(journalDir(outputDir), 'runs.jsonl'), JSON.stringify(record) + '\n');
+}
+
+// The last `limit` runs, oldest first
+function readRuns(outputDir, limit = 10) {
+  let content;
+  try {
+    content = fs.readFileSync(path.join(journalDir(outputDir), 'runs.jsonl'), 'utf-8');
+  } catch {
+    return [];
+  }
+
+  const runs = [];
+  const lines = content.split('\n').filter(l => l.trim());
+  for (const line of limit > 0 ? lines.slice(-limit) : []) {
+    try {
+      runs.push(JSON.parse(line));
+    } catch {
+      // Skip a line cut short by an interrupted write
+    }
+  }
+  return runs;
+}
+
+module.exports = {
+  createJournal,
+  readOutstanding,
+  selectRetries,
+  appendRun,
+  readRuns,
+};
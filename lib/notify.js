@@ -0,0 +1,103 @@
+/**
+ * Actions fired by watch mode for every new gazette.
+ *
+ * Each action gets the same JSON payload:
+ *
+ *   { event: 'gazette', month, pdf_file, pdfPath, downloaded, detectedAt, record }
+ *
+ * - `exec`: a shell command, run with the payload on stdin and as
+ *   GAZETTE_MONTH, GAZETTE_PDF_FILE, GAZETTE_PDF_PATH, GAZETTE_DOWNLOADED and
+ *   GAZETTE_JSON environment variables
+ * - `webhook`: a URL the payload is POSTed to
+ * - `feed`: an NDJSON file the payload is appended to
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Longest a command may run before it is killed
+const EXEC_TIMEOUT = 60 * 1000;
+
+// Run `command` through the shell with the payload. Resolves when it exits
+// with status 0, rejects otherwise (with the end of its stderr).
+function runCommand(command, payload) {
+  const json = JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'ignore', 'pipe'],
+      timeout: EXEC_TIMEOUT,
+      env: {
+        ...process.env,
+        GAZETTE_MONTH: payload.month,
+        GAZETTE_PDF_FILE: payload.pdf_file || '',
+        GAZETTE_PDF_PATH: payload.pdfPath || '',
+        GAZETTE_DOWNLOADED: payload.downloaded ? '1' : '0',
+        GAZETTE_JSON: json,
+      },
+    });
+
+    let stderr = '';
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    // The command may exit without reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(json + '\n');
+
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) return resolve();
+      const last = stderr.trim().split('\n').pop();
+      reject(new Error(`exited with ${signal || `status ${code}`}${last ? `: ${last}` : ''}`));
+    });
+  });
+}
+
+// Actions for the configured { exec, webhook, feed } (any may be null).
+// `io.post(url, json)` must POST the body and throw on HTTP errors.
+// Returns { names, notify(payload, { only }) }; notify() runs every action (or
+// those named in `only`, e.g. to retry failed ones) and resolves with the
+// failed ones as [{ action, error }].
+function createNotifier({ exec = null, webhook = null, feed = null } = {}, io) {
+  const actions = [];
+
+  if (exec) {
+    actions.push({ name: 'exec', run: payload => runCommand(exec, payload) });
+  }
+  if (webhook) {
+    actions.push({ name: 'webhook', run: payload => io.post(webhook, JSON.stringify(payload)) });
+  }
+  if (feed) {
+    actions.push({
+      name: 'feed',
+      run: async (payload) => {
+        fs.mkdirSync(path.dirname(path.resolve(feed)), { recursive: true });
+        fs.appendFileSync(feed, JSON.stringify(payload) + '\n');
+      },
+    });
+  }
+
+  return {
+    names: actions.map(a => a.name),
+
+    async notify(payload, { only = null } = {}) {
+      const failures = [];
+      for (const action of actions) {
+        if (only && !only.includes(action.name)) continue;
+        try {
+          await action.run(payload);
+        } catch (error) {
+          failures.push({ action: action.name, error: error.message });
+        }
+      }
+      return failures;
+    },
+  };
+}
+
+module.exports = {
+  createNotifier,
+};
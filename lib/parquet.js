@@ -0,0 +1,253 @@
+/**
+ * Minimal Parquet writer for flat tables.
+ *
+ * Columns are OPTIONAL (nullable) and typed 'string' (UTF-8 BYTE_ARRAY),
+ * 'integer' (INT64), 'double' or 'boolean'. Rows are buffered into row groups;
+ * each column chunk of a row group is written as one PLAIN-encoded data page
+ * (v1), compressed with GZIP (zlib) so the file stays readable by any Parquet
+ * reader. The footer metadata uses the Thrift compact protocol.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const MAGIC = Buffer.from('PAR1');
+const ROW_GROUP_SIZE = 100000;
+
+// Parquet enums
+const TYPES = { boolean: 0, integer: 2, double: 5, string: 6 }; // BOOLEAN, INT64, DOUBLE, BYTE_ARRAY
+const REPETITION_OPTIONAL = 1;
+const REPETITION_REQUIRED = 0;
+const CONVERTED_UTF8 = 0;
+const ENCODING_PLAIN = 0;
+const ENCODING_RLE = 3;
+const CODEC_GZIP = 2;
+const PAGE_DATA = 0;
+
+// Thrift compact protocol types
+const T_I32 = 5;
+const T_I64 = 6;
+const T_BINARY = 8;
+const T_LIST = 9;
+const T_STRUCT = 12;
+
+function varint(value) {
+  const bytes = [];
+  let n = BigInt(value);
+  while (n >= 0x80n) {
+    bytes.push(Number(n & 0x7fn) | 0x80);
+    n >>= 7n;
+  }
+  bytes.push(Number(n));
+  return Buffer.from(bytes);
+}
+
+function zigzag(value) {
+  const n = BigInt(value);
+  return n >= 0n ? n << 1n : (-n << 1n) - 1n;
+}
+
+// Encode a Thrift struct. `fields` is a list of [id, type, value]; struct
+// values are field lists themselves, list values are [elementType, items].
+// Fields whose value is undefined are left out.
+function encodeStruct(fields) {
+  const parts = [];
+  let lastId = 0;
+
+  for (const [id, type, value] of fields) {
+    if (value === undefined) continue;
+    const delta = id - lastId;
+    if (delta > 0 && delta <= 15) {
+      parts.push(Buffer.from([(delta << 4) | type]));
+    } else {
+      parts.push(Buffer.from([type]), varint(zigzag(id)));
+    }
+    parts.push(encodeValue(type, value));
+    lastId = id;
+  }
+
+  parts.push(Buffer.from([0]));
+  return Buffer.concat(parts);
+}
+
+function encodeValue(type, value) {
+  switch (type) {
+    case T_I32:
+    case T_I64:
+      return varint(zigzag(value));
+    case T_BINARY: {
+      const bytes = Buffer.from(value, 'utf-8');
+      return Buffer.concat([varint(bytes.length), bytes]);
+    }
+    case T_STRUCT:
+      return encodeStruct(value);
+    case T_LIST: {
+      const [elementType, items] = value;
+      const header = items.length < 15
+        ? Buffer.from([(items.length << 4) | elementType])
+        : Buffer.concat([Buffer.from([0xf0 | elementType]), varint(items.length)]);
+      return Buffer.concat([header, ...items.map(item => encodeValue(elementType, item))]);
+    }
+    default:
+      throw new Error(`Unsupported Thrift type ${type}`);
+  }
+}
+
+// Definition levels (1 = value present, 0 = null) as one bit-packed run of
+// the RLE/bit-packing hybrid encoding, prefixed with its length
+function encodeDefinitionLevels(values) {
+  const groups = Math.ceil(values.length / 8);
+  const bits = Buffer.alloc(groups);
+  values.forEach((value, i) => {
+    if (value !== null) bits[i >> 3] |= 1 << (i & 7);
+  });
+  const run = Buffer.concat([varint((groups << 1) | 1), bits]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(run.length);
+  return Buffer.concat([length, run]);
+}
+
+// PLAIN encoding of the non-null values of a column
+function encodePlain(type, values) {
+  if (type === 'boolean') {
+    const bits = Buffer.alloc(Math.ceil(values.length / 8));
+    values.forEach((value, i) => {
+      if (value) bits[i >> 3] |= 1 << (i & 7);
+    });
+    return bits;
+  }
+  if (type === 'integer' || type === 'double') {
+    const buf = Buffer.alloc(values.length * 8);
+    values.forEach((value, i) => {
+      if (type === 'integer') buf.writeBigInt64LE(BigInt(value), i * 8);
+      else buf.writeDoubleLE(value, i * 8);
+    });
+    return buf;
+  }
+
+  const parts = [];
+  for (const value of values) {
+    const bytes = Buffer.from(String(value), 'utf-8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(bytes.length);
+    parts.push(length, bytes);
+  }
+  return Buffer.concat(parts);
+}
+
+// Create a writer for `filePath`. `columns` are { name, type } with type
+// 'string', 'integer', 'double' or 'boolean'. Returns { write(values), close() }
+// where `values` is one row in column order (null for missing values).
+function createParquetWriter(filePath, columns) {
+  for (const column of columns) {
+    if (!(column.type in TYPES)) throw new Error(`Unsupported column type: ${column.type}`);
+  }
+
+  const fd = fs.openSync(filePath, 'w');
+  let offset = 0;
+  let numRows = 0;
+  let buffered = columns.map(() => []);
+  const rowGroups = [];
+
+  function append(buf) {
+    fs.writeSync(fd, buf);
+    offset += buf.length;
+  }
+
+  function flushRowGroup() {
+    const rows = buffered[0].length;
+    if (rows === 0) return;
+
+    const chunks = [];
+    let totalSize = 0;
+    columns.forEach((column, i) => {
+      const values = buffered[i];
+      const page = Buffer.concat([
+        encodeDefinitionLevels(values),
+        encodePlain(column.type, values.filter(value => value !== null)),
+      ]);
+      const compressed = zlib.gzipSync(page);
+      const header = encodeStruct([
+        [1, T_I32, PAGE_DATA],
+        [2, T_I32, page.length],
+        [3, T_I32, compressed.length],
+        [5, T_STRUCT, [
+          [1, T_I32, values.length],
+          [2, T_I32, ENCODING_PLAIN],
+          [3, T_I32, ENCODING_RLE],
+          [4, T_I32, ENCODING_RLE],
+        ]],
+      ]);
+
+      const pageOffset = offset;
+      append(header);
+      append(compressed);
+      totalSize += header.length + page.length;
+
+      chunks.push([
+        [2, T_I64, pageOffset],
+        [3, T_STRUCT, [
+          [1, T_I32, TYPES[column.type]],
+          [2, T_LIST, [T_I32, [ENCODING_PLAIN, ENCODING_RLE]]],
+          [3, T_LIST, [T_BINARY, [column.name]]],
+          [4, T_I32, CODEC_GZIP],
+          [5, T_I64, values.length],
+          [6, T_I64, header.length + page.length],
+          [7, T_I64, header.length + compressed.length],
+          [9, T_I64, pageOffset],
+        ]],
+      ]);
+    });
+
+    rowGroups.push([
+      [1, T_LIST, [T_STRUCT, chunks]],
+      [2, T_I64, totalSize],
+      [3, T_I64, rows],
+    ]);
+    buffered = columns.map(() => []);
+  }
+
+  append(MAGIC);
+
+  return {
+    write(values) {
+      values.forEach((value, i) => buffered[i].push(value ?? null));
+      numRows++;
+      if (buffered[0].length >= ROW_GROUP_SIZE) flushRowGroup();
+    },
+
+    close() {
+      flushRowGroup();
+
+      // Fields in id order, as the compact protocol's deltas require
+      const schema = [
+        [[3, T_I32, REPETITION_REQUIRED], [4, T_BINARY, 'schema'], [5, T_I32, columns.length]],
+        ...columns.map(column => [
+          [1, T_I32, TYPES[column.type]],
+          [3, T_I32, REPETITION_OPTIONAL],
+          [4, T_BINARY, column.name],
+          [6, T_I32, column.type === 'string' ? CONVERTED_UTF8 : undefined],
+        ]),
+      ];
+
+      const footer = encodeStruct([
+        [1, T_I32, 1],
+        [2, T_LIST, [T_STRUCT, schema]],
+        [3, T_I64, numRows],
+        [4, T_LIST, [T_STRUCT, rowGroups]],
+        [6, T_BINARY, 'open-law-thailand-sync'],
+      ]);
+      const length = Buffer.alloc(4);
+      length.writeUInt32LE(footer.length);
+
+      append(footer);
+      append(length);
+      append(MAGIC);
+      fs.closeSync(fd);
+    },
+  };
+}
+
+module.exports = {
+  createParquetWriter,
+};
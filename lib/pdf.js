@@ -0,0 +1,1314 @@
+/**
+ * Minimal PDF reader for text extraction and validity checks.
+ *
+ * Handles classic cross-reference tables, cross-reference streams, object
+ * streams, incremental updates and (as a fallback) files whose xref is
+ * broken, then walks the page tree and interprets page content streams to
+ * recover text. Fonts are decoded through their ToUnicode CMaps, or through
+ * their simple encodings (including legacy TIS-620 Thai fonts) when there is
+ * none. Thai output is normalized: presentation-form glyphs from the Private
+ * Use Area are mapped back to standard Thai characters and SARA AM written as
+ * NIKHAHIT + SARA AA is recombined.
+ *
+ * Encrypted PDFs are not supported.
+ */
+
+const zlib = require('zlib');
+
+class Ref {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+class PdfStream {
+  constructor(dict, raw) {
+    this.dict = dict;
+    this.raw = raw;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Lexer and object parser
+// ---------------------------------------------------------------------------
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+const LITERALS = { true: true, false: false, null: null };
+
+function isRegular(byte) {
+  return !WHITESPACE.has(byte) && !DELIMITERS.has(byte);
+}
+
+function skipWhitespace(lx) {
+  const { buf } = lx;
+  while (lx.pos < buf.length) {
+    const byte = buf[lx.pos];
+    if (WHITESPACE.has(byte)) {
+      lx.pos++;
+    } else if (byte === 0x25) { // % comment
+      while (lx.pos < buf.length && buf[lx.pos] !== 0x0a && buf[lx.pos] !== 0x0d) lx.pos++;
+    } else {
+      break;
+    }
+  }
+}
+
+function readLiteralString(lx) {
+  const { buf } = lx;
+  const out = [];
+  let depth = 1;
+  lx.pos++; // (
+
+  while (lx.pos < buf.length) {
+    let byte = buf[lx.pos++];
+    if (byte === 0x28) {
+      depth++;
+    } else if (byte === 0x29) {
+      if (--depth === 0) break;
+    } else if (byte === 0x5c) { // backslash
+      byte = buf[lx.pos++];
+      switch (byte) {
+        case 0x6e: out.push(0x0a); continue; // n
+        case 0x72: out.push(0x0d); continue; // r
+        case 0x74: out.push(0x09); continue; // t
+        case 0x62: out.push(0x08); continue; // b
+        case 0x66: out.push(0x0c); continue; // f
+        case 0x0d: // line continuation
+          if (buf[lx.pos] === 0x0a) lx.pos++;
+          continue;
+        case 0x0a:
+          continue;
+        default:
+          if (byte >= 0x30 && byte <= 0x37) {
+            let code = byte - 0x30;
+            for (let i = 0; i < 2 && buf[lx.pos] >= 0x30 && buf[lx.pos] <= 0x37; i++) {
+              code = code * 8 + (buf[lx.pos++] - 0x30);
+            }
+            out.push(code & 0xff);
+            continue;
+          }
+      }
+    }
+    out.push(byte);
+  }
+
+  return Buffer.from(out);
+}
+
+function readHexString(lx) {
+  const { buf } = lx;
+  lx.pos++; // <
+  const end = buf.indexOf(0x3e, lx.pos);
+  const stop = end === -1 ? buf.length : end;
+  let hex = buf.toString('latin1', lx.pos, stop).replace(/[^0-9a-fA-F]/g, '');
+  lx.pos = stop + 1;
+  if (hex.length % 2) hex += '0';
+  return Buffer.from(hex, 'hex');
+}
+
+function readName(lx) {
+  const { buf } = lx;
+  const start = ++lx.pos; // /
+  while (lx.pos < buf.length && isRegular(buf[lx.pos])) lx.pos++;
+  const raw = buf.toString('latin1', start, lx.pos);
+  if (!raw.includes('#')) return raw;
+  return Buffer.from(raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1').toString('utf8');
+}
+
+// Read the next token: { type: 'num'|'name'|'string'|'[' |']'|'<<'|'>>'|'kw', value }
+function readToken(lx) {
+  skipWhitespace(lx);
+  const { buf } = lx;
+  if (lx.pos >= buf.length) return null;
+
+  const byte = buf[lx.pos];
+  switch (byte) {
+    case 0x28:
+      return { type: 'string', value: readLiteralString(lx) };
+    case 0x3c:
+      if (buf[lx.pos + 1] === 0x3c) {
+        lx.pos += 2;
+        return { type: '<<' };
+      }
+      return { type: 'string', value: readHexString(lx) };
+    case 0x3e:
+      lx.pos += buf[lx.pos + 1] === 0x3e ? 2 : 1;
+      return { type: '>>' };
+    case 0x5b:
+      lx.pos++;
+      return { type: '[' };
+    case 0x5d:
+      lx.pos++;
+      return { type: ']' };
+    case 0x2f:
+      return { type: 'name', value: readName(lx) };
+    case 0x7b:
+    case 0x7d:
+    case 0x29:
+      lx.pos++;
+      return readToken(lx);
+  }
+
+  const start = lx.pos;
+  while (lx.pos < buf.length && isRegular(buf[lx.pos])) lx.pos++;
+  const word = buf.toString('latin1', start, lx.pos);
+
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+    return { type: 'num', value: parseFloat(word) };
+  }
+  return { type: 'kw', value: word };
+}
+
+// Parse one object starting at the lexer position. With `allowRefs`,
+// "num gen R" is read as a reference (not wanted inside content streams).
+function readValue(lx, allowRefs = true) {
+  const token = readToken(lx);
+  return token ? tokenValue(lx, token, allowRefs) : undefined;
+}
+
+function tokenValue(lx, token, allowRefs) {
+  switch (token.type) {
+    case 'num': {
+      if (allowRefs && Number.isInteger(token.value) && token.value >= 0) {
+        const save = lx.pos;
+        const gen = readToken(lx);
+        if (gen && gen.type === 'num' && Number.isInteger(gen.value)) {
+          const r = readToken(lx);
+          if (r && r.type === 'kw' && r.value === 'R') return new Ref(token.value, gen.value);
+        }
+        lx.pos = save;
+      }
+      return token.value;
+    }
+    case 'name':
+    case 'string':
+      return token.value;
+    case '[': {
+      const array = [];
+      while (true) {
+        const next = readToken(lx);
+        if (!next || next.type === ']') break;
+        array.push(tokenValue(lx, next, allowRefs));
+      }
+      return array;
+    }
+    case '<<': {
+      const dict = {};
+      while (true) {
+        const key = readToken(lx);
+        if (!key || key.type === '>>') break;
+        if (key.type !== 'name') continue;
+        const value = readToken(lx);
+        if (!value || value.type === '>>') break;
+        dict[key.value] = tokenValue(lx, value, allowRefs);
+      }
+      return dict;
+    }
+    case 'kw':
+      return token.value in LITERALS ? LITERALS[token.value] : { op: token.value };
+    default:
+      return null;
+  }
+}
+
+function isDict(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !Buffer.isBuffer(value) && !(value instanceof Ref) && !(value instanceof PdfStream);
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// ---------------------------------------------------------------------------
+// Stream filters
+// ---------------------------------------------------------------------------
+
+const MAX_STREAM_LENGTH = 256 * 1024 * 1024;
+
+function inflate(data) {
+  const options = { maxOutputLength: MAX_STREAM_LENGTH };
+  try {
+    return zlib.inflateSync(data, options);
+  } catch {
+    // Truncated or slightly corrupt streams: keep what decodes
+    try {
+      return zlib.inflateSync(data, { ...options, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    } catch {
+      return zlib.inflateRawSync(data.subarray(2), { ...options, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    }
+  }
+}
+
+function applyPredictor(data, parms) {
+  const predictor = (parms && parms.Predictor) || 1;
+  if (predictor < 10) return data;
+
+  const colors = parms.Colors || 1;
+  const bits = parms.BitsPerComponent || 8;
+  const columns = parms.Columns || 1;
+  const bpp = Math.max(1, Math.ceil((colors * bits) / 8));
+  const rowLength = Math.ceil((columns * colors * bits) / 8);
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const out = Buffer.alloc(rows * rowLength);
+  let prev = Buffer.alloc(rowLength);
+
+  for (let r = 0; r < rows; r++) {
+    const type = data[r * (rowLength + 1)];
+    const row = data.subarray(r * (rowLength + 1) + 1, (r + 1) * (rowLength + 1));
+    const cur = out.subarray(r * rowLength, (r + 1) * rowLength);
+
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bpp ? cur[i - bpp] : 0;
+      const up = prev[i];
+      const upLeft = i >= bpp ? prev[i - bpp] : 0;
+      let value = row[i];
+      switch (type) {
+        case 1: value += left; break;
+        case 2: value += up; break;
+        case 3: value += (left + up) >> 1; break;
+        case 4: {
+          const p = left + up - upLeft;
+          const pa = Math.abs(p - left);
+          const pb = Math.abs(p - up);
+          const pc = Math.abs(p - upLeft);
+          value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+          break;
+        }
+      }
+      cur[i] = value & 0xff;
+    }
+    prev = cur;
+  }
+
+  return out;
+}
+
+function asciiHexDecode(data) {
+  let hex = data.toString('latin1');
+  const end = hex.indexOf('>');
+  if (end !== -1) hex = hex.slice(0, end);
+  hex = hex.replace(/[^0-9a-fA-F]/g, '');
+  if (hex.length % 2) hex += '0';
+  return Buffer.from(hex, 'hex');
+}
+
+function ascii85Decode(data) {
+  let text = data.toString('latin1').replace(/\s/g, '');
+  if (text.startsWith('<~')) text = text.slice(2);
+  const end = text.indexOf('~>');
+  if (end !== -1) text = text.slice(0, end);
+
+  const out = [];
+  let group = [];
+  for (const ch of text) {
+    if (ch === 'z' && group.length === 0) {
+      out.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(ch.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      let value = 0;
+      for (const digit of group) value = value * 85 + digit;
+      out.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+      group = [];
+    }
+  }
+  if (group.length > 1) {
+    const n = group.length;
+    while (group.length < 5) group.push(84);
+    let value = 0;
+    for (const digit of group) value = value * 85 + digit;
+    const bytes = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    out.push(...bytes.slice(0, n - 1));
+  }
+  return Buffer.from(out);
+}
+
+function lzwDecode(data, parms) {
+  const earlyChange = parms && parms.EarlyChange === 0 ? 0 : 1;
+  const out = [];
+  let dict = [];
+  let codeLength = 9;
+  let prev = null;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const reset = () => {
+    dict = [];
+    for (let i = 0; i < 256; i++) dict.push([i]);
+    dict.push(null, null); // 256 clear, 257 end
+    codeLength = 9;
+    prev = null;
+  };
+  reset();
+
+  for (const byte of data) {
+    bitBuffer = (bitBuffer << 8) | byte;
+    bitCount += 8;
+
+    while (bitCount >= codeLength) {
+      const code = (bitBuffer >>> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+      bitCount -= codeLength;
+      bitBuffer &= (1 << bitCount) - 1;
+
+      if (code === 256) {
+        reset();
+        continue;
+      }
+      if (code === 257) return Buffer.from(out);
+
+      let entry;
+      if (code < dict.length && dict[code]) {
+        entry = dict[code];
+        if (prev) dict.push([...prev, entry[0]]);
+      } else if (prev) {
+        entry = [...prev, prev[0]];
+        dict.push(entry);
+      } else {
+        return Buffer.from(out);
+      }
+      out.push(...entry);
+      prev = entry;
+
+      if (dict.length + earlyChange >= (1 << codeLength) && codeLength < 12) codeLength++;
+    }
+  }
+
+  return Buffer.from(out);
+}
+
+function runLengthDecode(data) {
+  const out = [];
+  for (let i = 0; i < data.length;) {
+    const length = data[i++];
+    if (length === 128) break;
+    if (length < 128) {
+      out.push(...data.subarray(i, i + length + 1));
+      i += length + 1;
+    } else {
+      out.push(...new Array(257 - length).fill(data[i++]));
+    }
+  }
+  return Buffer.from(out);
+}
+
+// ---------------------------------------------------------------------------
+// Document structure
+// ---------------------------------------------------------------------------
+
+// Open a PDF held in a Buffer. Throws if no usable structure can be found.
+// `doc.repaired` is set when the cross-reference data had to be rebuilt by
+// scanning the file.
+function openPdf(buf) {
+  const headerAt = buf.subarray(0, 1024).indexOf('%PDF-');
+  if (headerAt === -1) {
+    throw new Error('not a PDF (no %PDF- header)');
+  }
+
+  const doc = createDoc(buf, headerAt);
+
+  try {
+    readXrefChain(doc);
+  } catch {
+    doc.xref.clear();
+    doc.trailer = null;
+  }
+
+  if (!doc.trailer || !resolve(doc, doc.trailer.Root)) {
+    rebuildXref(doc);
+  }
+
+  if (doc.trailer && doc.trailer.Encrypt) {
+    throw new Error('encrypted PDFs are not supported');
+  }
+  if (!doc.trailer || !isDict(resolve(doc, doc.trailer.Root))) {
+    throw new Error('no document catalog found');
+  }
+
+  return doc;
+}
+
+function createDoc(buf, headerAt) {
+  return {
+    buf,
+    version: buf.toString('latin1', headerAt + 5, headerAt + 8),
+    xref: new Map(),
+    trailer: null,
+    cache: new Map(),
+    objectStreams: new Map(),
+    repaired: false,
+  };
+}
+
+// What a file that isn't a PDF seems to hold, e.g. an error page saved
+// under a .pdf name
+function describeContent(buf) {
+  const start = buf.toString('latin1', 0, 512).trimStart().toLowerCase();
+  if (start.startsWith('<!doctype html') || start.startsWith('<html')) return ' (looks like an HTML page)';
+  if (start.startsWith('<?xml') || start.startsWith('<')) return ' (looks like XML)';
+  if (start.startsWith('{') || start.startsWith('[')) return ' (looks like JSON)';
+  return '';
+}
+
+// Check that a PDF held in a Buffer is complete and readable: a %PDF- header,
+// an %%EOF marker at the end, a document catalog and at least one page. A
+// cross-reference table that doesn't parse is rebuilt by scanning the file,
+// as openPdf() does, so files that text extraction can read pass. Encrypted
+// PDFs pass once their trailer is read, since their pages can't be.
+// Returns { pages, repaired, problem }, with `problem` null for a valid PDF.
+function checkPdf(buf) {
+  const fail = (problem, repaired = false) => ({ pages: null, repaired, problem });
+
+  if (buf.length === 0) return fail('empty file');
+  const headerAt = buf.subarray(0, 1024).indexOf('%PDF-');
+  if (headerAt === -1) return fail(`no %PDF- header${describeContent(buf)}`);
+  if (buf.subarray(Math.max(0, buf.length - 2048)).indexOf('%%EOF') === -1) {
+    return fail('no %%EOF marker at the end (truncated?)');
+  }
+
+  const doc = createDoc(buf, headerAt);
+  try {
+    readXrefChain(doc);
+  } catch {
+    doc.xref.clear();
+    doc.trailer = null;
+  }
+
+  try {
+    if (!(doc.trailer && doc.trailer.Encrypt) && (!doc.trailer || !isDict(resolve(doc, doc.trailer.Root)))) {
+      rebuildXref(doc);
+    }
+    if (!doc.trailer) return fail('no cross-reference table, trailer or document catalog found', doc.repaired);
+    if (doc.trailer.Encrypt) return { pages: null, repaired: doc.repaired, problem: null };
+    if (!isDict(resolve(doc, doc.trailer.Root))) return fail('trailer has no document catalog', doc.repaired);
+
+    const pages = getPages(doc).length;
+    return pages > 0 ? { pages, repaired: doc.repaired, problem: null } : fail('no pages', doc.repaired);
+  } catch (error) {
+    return fail(`unreadable document structure: ${error.message}`, doc.repaired);
+  }
+}
+
+function readXrefChain(doc) {
+  const { buf } = doc;
+  const tail = buf.toString('latin1', Math.max(0, buf.length - 2048));
+  const at = tail.lastIndexOf('startxref');
+  if (at === -1) throw new Error('startxref not found');
+
+  let offset = parseInt(tail.slice(at + 9).trim(), 10);
+  const seen = new Set();
+  while (Number.isInteger(offset) && offset >= 0 && offset < buf.length && !seen.has(offset)) {
+    seen.add(offset);
+    offset = readXrefSection(doc, offset);
+  }
+}
+
+// Merge one xref section (table or stream) into doc.xref; newer sections are
+// read first, so existing entries win. Returns the /Prev offset.
+function readXrefSection(doc, offset) {
+  const lx = { buf: doc.buf, pos: offset };
+  const first = readToken(lx);
+  let trailer;
+
+  if (first && first.type === 'kw' && first.value === 'xref') {
+    while (true) {
+      const token = readToken(lx);
+      if (!token) throw new Error('unterminated xref table');
+      if (token.type === 'kw' && token.value === 'trailer') break;
+
+      const start = token.value;
+      const count = readToken(lx).value;
+      for (let i = 0; i < count; i++) {
+        const entryOffset = readToken(lx).value;
+        readToken(lx); // generation
+        const type = readToken(lx).value;
+        if (!doc.xref.has(start + i)) {
+          doc.xref.set(start + i, type === 'n' ? { offset: entryOffset } : { free: true });
+        }
+      }
+    }
+    trailer = readValue(lx);
+
+    // Hybrid files carry an extra xref stream
+    if (Number.isInteger(trailer.XRefStm)) {
+      readXrefSection(doc, trailer.XRefStm);
+    }
+  } else {
+    const stream = parseIndirectAt(doc, offset);
+    if (!(stream instanceof PdfStream) || stream.dict.Type !== 'XRef') {
+      throw new Error('invalid xref stream');
+    }
+    trailer = stream.dict;
+
+    const data = decodeStream(doc, stream);
+    const widths = stream.dict.W;
+    const index = stream.dict.Index || [0, stream.dict.Size];
+    const entryLength = widths.reduce((a, b) => a + b, 0);
+    let pos = 0;
+
+    const field = (width, fallback) => {
+      if (width === 0) return fallback;
+      let value = 0;
+      for (let i = 0; i < width; i++) value = value * 256 + data[pos++];
+      return value;
+    };
+
+    for (let s = 0; s < index.length; s += 2) {
+      for (let i = 0; i < index[s + 1] && pos + entryLength <= data.length; i++) {
+        const type = field(widths[0], 1);
+        const a = field(widths[1], 0);
+        const b = field(widths[2], 0);
+        const num = index[s] + i;
+        if (doc.xref.has(num)) continue;
+        if (type === 1) doc.xref.set(num, { offset: a });
+        else if (type === 2) doc.xref.set(num, { stream: a, index: b });
+        else doc.xref.set(num, { free: true });
+      }
+    }
+  }
+
+  if (!doc.trailer) {
+    doc.trailer = { ...trailer };
+  } else {
+    for (const [key, value] of Object.entries(trailer)) {
+      if (!(key in doc.trailer)) doc.trailer[key] = value;
+    }
+  }
+
+  return Number.isInteger(trailer.Prev) ? trailer.Prev : null;
+}
+
+// Rebuild the xref by scanning for "num gen obj" (last definition wins)
+function rebuildXref(doc) {
+  const text = doc.buf.toString('latin1');
+  const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+
+  doc.repaired = true;
+  doc.xref.clear();
+  doc.cache.clear();
+  doc.objectStreams.clear();
+
+  while ((match = pattern.exec(text))) {
+    doc.xref.set(Number(match[1]), { offset: match.index });
+  }
+
+  // Objects inside object streams, unless defined directly
+  for (const num of [...doc.xref.keys()]) {
+    const value = getObject(doc, num);
+    if (value instanceof PdfStream && value.dict.Type === 'ObjStm') {
+      try {
+        for (const contained of loadObjectStream(doc, num).offsets.keys()) {
+          if (!doc.xref.has(contained)) doc.xref.set(contained, { stream: num });
+        }
+      } catch {
+        // Unreadable object stream: skip it
+      }
+    }
+  }
+
+  // Trailer: the last one in the file, else any xref stream dict, else the catalog
+  doc.trailer = null;
+  const at = text.lastIndexOf('trailer');
+  if (at !== -1) {
+    const trailer = readValue({ buf: doc.buf, pos: at + 7 });
+    if (isDict(trailer) && trailer.Root) doc.trailer = trailer;
+  }
+  if (!doc.trailer) {
+    for (const num of doc.xref.keys()) {
+      const value = getObject(doc, num);
+      if (value instanceof PdfStream && value.dict.Type === 'XRef' && value.dict.Root) {
+        doc.trailer = value.dict;
+      } else if (isDict(value) && value.Type === 'Catalog') {
+        doc.trailer = { Root: new Ref(num, 0) };
+      }
+    }
+  }
+}
+
+// Parse "num gen obj <value> [stream ... endstream]" at a file offset
+function parseIndirectAt(doc, offset, expectedNum = null) {
+  const { buf } = doc;
+  const lx = { buf, pos: offset };
+  const num = readToken(lx);
+  readToken(lx); // generation
+  const obj = readToken(lx);
+  if (!num || num.type !== 'num' || !obj || obj.value !== 'obj' ||
+    (expectedNum !== null && num.value !== expectedNum)) {
+    throw new Error(`object ${expectedNum} not found at offset ${offset}`);
+  }
+
+  const value = readValue(lx);
+  const save = lx.pos;
+  const next = readToken(lx);
+  if (!next || next.type !== 'kw' || next.value !== 'stream' || !isDict(value)) {
+    lx.pos = save;
+    return value;
+  }
+
+  let start = lx.pos;
+  if (buf[start] === 0x0d) start++;
+  if (buf[start] === 0x0a) start++;
+
+  // Trust /Length when "endstream" follows it, otherwise search for it
+  let length = value.Length instanceof Ref ? resolve(doc, value.Length) : value.Length;
+  const endAt = Number.isInteger(length) ? buf.indexOf('endstream', start + length) : -1;
+  if (!Number.isInteger(length) || endAt === -1 || endAt - (start + length) > 4) {
+    const found = buf.indexOf('endstream', start);
+    let end = found === -1 ? buf.length : found;
+    if (buf[end - 1] === 0x0a) end--;
+    if (buf[end - 1] === 0x0d) end--;
+    length = end - start;
+  }
+
+  return new PdfStream(value, buf.subarray(start, start + length));
+}
+
+function loadObjectStream(doc, streamNum) {
+  if (doc.objectStreams.has(streamNum)) return doc.objectStreams.get(streamNum);
+
+  const stream = getObject(doc, streamNum);
+  if (!(stream instanceof PdfStream)) throw new Error(`object stream ${streamNum} not found`);
+
+  const data = decodeStream(doc, stream);
+  const lx = { buf: data, pos: 0 };
+  const offsets = new Map();
+  for (let i = 0; i < stream.dict.N; i++) {
+    const num = readToken(lx);
+    const off = readToken(lx);
+    if (!num || !off) break;
+    offsets.set(num.value, off.value);
+  }
+
+  const objectStream = { data, first: stream.dict.First, offsets };
+  doc.objectStreams.set(streamNum, objectStream);
+  return objectStream;
+}
+
+function getObject(doc, num) {
+  if (doc.cache.has(num)) return doc.cache.get(num);
+  doc.cache.set(num, null); // Guards against reference cycles
+
+  const entry = doc.xref.get(num);
+  let value = null;
+  try {
+    if (entry && entry.offset !== undefined) {
+      value = parseIndirectAt(doc, entry.offset, num);
+    } else if (entry && entry.stream !== undefined) {
+      const objectStream = loadObjectStream(doc, entry.stream);
+      const offset = objectStream.offsets.get(num);
+      if (offset !== undefined) {
+        value = readValue({ buf: objectStream.data, pos: objectStream.first + offset });
+      }
+    }
+  } catch (error) {
+    if (!doc.repaired) {
+      // Stale offsets: rebuild once and retry
+      rebuildXref(doc);
+      doc.cache.delete(num);
+      return getObject(doc, num);
+    }
+    value = null;
+  }
+
+  doc.cache.set(num, value);
+  return value;
+}
+
+function resolve(doc, value) {
+  for (let depth = 0; value instanceof Ref && depth < 32; depth++) {
+    value = getObject(doc, value.num);
+  }
+  return value instanceof Ref ? null : value;
+}
+
+function decodeStream(doc, stream) {
+  let data = stream.raw;
+  const filters = asArray(resolve(doc, stream.dict.Filter));
+  const parms = asArray(resolve(doc, stream.dict.DecodeParms));
+
+  filters.forEach((filter, i) => {
+    const parm = resolve(doc, parms[i]) || null;
+    switch (filter) {
+      case 'FlateDecode':
+      case 'Fl':
+        data = applyPredictor(inflate(data), parm);
+        break;
+      case 'LZWDecode':
+      case 'LZW':
+        data = applyPredictor(lzwDecode(data, parm), parm);
+        break;
+      case 'ASCIIHexDecode':
+      case 'AHx':
+        data = asciiHexDecode(data);
+        break;
+      case 'ASCII85Decode':
+      case 'A85':
+        data = ascii85Decode(data);
+        break;
+      case 'RunLengthDecode':
+      case 'RL':
+        data = runLengthDecode(data);
+        break;
+      default:
+        throw new Error(`unsupported filter ${filter}`);
+    }
+  });
+
+  return data;
+}
+
+// All pages in document order, each with its (inherited) resources
+function getPages(doc) {
+  const root = resolve(doc, doc.trailer.Root);
+  const pages = [];
+  const seen = new Set();
+
+  const walk = (node, inherited) => {
+    if (!isDict(node)) return;
+    const resources = node.Resources !== undefined ? resolve(doc, node.Resources) : inherited;
+
+    if (node.Type === 'Pages' || node.Kids) {
+      for (const kid of asArray(resolve(doc, node.Kids))) {
+        if (kid instanceof Ref) {
+          if (seen.has(kid.num)) continue;
+          seen.add(kid.num);
+        }
+        walk(resolve(doc, kid), resources);
+      }
+    } else {
+      pages.push({ dict: node, resources: resources || {} });
+    }
+  };
+
+  walk(resolve(doc, root.Pages), {});
+  return pages;
+}
+
+// ---------------------------------------------------------------------------
+// Fonts
+// ---------------------------------------------------------------------------
+
+// Thai presentation forms in the Private Use Area (shifted tone marks and
+// vowels, consonants without descenders) used by many Windows Thai fonts
+const THAI_PUA = [
+  '\u0E10', '\u0E34', '\u0E35', '\u0E36', '\u0E37', '\u0E48', '\u0E49', '\u0E4A',
+  '\u0E4B', '\u0E4C', '\u0E48', '\u0E49', '\u0E4A', '\u0E4B', '\u0E4C', '\u0E0D',
+  '\u0E31', '\u0E4D', '\u0E47', '\u0E48', '\u0E49', '\u0E4A', '\u0E4B', '\u0E4C',
+  '\u0E38', '\u0E39', '\u0E3A',
+];
+
+// Adobe Glyph List names for the Thai block, in code point order
+const THAI_GLYPH_NAMES = (
+  'kokai khokhai khokhuat khokhwai khokhon khorakhang ngongu chochan choching ' +
+  'chochang soso chochoe yoying dochada topatak thothan thonangmontho thophuthao ' +
+  'nonen dodek totao thothung thothahan thothong nonu bobaimai popla phophung fofa ' +
+  'phophan fofan phosamphao moma yoyak rorua ru loling lu wowaen sosala sorusi ' +
+  'sosua hohip lochula oang honokhuk paiyannoi saraa maihanakat saraaa saraam ' +
+  'sarai saraii sarauee saraue sarau sarauu phinthu - - - - baht sarae saraae ' +
+  'sarao saraaimaimuan saraaimaimalai lakkhangyao maiyamok maitaikhu maiek maitho ' +
+  'maitri maichattawa thanthakhat nikhahit yamakkan fongman zero one two three ' +
+  'four five six seven eight nine angkhankhu khomut'
+).split(' ');
+
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", quoteright: '’', quoteleft: '‘',
+  parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-',
+  period: '.', slash: '/', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>',
+  question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+  asciicircum: '^', underscore: '_', grave: '`', braceleft: '{', bar: '|',
+  braceright: '}', asciitilde: '~', bullet: '•', endash: '–', emdash: '—',
+  quotedblleft: '“', quotedblright: '”', ellipsis: '…', nbspace: ' ',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+  eight: '8', nine: '9', fi: 'fi', fl: 'fl', degree: '°', section: '§',
+};
+
+THAI_GLYPH_NAMES.forEach((name, i) => {
+  if (name !== '-') GLYPH_NAMES[`${name}thai`] = String.fromCharCode(0x0E01 + i);
+});
+
+function glyphToUnicode(name) {
+  const base = name.split('.')[0];
+  if (GLYPH_NAMES[base]) return GLYPH_NAMES[base];
+  if (/^[A-Za-z]$/.test(base)) return base;
+
+  let match = base.match(/^uni((?:[0-9A-F]{4})+)$/);
+  if (match) {
+    return match[1].match(/.{4}/g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+  }
+  match = base.match(/^u([0-9A-F]{4,6})$/);
+  if (match) return String.fromCodePoint(parseInt(match[1], 16));
+
+  return null;
+}
+
+const WIN_ANSI_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F' +
+  '\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+
+const MAC_ROMAN_HIGH = 'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø' +
+  '¿¡¬√ƒ≈∆«»… ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+
+// Legacy Thai fonts with TIS-620 byte encodings and no ToUnicode map
+const THAI_FONT_NAME = /thai|angsana|cordia|browallia|eucrosia|freesia|irisupc|jasmine|kodchiang|lilyupc|sarabun|psk|niramit/i;
+
+function baseEncoding(name, thaiLegacy) {
+  return code => {
+    if (thaiLegacy && ((code >= 0xA1 && code <= 0xDA) || (code >= 0xDF && code <= 0xFB))) {
+      return String.fromCharCode(code - 0xA0 + 0x0E00);
+    }
+    if (code >= 0x20 && code < 0x7F) {
+      if (name === 'StandardEncoding' && code === 0x27) return '’';
+      if (name === 'StandardEncoding' && code === 0x60) return '‘';
+      return String.fromCharCode(code);
+    }
+    if (code >= 0x80) {
+      if (name === 'MacRomanEncoding') return MAC_ROMAN_HIGH[code - 0x80];
+      if (code < 0xA0) return WIN_ANSI_HIGH[code - 0x80];
+      return String.fromCharCode(code);
+    }
+    return '';
+  };
+}
+
+// Parse a ToUnicode CMap: code space byte lengths and code -> text mappings
+function parseCMap(data) {
+  const lx = { buf: data, pos: 0 };
+  const map = new Map();
+  const codeLengths = new Set();
+  const utf16 = bytes => {
+    const swapped = Buffer.from(bytes);
+    if (swapped.length % 2) return swapped.toString('latin1');
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  };
+  const toCode = bytes => bytes.reduce((a, b) => a * 256 + b, 0);
+
+  let token;
+  while ((token = readToken(lx))) {
+    if (token.type !== 'kw') continue;
+
+    if (token.value === 'begincodespacerange') {
+      while (true) {
+        const low = readToken(lx);
+        if (!low || low.type !== 'string') break;
+        readToken(lx);
+        codeLengths.add(low.value.length);
+      }
+    } else if (token.value === 'beginbfchar') {
+      while (true) {
+        const src = readToken(lx);
+        if (!src || src.type !== 'string') break;
+        const dst = readToken(lx);
+        if (dst && dst.type === 'string') map.set(toCode(src.value), utf16(dst.value));
+        codeLengths.add(src.value.length);
+      }
+    } else if (token.value === 'beginbfrange') {
+      while (true) {
+        const low = readToken(lx);
+        if (!low || low.type !== 'string') break;
+        const high = readToken(lx);
+        const dst = readValue(lx, false);
+        const from = toCode(low.value);
+        const to = Math.min(toCode(high.value), from + 0xFFFF);
+        codeLengths.add(low.value.length);
+
+        if (Array.isArray(dst)) {
+          dst.forEach((item, i) => {
+            if (Buffer.isBuffer(item) && from + i <= to) map.set(from + i, utf16(item));
+          });
+        } else if (Buffer.isBuffer(dst) && dst.length >= 2) {
+          for (let code = from; code <= to; code++) {
+            const bytes = Buffer.from(dst);
+            const last = bytes.readUInt16BE(bytes.length - 2) + (code - from);
+            bytes.writeUInt16BE(last & 0xFFFF, bytes.length - 2);
+            map.set(code, utf16(bytes));
+          }
+        }
+      }
+    }
+  }
+
+  return { map, codeLengths: [...codeLengths].sort((a, b) => b - a) };
+}
+
+// Build a decoder for a font dict: bytes -> [{ text, width, isSpace }]
+function loadFont(doc, fontDict) {
+  const font = resolve(doc, fontDict) || {};
+  const subtype = font.Subtype;
+  const isType0 = subtype === 'Type0';
+
+  let toUnicode = null;
+  const toUnicodeStream = resolve(doc, font.ToUnicode);
+  if (toUnicodeStream instanceof PdfStream) {
+    try {
+      toUnicode = parseCMap(decodeStream(doc, toUnicodeStream));
+    } catch {
+      toUnicode = null;
+    }
+  }
+
+  // Code lengths: 2 bytes for CID fonts unless the ToUnicode code space says otherwise
+  let codeLengths = [1];
+  if (isType0) {
+    codeLengths = toUnicode && toUnicode.codeLengths.length > 0 ? toUnicode.codeLengths : [2];
+  }
+
+  // Widths in glyph space (1/1000 em)
+  let widthOf;
+  if (isType0) {
+    const descendant = resolve(doc, asArray(resolve(doc, font.DescendantFonts))[0]) || {};
+    const defaultWidth = typeof descendant.DW === 'number' ? descendant.DW : 1000;
+    const widths = new Map();
+    const w = asArray(resolve(doc, descendant.W));
+    for (let i = 0; i < w.length;) {
+      const first = resolve(doc, w[i]);
+      const next = resolve(doc, w[i + 1]);
+      if (Array.isArray(next)) {
+        next.forEach((width, j) => widths.set(first + j, resolve(doc, width)));
+        i += 2;
+      } else {
+        const last = next;
+        const width = resolve(doc, w[i + 2]);
+        for (let code = first; code <= last && code - first < 0x10000; code++) widths.set(code, width);
+        i += 3;
+      }
+    }
+    widthOf = code => (widths.has(code) ? widths.get(code) : defaultWidth);
+  } else {
+    const firstChar = resolve(doc, font.FirstChar) || 0;
+    const widths = asArray(resolve(doc, font.Widths)).map(w => resolve(doc, w));
+    const descriptor = resolve(doc, font.FontDescriptor) || {};
+    const missing = typeof descriptor.MissingWidth === 'number' ? descriptor.MissingWidth : 500;
+    widthOf = code => {
+      const width = widths[code - firstChar];
+      return typeof width === 'number' ? width : missing;
+    };
+  }
+
+  // Simple font encodings when there is no ToUnicode entry for a code
+  let fallback = () => '';
+  if (!isType0) {
+    const encoding = resolve(doc, font.Encoding);
+    const encodingName = typeof encoding === 'string' ? encoding : (encoding && encoding.BaseEncoding) || 'StandardEncoding';
+    const differences = new Map();
+    if (isDict(encoding) && Array.isArray(encoding.Differences)) {
+      let code = 0;
+      for (const item of encoding.Differences) {
+        if (typeof item === 'number') code = item;
+        else if (typeof item === 'string') differences.set(code++, item);
+      }
+    }
+    const thaiLegacy = differences.size === 0 && THAI_FONT_NAME.test(font.BaseFont || '');
+    const base = baseEncoding(encodingName, thaiLegacy);
+    fallback = code => {
+      if (differences.has(code)) return glyphToUnicode(differences.get(code)) || '';
+      return base(code);
+    };
+  }
+
+  return {
+    isType0,
+    decode(bytes) {
+      const glyphs = [];
+      for (let i = 0; i < bytes.length;) {
+        let length = codeLengths.find(n => i + n <= bytes.length) || 1;
+        // Prefer the longest code length with a mapping
+        if (toUnicode && codeLengths.length > 1) {
+          length = codeLengths.find(n => i + n <= bytes.length && toUnicode.map.has(bytes.readUIntBE(i, n))) || length;
+        }
+        const code = bytes.readUIntBE(i, length);
+        i += length;
+
+        const text = toUnicode && toUnicode.map.has(code) ? toUnicode.map.get(code) : fallback(code);
+        glyphs.push({ text, width: widthOf(code), isSpace: length === 1 && code === 32 });
+      }
+      return glyphs;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Content streams and layout
+// ---------------------------------------------------------------------------
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[1] * n[2],
+    m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2],
+    m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4],
+    m[4] * n[1] + m[5] * n[3] + n[5],
+  ];
+}
+
+function pageContent(doc, page) {
+  const parts = asArray(resolve(doc, page.dict.Contents))
+    .map(part => resolve(doc, part))
+    .filter(part => part instanceof PdfStream)
+    .map(part => decodeStream(doc, part));
+  return Buffer.concat(parts.flatMap(part => [part, Buffer.from('\n')]));
+}
+
+// Interpret a content stream, collecting positioned text runs. Returns
+// whether any image was painted, so scanned pages can be recognized.
+function collectRuns(doc, content, resources, ctm, runs, fonts, depth = 0) {
+  const lx = { buf: content, pos: 0 };
+  const stack = [];
+  let hasImages = false;
+
+  let gs = { ctm, font: null, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+  let tm = IDENTITY;
+  let tlm = IDENTITY;
+  let operands = [];
+
+  const fontResources = resolve(doc, resources.Font) || {};
+  const xobjects = resolve(doc, resources.XObject) || {};
+
+  const getFont = name => {
+    const ref = fontResources[name];
+    const key = ref instanceof Ref ? ref.num : `${depth}:${name}`;
+    if (!fonts.has(key)) fonts.set(key, ref ? loadFont(doc, ref) : null);
+    return fonts.get(key);
+  };
+
+  const moveLine = (tx, ty) => {
+    tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+    tm = tlm;
+  };
+
+  const show = bytes => {
+    if (!gs.font || !Buffer.isBuffer(bytes)) return;
+    const trm = multiply(multiply([gs.size * gs.scale, 0, 0, gs.size, 0, gs.rise], tm), gs.ctm);
+    const size = Math.sqrt(Math.abs(trm[0] * trm[3] - trm[1] * trm[2])) || gs.size;
+    let text = '';
+    let advance = 0;
+
+    for (const glyph of gs.font.decode(bytes)) {
+      text += glyph.text;
+      advance += ((glyph.width / 1000) * gs.size + gs.charSpacing + (glyph.isSpace ? gs.wordSpacing : 0)) * gs.scale;
+    }
+
+    const start = trm;
+    tm = multiply([1, 0, 0, 1, advance, 0], tm);
+    const end = multiply(multiply([gs.size * gs.scale, 0, 0, gs.size, 0, gs.rise], tm), gs.ctm);
+    if (text) {
+      runs.push({ x: start[4], y: start[5], endX: end[4], size, text });
+    }
+  };
+
+  let token;
+  while ((token = readToken(lx))) {
+    if (token.type !== 'kw' || token.value in LITERALS) {
+      operands.push(tokenValue(lx, token, false));
+      continue;
+    }
+
+    const op = token.value;
+    const args = operands;
+    operands = [];
+
+    switch (op) {
+      case 'q':
+        stack.push({ ...gs });
+        break;
+      case 'Q':
+        if (stack.length > 0) gs = stack.pop();
+        break;
+      case 'cm':
+        if (args.length === 6) gs.ctm = multiply(args, gs.ctm);
+        break;
+      case 'BT':
+        tm = IDENTITY;
+        tlm = IDENTITY;
+        break;
+      case 'Tc':
+        gs.charSpacing = args[0] || 0;
+        break;
+      case 'Tw':
+        gs.wordSpacing = args[0] || 0;
+        break;
+      case 'Tz':
+        gs.scale = (args[0] || 100) / 100;
+        break;
+      case 'TL':
+        gs.leading = args[0] || 0;
+        break;
+      case 'Ts':
+        gs.rise = args[0] || 0;
+        break;
+      case 'Tf':
+        gs.font = getFont(args[0]);
+        gs.size = args[1] || 0;
+        break;
+      case 'Td':
+        moveLine(args[0] || 0, args[1] || 0);
+        break;
+      case 'TD':
+        gs.leading = -(args[1] || 0);
+        moveLine(args[0] || 0, args[1] || 0);
+        break;
+      case 'Tm':
+        if (args.length === 6) {
+          tm = args;
+          tlm = args;
+        }
+        break;
+      case 'T*':
+        moveLine(0, -gs.leading);
+        break;
+      case 'Tj':
+        show(args[0]);
+        break;
+      case "'":
+        moveLine(0, -gs.leading);
+        show(args[0]);
+        break;
+      case '"':
+        gs.wordSpacing = args[0] || 0;
+        gs.charSpacing = args[1] || 0;
+        moveLine(0, -gs.leading);
+        show(args[2]);
+        break;
+      case 'TJ':
+        for (const item of asArray(args[0])) {
+          if (typeof item === 'number') {
+            tm = multiply([1, 0, 0, 1, (-item / 1000) * gs.size * gs.scale, 0], tm);
+          } else {
+            show(item);
+          }
+        }
+        break;
+      case 'Do': {
+        const xobject = resolve(doc, xobjects[args[0]]);
+        if (!(xobject instanceof PdfStream)) break;
+        if (xobject.dict.Subtype === 'Image') {
+          hasImages = true;
+        } else if (xobject.dict.Subtype === 'Form' && depth < 8) {
+          const matrix = asArray(resolve(doc, xobject.dict.Matrix));
+          const formCtm = matrix.length === 6 ? multiply(matrix, gs.ctm) : gs.ctm;
+          const formResources = resolve(doc, xobject.dict.Resources) || resources;
+          try {
+            hasImages = collectRuns(doc, decodeStream(doc, xobject), formResources, formCtm, runs, fonts, depth + 1) || hasImages;
+          } catch {
+            // Unreadable form: skip it
+          }
+        }
+        break;
+      }
+      case 'ID': {
+        // Inline image data runs until whitespace + EI
+        hasImages = true;
+        let end = lx.pos + 1;
+        while (end < content.length) {
+          end = content.indexOf('EI', end);
+          if (end === -1) {
+            end = content.length;
+            break;
+          }
+          if (WHITESPACE.has(content[end - 1]) && (end + 2 >= content.length || WHITESPACE.has(content[end + 2]))) break;
+          end += 2;
+        }
+        lx.pos = end + 2;
+        break;
+      }
+    }
+  }
+
+  return hasImages;
+}
+
+// Order runs into lines (top to bottom, left to right) and join them,
+// adding spaces for visible gaps and blank lines for large vertical gaps
+function layoutRuns(runs) {
+  const sorted = runs.slice().sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+
+  for (const run of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - run.y) <= Math.max(line.size, run.size) * 0.5) {
+      line.runs.push(run);
+      line.size = Math.max(line.size, run.size);
+    } else {
+      lines.push({ y: run.y, size: run.size, runs: [run] });
+    }
+  }
+
+  let text = '';
+  lines.forEach((line, i) => {
+    if (i > 0) {
+      const gap = lines[i - 1].y - line.y;
+      text += gap > line.size * 2.2 ? '\n\n' : '\n';
+    }
+
+    line.runs.sort((a, b) => a.x - b.x);
+    line.runs.forEach((run, j) => {
+      if (j > 0) {
+        const prev = line.runs[j - 1];
+        const gap = run.x - prev.endX;
+        if (gap > Math.max(run.size, prev.size) * 0.25 && !/\s$/.test(prev.text) && !/^\s/.test(run.text)) {
+          text += ' ';
+        }
+      }
+      text += run.text;
+    });
+  });
+
+  return text;
+}
+
+// Clean up extracted text, with Thai-specific fixes
+function normalizeText(text) {
+  return text
+    .replace(/[\uF700-\uF71A]/g, ch => THAI_PUA[ch.charCodeAt(0) - 0xF700])
+    // NIKHAHIT (+ tone mark) + SARA AA -> (tone mark +) SARA AM
+    .replace(/\u0E4D([\u0E48-\u0E4B]?)\u0E32/g, '$1\u0E33')
+    // Tone mark typed after SARA AM belongs before it
+    .replace(/\u0E33([\u0E48-\u0E4B])/g, '$1\u0E33')
+    // No space before Thai combining vowels and marks
+    .replace(/[ \t]+(?=[\u0E31\u0E34-\u0E3A\u0E47-\u0E4E])/g, '')
+    .replace(/[\u0000-\u0008\u000B\u000E-\u001F\uFFFD]/g, '')
+    .replace(/[ \t]+\n/g, '\n')
+    .normalize('NFC');
+}
+
+// Pages with images but (almost) no text are most likely scanned
+const SCANNED_PAGE_MAX_CHARS = 10;
+
+// Extract the text of every page of a PDF held in a Buffer.
+// Returns { pages: [{ text, chars, scanned }], repaired }.
+function extractText(buf) {
+  const doc = openPdf(buf);
+  const fonts = new Map();
+
+  const pages = getPages(doc).map(page => {
+    const runs = [];
+    let hasImages = false;
+    try {
+      hasImages = collectRuns(doc, pageContent(doc, page), page.resources, IDENTITY, runs, fonts);
+    } catch {
+      // Keep whatever text was collected before the error
+    }
+
+    const text = normalizeText(layoutRuns(runs)).trim();
+    const chars = text.replace(/\s/g, '').length;
+    return { text, chars, scanned: hasImages && chars <= SCANNED_PAGE_MAX_CHARS };
+  });
+
+  return { pages, repaired: doc.repaired };
+}
+
+module.exports = {
+  openPdf,
+  checkPdf,
+  getPages,
+  extractText,
+  normalizeText,
+};
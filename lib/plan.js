@@ -0,0 +1,228 @@
+/**
+ * Sync planning: what a sync of some months would fetch and keep on disk,
+ * worked out from upstream listings and meta files before any PDF is
+ * downloaded.
+ *
+ * A plan compares the sync's peak disk usage with the free space in the
+ * output directory and an optional size cap (`--max-size`), deferring the
+ * months past the first one that would take the sync over the cap.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readCentralDirectory } = require('./zip');
+const { createPool } = require('./scheduler');
+const { formatBytes } = require('./format');
+
+// Free bytes on the filesystem holding `dir` (or its nearest existing
+// parent), or null if that can't be told
+function freeSpace(dir) {
+  let current = path.resolve(dir);
+  while (!fs.existsSync(current) && path.dirname(current) !== current) {
+    current = path.dirname(current);
+  }
+  try {
+    const { bavail, bsize } = fs.statfsSync(current);
+    return bavail * bsize;
+  } catch {
+    return null;
+  }
+}
+
+// Why a plan of a sync into `outputDir` can't start, or null if it can
+function planProblem(plan, outputDir) {
+  // The cap leaves nothing to fetch: the next month doesn't fit on its own
+  const first = plan.months.find(m => m.deferred);
+  if (first && !plan.months.some(m => !m.deferred && m.toFetch > 0)) {
+    return `${first.month} alone needs up to ${formatBytes(first.diskBytes + first.tempBytes)} of disk, more than the size cap (${formatBytes(plan.maxSize)})`;
+  }
+  if (!plan.fits) {
+    return `Not enough disk space in ${path.resolve(outputDir)}: the sync needs up to ${formatBytes(plan.peakBytes)}, ${formatBytes(plan.freeBytes)} free (free up space, narrow the selection or cap it with --max-size)`;
+  }
+  return null;
+}
+
+// Planner for a sync into `config.outputDir`, with `config.parallelMonths`
+// months planned at a time and `config.zipConcurrency` archives held at once.
+// `io` is the run being planned:
+//   readMeta(month)        - the month's upstream meta records, without
+//                            saving them (null when there are none)
+//   locate(month)          - 'pdf' or 'zip': where a sync would take the month
+//   remoteIndex(pdfRel)    - Map of the upstream PDFs of a month folder,
+//                            name -> { size }
+//   findZip(month)         - the month's upstream archive as
+//                            { remotePath, size }, or null
+//   readRange(remotePath, start, end) - resolves to those bytes (inclusive)
+//   selectedFiles(records), storage, freeSpace(dir)
+//   inMonth(month, fn)     - runs fn with log lines prefixed by the month
+//                            (no prefix for null)
+//   log(message), emit(event, payload)
+function createPlanner(config, io) {
+  const { outputDir } = config;
+  const { log } = io;
+
+  // Plan a month's sync without downloading any PDFs: the files it needs,
+  // the bytes to fetch, and the bytes it adds to the output dir. Months are
+  // planned from wherever a sync would take them, or from their ZIP with
+  // `zip`. `diskBytes` stay on disk (none when the storage isn't local);
+  // `tempBytes` are a ZIP archive held until its month is extracted and verified.
+  async function planMonth(yearMonth, { zip = false } = {}) {
+    const [year] = yearMonth.split('-');
+    const pdfRel = `pdf/${year}/${yearMonth}`;
+    const meta = await io.readMeta(yearMonth);
+    const source = zip ? 'zip' : await io.locate(yearMonth);
+    const stored = await io.storage.list(pdfRel) || new Map();
+
+    // Upstream size of every wanted file (null when unknown)
+    let sizes;
+    let zipSize = 0;
+    let estimated = false;
+    if (source === 'pdf') {
+      const index = await io.remoteIndex(pdfRel).catch(() => new Map());
+      const names = meta ? io.selectedFiles(meta) : [...index.keys()];
+      sizes = new Map(names.map(name => [name, index.get(name)?.size ?? null]));
+    } else {
+      const archive = await io.findZip(yearMonth);
+      zipSize = archive?.size || 0;
+
+      // Entry sizes from the archive's central directory, when the source
+      // serves Range requests
+      let entries = null;
+      if (zipSize > 0) {
+        const readRange = (start, end) => io.readRange(archive.remotePath, start, end);
+        try {
+          entries = new Map((await readCentralDirectory(zipSize, readRange))
+            .filter(e => e.name.startsWith(`${yearMonth}/`) && e.name.toLowerCase().endsWith('.pdf'))
+            .map(e => [path.posix.basename(e.name), e.uncompressedSize]));
+        } catch {
+          entries = null;
+        }
+      }
+
+      const names = meta ? io.selectedFiles(meta) : entries ? [...entries.keys()] : [];
+      // Without the directory, the month's PDFs (which barely compress) share
+      // the archive size
+      estimated = !entries;
+      const listed = meta ? meta.filter(m => m.pdf_file).length : names.length;
+      const share = listed > 0 ? Math.round(zipSize / listed) : 0;
+      sizes = new Map(names.map(name => [name, entries ? entries.get(name) ?? null : share]));
+    }
+
+    const entry = {
+      month: yearMonth,
+      source,
+      files: sizes.size,
+      present: 0,
+      toFetch: 0,
+      bytesToFetch: 0,
+      bytesPresent: 0,
+      diskBytes: 0,
+      tempBytes: 0,
+      estimated,
+    };
+    for (const [name, size] of sizes) {
+      const have = stored.get(name);
+      if (have && have.size > 0 && (size === null || have.size === size)) {
+        entry.present++;
+        entry.bytesPresent += have.size;
+      } else {
+        entry.toFetch++;
+        entry.diskBytes += size || 0;
+        if (size === null) entry.estimated = true;
+      }
+    }
+
+    if (source === 'pdf') {
+      entry.bytesToFetch = entry.diskBytes;
+    } else if (entry.toFetch > 0) {
+      // The whole archive is fetched, less what an earlier run left on disk
+      const zipPath = path.join(outputDir, 'zip', year, `${yearMonth}.zip`);
+      const kept = [zipPath, `${zipPath}.part`].filter(f => fs.existsSync(f)).map(f => fs.statSync(f).size);
+      const onDisk = Math.min(Math.max(0, ...kept), zipSize);
+      entry.bytesToFetch = zipSize - onDisk;
+      entry.tempBytes = zipSize - onDisk;
+    }
+    if (!io.storage.local) {
+      entry.diskBytes = 0;
+    }
+
+    return entry;
+  }
+
+  // Plan the sync of `months` (see planMonth), compare its peak disk usage
+  // with the free space in the output dir, and with `maxSize` (bytes) leave
+  // out the months past the first one that would take it over the cap. The
+  // peak is what the planned months keep on disk, plus the largest ZIP
+  // archives that can be held at the same time (zipConcurrency). `problem`
+  // says why the sync can't start (null if it can).
+  async function plan(months, { zip = false, maxSize = null } = {}) {
+    log(`\n🧮 Planning ${months.length} months...`);
+
+    const prefixed = Math.min(config.parallelMonths, months.length) > 1;
+    const monthPool = createPool(() => config.parallelMonths);
+    const entries = await Promise.all(months.map(yearMonth => monthPool.run(() =>
+      io.inMonth(prefixed ? yearMonth : null, () => planMonth(yearMonth, { zip })))));
+
+    const peakOf = (list) => list.reduce((a, m) => a + m.diskBytes, 0) +
+      list.map(m => m.tempBytes).sort((a, b) => b - a).slice(0, config.zipConcurrency).reduce((a, b) => a + b, 0);
+
+    const planned = [];
+    let capped = false;
+    for (const entry of entries) {
+      capped = capped || (maxSize !== null && peakOf([...planned, entry]) > maxSize);
+      entry.deferred = capped;
+      if (!capped) planned.push(entry);
+    }
+
+    const total = (key) => planned.reduce((a, m) => a + m[key], 0);
+    const result = {
+      months: entries,
+      files: total('files'),
+      present: total('present'),
+      toFetch: total('toFetch'),
+      bytesToFetch: total('bytesToFetch'),
+      bytesPresent: total('bytesPresent'),
+      peakBytes: peakOf(planned),
+      freeBytes: io.freeSpace(outputDir),
+      maxSize,
+      deferred: entries.filter(m => m.deferred).map(m => m.month),
+      estimated: planned.some(m => m.estimated),
+    };
+    result.fits = planned.length > 0 && (result.freeBytes === null || result.peakBytes <= result.freeBytes);
+    result.problem = planProblem(result, outputDir);
+
+    io.emit('plan', result);
+    return result;
+  }
+
+  // Print a plan: one line per month with `detailed`, then the totals
+  function print(result, { detailed = false } = {}) {
+    if (detailed) {
+      log('\n📋 Plan by month:');
+      for (const m of result.months) {
+        const fetch = m.source === 'zip' && m.toFetch > 0
+          ? `${formatBytes(m.bytesToFetch)} ZIP, ${formatBytes(m.diskBytes)} extracted`
+          : formatBytes(m.bytesToFetch);
+        log(`  ${m.month} (${m.source}/): ${m.files} files, ${m.present} present, ${m.toFetch} to fetch (${fetch})${m.deferred ? ' - deferred by --max-size' : ''}`);
+      }
+    }
+
+    const approx = result.estimated ? '~' : '';
+    log(`\n🧮 Plan: ${result.toFetch} of ${result.files} files to fetch (${approx}${formatBytes(result.bytesToFetch)}), ${result.present} present (${formatBytes(result.bytesPresent)})`);
+    log(`  Peak disk usage: ${approx}${formatBytes(result.peakBytes)}${result.freeBytes === null ? ' (free space unknown)' : `, ${formatBytes(result.freeBytes)} free`}`);
+    if (result.maxSize !== null) {
+      log(`  Size cap: ${formatBytes(result.maxSize)}${result.deferred.length > 0 ? `, ${result.deferred.length} months deferred (${result.deferred[0]} onwards)` : ''}`);
+    }
+    if (result.estimated) {
+      log(`  ~ Estimated: some sizes are not listed upstream`);
+    }
+  }
+
+  return { planMonth, plan, print };
+}
+
+module.exports = {
+  freeSpace,
+  planProblem,
+  createPlanner,
+};
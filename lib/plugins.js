@@ -0,0 +1,145 @@
+/**
+ * Plugins: post-download processing hooked into sync runs.
+ *
+ * A plugin is a module exporting an object of hooks, or a factory
+ * `(options) => hooks` that is called once per run. Every hook is optional
+ * and may be async; it gets a payload and a context { outputDir, log }:
+ *
+ * - `onMetaUpdated({ month, status, metaPath, records, changes })`: a month's
+ *   meta file was downloaded ('new') or changed upstream ('updated', with the
+ *   changelog entry as `changes`)
+ * - `onFileDownloaded({ month, file, source, size, localPath, location, record })`:
+ *   a PDF was downloaded or extracted from a ZIP archive; `record` is its meta
+ *   record, `location` where it is stored (a local path or s3:// URL) and
+ *   `localPath` null unless it is stored locally
+ * - `onMonthVerified({ month, metaPath, expected, found, missing, extra })`:
+ *   a month's local files were checked against its meta file
+ * - `onSyncComplete({ mode, summary })`: a sync finished, after all other
+ *   hooks of the run; `summary` is what sync-summary.json holds
+ *
+ * Hooks run in their own pool, so slow plugins don't hold up downloads. A
+ * hook that throws is logged and counted; the sync and other plugins go on.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createPool } = require('./scheduler');
+
+const HOOKS = ['onMetaUpdated', 'onFileDownloaded', 'onMonthVerified', 'onSyncComplete'];
+
+// Keys a config file may set
+const CONFIG_KEYS = ['plugins', 'pluginConcurrency'];
+
+// Read a config file (JSON, or a JS module exporting an object) with
+// `plugins` and `pluginConcurrency`. Relative plugin paths are resolved
+// against the file's directory.
+function loadConfigFile(file) {
+  const fullPath = path.resolve(file);
+  if (!fs.existsSync(fullPath)) throw new Error(`Config file not found: ${file}`);
+
+  let settings;
+  try {
+    settings = fullPath.endsWith('.json') ? JSON.parse(fs.readFileSync(fullPath, 'utf-8')) : require(fullPath);
+  } catch (error) {
+    throw new Error(`Could not read config file ${file}: ${error.message}`);
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`Config file ${file} must hold an object`);
+  }
+  const unknown = Object.keys(settings).filter(key => !CONFIG_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown keys in config file ${file}: ${unknown.join(', ')} (expected ${CONFIG_KEYS.join(', ')})`);
+  }
+  if (settings.plugins !== undefined && !Array.isArray(settings.plugins)) {
+    throw new Error(`\`plugins\` in config file ${file} must be an array`);
+  }
+  if (settings.pluginConcurrency !== undefined && !(Number.isInteger(settings.pluginConcurrency) && settings.pluginConcurrency > 0)) {
+    throw new Error(`\`pluginConcurrency\` in config file ${file} must be a positive integer`);
+  }
+
+  const baseDir = path.dirname(fullPath);
+  return {
+    ...settings,
+    plugins: (settings.plugins || []).map(spec => resolveSpec(spec, baseDir)),
+  };
+}
+
+// Make a plugin spec's module path absolute; package names are kept
+function resolveSpec(spec, baseDir) {
+  const resolve = (modulePath) => (/^\.{0,2}\//.test(modulePath) ? path.resolve(baseDir, modulePath) : modulePath);
+  if (typeof spec === 'string') return resolve(spec);
+  if (spec && typeof spec.path === 'string') return { ...spec, path: resolve(spec.path) };
+  return spec;
+}
+
+// Load plugins from specs: a module path (or package name), { path, options,
+// name }, or a hooks object. Returns [{ name, hooks }].
+function loadPlugins(specs = []) {
+  return specs.map((spec, i) => {
+    const { path: modulePath = null, options = {}, name = null } = typeof spec === 'string' ? { path: spec } : spec || {};
+    let hooks = modulePath ? null : spec;
+
+    if (modulePath) {
+      try {
+        hooks = require(require.resolve(modulePath, { paths: [process.cwd()] }));
+      } catch (error) {
+        // Without the require stack
+        throw new Error(`Could not load plugin ${modulePath}: ${error.message.split('\n')[0]}`);
+      }
+    }
+    if (typeof hooks === 'function') hooks = hooks(options);
+
+    const pluginName = name || hooks?.name || (modulePath ? path.basename(modulePath, path.extname(modulePath)) : `plugin ${i + 1}`);
+    if (!hooks || typeof hooks !== 'object' || !HOOKS.some(hook => typeof hooks[hook] === 'function')) {
+      throw new Error(`Plugin ${pluginName} has none of the hooks ${HOOKS.join(', ')}`);
+    }
+    return { name: pluginName, hooks };
+  });
+}
+
+// Runner for the hooks of `plugins`, at most `concurrency` at a time.
+// `context(plugin)` is the second argument of the plugin's hooks;
+// `onError(plugin, hook, error)` is told about failed hooks.
+function createPluginRunner(plugins, { concurrency = 2, context = () => ({}), onError = () => {} } = {}) {
+  const pool = createPool(() => concurrency);
+  const pending = new Set();
+  const stats = { calls: 0, errors: 0 };
+
+  return {
+    names: plugins.map(p => p.name),
+    stats,
+
+    has(hook) {
+      return plugins.some(p => typeof p.hooks[hook] === 'function');
+    },
+
+    // Queue `hook` for every plugin that has it. Resolves once they have all
+    // run; never rejects.
+    run(hook, payload) {
+      const tasks = plugins.filter(p => typeof p.hooks[hook] === 'function').map(plugin => {
+        stats.calls++;
+        const task = pool.run(() => plugin.hooks[hook](payload, context(plugin))).catch(error => {
+          stats.errors++;
+          onError(plugin, hook, error);
+        });
+        pending.add(task);
+        task.then(() => pending.delete(task));
+        return task;
+      });
+      return Promise.all(tasks);
+    },
+
+    // Resolves once every queued hook has run
+    async drain() {
+      while (pending.size > 0) {
+        await Promise.all([...pending]);
+      }
+    },
+  };
+}
+
+module.exports = {
+  loadConfigFile,
+  loadPlugins,
+  createPluginRunner,
+};
@@ -0,0 +1,196 @@
+/**
+ * Prune: remove the local files of a month that its meta file no longer
+ * lists, e.g. withdrawn or renamed gazettes.
+ *
+ * Extra PDFs go through the storage (so deduplicated objects leave with
+ * their last link), text sidecars are handled in the output directory, and
+ * the text index, hash cache and journal forget the pruned files. Files are
+ * deleted, or moved into a quarantine folder keeping their paths. A dry run
+ * only reports what would go and changes nothing on disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { moveFile } = require('./storage');
+const { appendRun } = require('./journal');
+const { formatBytes } = require('./format');
+
+// Local files of a month that its meta file doesn't list: PDFs, and text
+// sidecars whose PDF is not listed. Returns a Map of pdf_file name -> paths
+// relative to outputDir.
+function findExtraFiles(outputDir, yearMonth, expectedFiles) {
+  const [year] = yearMonth.split('-');
+  const expected = new Set(expectedFiles);
+  const extra = new Map();
+  const add = (name, relPath) => extra.set(name, [...(extra.get(name) || []), relPath]);
+
+  const pdfRel = `pdf/${year}/${yearMonth}`;
+  const pdfDir = path.join(outputDir, pdfRel);
+  if (fs.existsSync(pdfDir)) {
+    for (const name of fs.readdirSync(pdfDir).sort()) {
+      if (!name.endsWith('.part') && !expected.has(name)) add(name, `${pdfRel}/${name}`);
+    }
+  }
+
+  const textRel = `text/${year}/${yearMonth}`;
+  const textDir = path.join(outputDir, textRel);
+  if (fs.existsSync(textDir)) {
+    const expectedText = new Map(expectedFiles.map(f => [f.replace(/\.pdf$/i, '.txt'), f]));
+    for (const name of fs.readdirSync(textDir).sort()) {
+      if (!name.endsWith('.txt') || expectedText.has(name)) continue;
+      const pdfName = [...extra.keys()].find(f => f.replace(/\.pdf$/i, '.txt') === name) || name.replace(/\.txt$/, '.pdf');
+      add(pdfName, `${textRel}/${name}`);
+    }
+  }
+
+  return extra;
+}
+
+// Pruner for the files in `outputDir`. `io` is the run it prunes for:
+//   storage, source       - the run's storage (must be local) and source
+//   revision              - revision info recorded in the report
+//   journal               - forgets pruned files (forgetFile, flush)
+//   hashCache()           - the hash cache object; saveHashCache() writes it
+//   readMeta(month, { dryRun }) - resolves to the month's upstream meta
+//                           records (null without a meta file); only a
+//                           real prune may save them
+//   refreshCatalog(months), log(message), emit(event, payload)
+function createPruner(outputDir, io) {
+  const { log } = io;
+
+  // Delete, or move into `quarantineDir` (keeping their paths), the files of
+  // a month that its meta `records` no longer list, with their text sidecars,
+  // text index, hash cache and journal entries. Months without meta (null
+  // records), or whose meta lists no PDFs, are left alone. With `dryRun`,
+  // only reports. Returns { month, files: [{ file, paths, bytes }], bytes[, skipped] }.
+  async function pruneMonth(yearMonth, records, { quarantineDir = null, dryRun = false } = {}) {
+    const entry = { month: yearMonth, files: [], bytes: 0 };
+
+    log(`\n🧹 Checking ${yearMonth} for files not in meta...`);
+
+    if (!records) {
+      log(`  ⚠️  No meta file, nothing pruned`);
+      return { ...entry, skipped: 'no meta file' };
+    }
+
+    const expectedFiles = records.map(m => m.pdf_file).filter(Boolean);
+    if (expectedFiles.length === 0) {
+      log(`  ⚠️  Meta file lists no PDFs, nothing pruned`);
+      return { ...entry, skipped: 'meta file lists no PDFs' };
+    }
+
+    const extra = findExtraFiles(outputDir, yearMonth, expectedFiles);
+    if (extra.size === 0) {
+      log(`  ✓ Nothing to prune`);
+      return entry;
+    }
+
+    const action = quarantineDir ? 'quarantine' : 'delete';
+    log(`  ${dryRun ? `Would ${action}` : action === 'delete' ? 'Deleting' : 'Quarantining'} ${extra.size} files:`);
+
+    const cache = io.hashCache();
+    for (const [name, paths] of extra) {
+      const bytes = paths.reduce((a, relPath) => a + fs.statSync(path.join(outputDir, relPath)).size, 0);
+      entry.files.push({ file: name, paths, bytes });
+      entry.bytes += bytes;
+      if (entry.files.length <= 10) log(`     - ${paths.join(', ')} (${formatBytes(bytes)})`);
+      if (dryRun) continue;
+
+      for (const relPath of paths) {
+        const quarantinedTo = quarantineDir ? path.join(quarantineDir, relPath) : null;
+        if (relPath.startsWith('pdf/')) {
+          // Deduplicated objects go with their last link
+          await (quarantinedTo ? io.storage.quarantine(relPath, quarantinedTo) : io.storage.remove(relPath));
+        } else if (quarantinedTo) {
+          moveFile(path.join(outputDir, relPath), quarantinedTo);
+        } else {
+          fs.rmSync(path.join(outputDir, relPath), { force: true });
+        }
+        delete cache[relPath];
+      }
+      io.journal.forgetFile(yearMonth, name);
+    }
+    if (extra.size > 10) log(`     ... and ${extra.size - 10} more`);
+
+    // The text index must forget sidecars that are gone
+    const indexPath = path.join(outputDir, 'text', yearMonth.slice(0, 4), yearMonth, 'index.json');
+    if (!dryRun && fs.existsSync(indexPath)) {
+      const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+      for (const name of extra.keys()) delete index.files[name];
+      fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+    }
+
+    return entry;
+  }
+
+  // Prune `months` against their refreshed meta and write prune-report.json.
+  // A dry run reads the meta into memory and writes nothing. Returns one
+  // pruneMonth() entry per month.
+  async function prune(months, { quarantineDir = null, dryRun = false } = {}) {
+    // Extra files are found and measured in the output directory
+    if (!io.storage.local) {
+      throw new Error(`Pruning reads the PDFs from disk: it cannot prune ${io.storage.description}`);
+    }
+
+    log('═══════════════════════════════════════════════════════════════');
+    log(`  Prune Mode${dryRun ? ' (dry run)' : ''}`);
+    log(`  Source: ${io.source.description}`);
+    log('═══════════════════════════════════════════════════════════════');
+
+    // Every prune quarantines into its own timestamped folder
+    const timestamp = new Date().toISOString();
+    const target = quarantineDir ? path.join(quarantineDir, timestamp.replace(/[:.]/g, '-')) : null;
+    if (target) {
+      log(`\nQuarantine: ${path.resolve(target)}`);
+    }
+
+    const report = [];
+    for (const yearMonth of months) {
+      io.emit('month-start', { month: yearMonth, mode: 'prune' });
+      const records = await io.readMeta(yearMonth, { dryRun });
+      const entry = await pruneMonth(yearMonth, records, { quarantineDir: target, dryRun });
+      report.push(entry);
+      io.emit('month-done', entry);
+    }
+
+    if (!dryRun) {
+      io.saveHashCache();
+      io.journal.flush();
+      io.refreshCatalog(months);
+    }
+
+    const totalFiles = report.reduce((a, m) => a + m.files.length, 0);
+    const totalBytes = report.reduce((a, m) => a + m.bytes, 0);
+    const done = dryRun ? 'would be pruned' : target ? 'quarantined' : 'deleted';
+    log(`\n📈 Prune: ${totalFiles} files (${formatBytes(totalBytes)}) ${done}`);
+
+    const record = {
+      timestamp,
+      mode: 'prune',
+      source: io.source.description,
+      revision: io.revision,
+      dryRun,
+      action: target ? 'quarantine' : 'delete',
+      quarantineDir: target,
+      months: report,
+      totalFiles,
+      totalBytes,
+    };
+    if (!dryRun) {
+      const reportPath = path.join(outputDir, 'prune-report.json');
+      fs.mkdirSync(outputDir, { recursive: true });
+      fs.writeFileSync(reportPath, JSON.stringify(record, null, 2));
+      log(`\n💾 Report saved to: ${reportPath}`);
+      appendRun(outputDir, record);
+    }
+
+    return report;
+  }
+
+  return { pruneMonth, prune };
+}
+
+module.exports = {
+  findExtraFiles,
+  createPruner,
+};
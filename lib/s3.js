@@ -0,0 +1,171 @@
+/**
+ * Minimal client for S3-compatible object stores (AWS S3, MinIO, Ceph, R2...).
+ *
+ * Requests use path-style URLs (`<endpoint>/<bucket>/<key>`), which every
+ * S3-compatible store accepts, and are signed with AWS Signature Version 4.
+ * Payloads are signed with their sha256, so uploads need the body's hash.
+ */
+
+const crypto = require('crypto');
+
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 percent-encoding, as SigV4 expects (encodeURIComponent leaves !'()* alone)
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Sign a request with AWS Signature Version 4. `headers` must include
+// x-amz-content-sha256; every header given is signed. Returns the headers to
+// send (with x-amz-date and Authorization added; host is set by fetch).
+function signRequest({ method, url, headers = {}, region, service = 's3', credentials, date = new Date() }) {
+  const { host, pathname, searchParams } = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+
+  const signed = { ...headers, 'x-amz-date': amzDate };
+  if (credentials.sessionToken) signed['x-amz-security-token'] = credentials.sessionToken;
+
+  const canonicalHeaders = Object.entries({ ...signed, host })
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const signedHeaders = canonicalHeaders.map(([name]) => name).join(';');
+
+  const canonicalQuery = [...searchParams]
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    pathname,
+    canonicalQuery,
+    canonicalHeaders.map(([name, value]) => `${name}:${value}\n`).join(''),
+    signedHeaders,
+    signed['x-amz-content-sha256'],
+  ].join('\n');
+
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = [day, region, service, 'aws4_request'].reduce(hmac, `AWS4${credentials.secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+// Client for one bucket. `io.fetch(url, options)` must throw on HTTP errors
+// (with the status as `error.status`, like fetchWithRetry).
+function createS3Client({ endpoint, region, bucket, credentials }, io) {
+  const base = endpoint.replace(/\/+$/, '');
+
+  function objectUrl(key, query = {}) {
+    const url = `${base}/${encodeRfc3986(bucket)}${key ? `/${key.split('/').map(encodeRfc3986).join('/')}` : ''}`;
+    const search = new URLSearchParams(query).toString();
+    return search ? `${url}?${search}` : url;
+  }
+
+  function request(method, key, { query, headers = {}, body = null, sha256 = null } = {}) {
+    const url = objectUrl(key, query);
+    const signed = signRequest({
+      method,
+      url,
+      region,
+      credentials,
+      headers: { ...headers, 'x-amz-content-sha256': sha256 || (body ? sha256Hex(body) : EMPTY_SHA256) },
+    });
+    return io.fetch(url, { method, headers: signed, body });
+  }
+
+  const notFound = (error) => error.status === 404;
+
+  return {
+    // { size, metadata } of an object, or null if there is none
+    async head(key) {
+      try {
+        const response = await request('HEAD', key);
+        const metadata = {};
+        for (const [name, value] of response.headers) {
+          if (name.startsWith('x-amz-meta-')) metadata[name.slice('x-amz-meta-'.length)] = value;
+        }
+        return { size: Number(response.headers.get('content-length')), metadata };
+      } catch (error) {
+        if (notFound(error)) return null;
+        throw error;
+      }
+    },
+
+    // An object's content as a Buffer, or null if there is none
+    async get(key) {
+      try {
+        return Buffer.from(await (await request('GET', key)).arrayBuffer());
+      } catch (error) {
+        if (notFound(error)) return null;
+        throw error;
+      }
+    },
+
+    // Upload `body` (a Buffer). `metadata` becomes x-amz-meta-* headers.
+    async put(key, body, { sha256 = null, contentType = 'application/octet-stream', metadata = {} } = {}) {
+      const headers = { 'content-type': contentType };
+      for (const [name, value] of Object.entries(metadata)) headers[`x-amz-meta-${name}`] = value;
+      const response = await request('PUT', key, { headers, body, sha256 });
+      await response.body?.cancel();
+    },
+
+    async delete(key) {
+      try {
+        const response = await request('DELETE', key);
+        await response.body?.cancel();
+      } catch (error) {
+        if (!notFound(error)) throw error;
+      }
+    },
+
+    // Every object under `prefix` as [{ key, size }] (ListObjectsV2, all pages).
+    // With a `delimiter`, keys in deeper "folders" are left out.
+    async list(prefix, { delimiter = null } = {}) {
+      const objects = [];
+      let token = null;
+      do {
+        const query = { 'list-type': '2', prefix };
+        if (delimiter) query.delimiter = delimiter;
+        if (token) query['continuation-token'] = token;
+
+        const xml = await (await request('GET', '', { query })).text();
+        for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          objects.push({ key: xmlValue(contents, 'Key'), size: Number(xmlValue(contents, 'Size')) });
+        }
+        token = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+      } while (token);
+      return objects;
+    },
+  };
+}
+
+module.exports = {
+  signRequest,
+  createS3Client,
+};
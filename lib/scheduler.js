@@ -0,0 +1,135 @@
+/**
+ * Request scheduling shared by everything one sync run downloads.
+ *
+ * - Concurrency adapts to the server: it is halved whenever a request is
+ *   throttled (HTTP 429/503) and creeps back up, one slot at a time, after a
+ *   run of successful requests (never above the configured maximum).
+ * - A throttled request pauses every new request until its Retry-After (or
+ *   backoff) delay has passed.
+ * - An optional bandwidth cap (bytes per second) applies to all response
+ *   bodies together.
+ *
+ * Work pools queue tasks from all months of a run, so they share these limits.
+ */
+
+const { AsyncResource } = require('async_hooks');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delay asked for by a Retry-After header (seconds or an HTTP date), in ms.
+// Returns null when the header is missing or unreadable.
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\s*\d+\s*$/.test(value)) return Number(value) * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Successful requests needed, per concurrency slot, before adding a slot back
+const RECOVERY_PER_SLOT = 10;
+
+function createScheduler({ concurrency, maxBandwidth = null }) {
+  let limit = concurrency;
+  let successes = 0;
+  let pausedUntil = 0;
+  let nextByteAt = 0;
+
+  // Wait for the bandwidth budget of `bytes`: chunks are spaced so the
+  // average rate across all streams stays at maxBandwidth
+  async function consume(bytes) {
+    const now = Date.now();
+    const at = Math.max(nextByteAt, now);
+    nextByteAt = at + (bytes / maxBandwidth) * 1000;
+    if (at > now) await sleep(at - now);
+  }
+
+  return {
+    // Requests that may run at the same time right now
+    get concurrency() {
+      return limit;
+    },
+
+    // Resolves once new requests may start
+    async ready() {
+      while (Date.now() < pausedUntil) {
+        await sleep(pausedUntil - Date.now());
+      }
+    },
+
+    succeeded() {
+      if (limit < concurrency && ++successes >= limit * RECOVERY_PER_SLOT) {
+        limit++;
+        successes = 0;
+      }
+    },
+
+    // The server throttled a request: slow down and pause for `delay` ms.
+    // Returns the new concurrency.
+    throttled(delay) {
+      limit = Math.max(1, Math.floor(limit / 2));
+      successes = 0;
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      return limit;
+    },
+
+    // Apply the bandwidth cap to a fetch Response's body
+    limitBody(response) {
+      if (!maxBandwidth || !response.body) return response;
+
+      const body = response.body.pipeThrough(new TransformStream({
+        async transform(chunk, controller) {
+          await consume(chunk.byteLength);
+          controller.enqueue(chunk);
+        },
+      }));
+      return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      });
+    },
+  };
+}
+
+// Queue of async tasks running at most `limit()` at a time, in order.
+// `priority` tasks (e.g. meta fetches that feed more work) go to the front.
+// Tasks keep the async context they were queued from.
+function createPool(limit) {
+  const queue = [];
+  let active = 0;
+
+  function next() {
+    while (active < limit() && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  }
+
+  return {
+    run(task, { priority = false } = {}) {
+      task = AsyncResource.bind(task);
+      return new Promise((resolve, reject) => {
+        if (priority) {
+          queue.unshift({ task, resolve, reject });
+        } else {
+          queue.push({ task, resolve, reject });
+        }
+        next();
+      });
+    },
+  };
+}
+
+module.exports = {
+  createPool,
+  createScheduler,
+  parseRetryAfter,
+};
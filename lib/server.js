@@ -0,0 +1,345 @@
+/**
+ * Read-only HTTP server over a local download tree.
+ *
+ *   GET /                         Web UI
+ *   GET /api/status               Contents of sync-summary.json
+ *   GET /api/months               Local months with record, PDF and text counts
+ *   GET /api/months/YYYY-MM       Meta records of a month, with local file links
+ *   GET /api/search?q=&from=&to=&limit=
+ *                                 Catalog search (see lib/catalog.js)
+ *   GET /pdf/YYYY/YYYY-MM/x.pdf   PDF files (Range requests supported)
+ *   GET /text/YYYY/YYYY-MM/x.txt  Extracted text sidecars
+ *
+ * Only local files are read; nothing is fetched or written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { searchCatalog } = require('./catalog');
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+};
+
+function sendJson(res, status, body) {
+  const data = Buffer.from(JSON.stringify(body, null, 2));
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': data.length,
+  });
+  res.end(res.req.method === 'HEAD' ? undefined : data);
+}
+
+function sendError(res, status, message) {
+  sendJson(res, status, { error: message });
+}
+
+function readJsonl(file) {
+  const records = [];
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // Skip malformed lines
+    }
+  }
+  return records;
+}
+
+function listDir(dir) {
+  try {
+    return fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+}
+
+// Local months found in meta/ or pdf/, newest first
+function listMonths(outputDir) {
+  const months = new Set();
+  for (const root of ['meta', 'pdf']) {
+    for (const year of listDir(path.join(outputDir, root))) {
+      for (const name of listDir(path.join(outputDir, root, year))) {
+        const match = name.match(/^(\d{4}-\d{2})(?:\.jsonl)?$/);
+        if (match) months.add(match[1]);
+      }
+    }
+  }
+
+  return [...months].sort().reverse().map(month => {
+    const year = month.slice(0, 4);
+    const metaPath = path.join(outputDir, 'meta', year, `${month}.jsonl`);
+    const pdfs = listDir(path.join(outputDir, 'pdf', year, month)).filter(f => f.endsWith('.pdf'));
+    const texts = listDir(path.join(outputDir, 'text', year, month)).filter(f => f.endsWith('.txt'));
+    return {
+      month,
+      records: fs.existsSync(metaPath) ? readJsonl(metaPath).length : null,
+      pdfs: pdfs.length,
+      texts: texts.length,
+    };
+  });
+}
+
+// Local file links for a meta record
+function recordLinks(outputDir, month, record) {
+  if (!record.pdf_file) return { pdf: null, text: null };
+  const year = month.slice(0, 4);
+  const pdf = `pdf/${year}/${month}/${record.pdf_file}`;
+  const text = `text/${year}/${month}/${record.pdf_file.replace(/\.pdf$/i, '.txt')}`;
+  return {
+    pdf: fs.existsSync(path.join(outputDir, pdf)) ? `/${pdf}` : null,
+    text: fs.existsSync(path.join(outputDir, text)) ? `/${text}` : null,
+  };
+}
+
+function monthRecords(outputDir, month) {
+  const metaPath = path.join(outputDir, 'meta', month.slice(0, 4), `${month}.jsonl`);
+  if (!fs.existsSync(metaPath)) return null;
+  return readJsonl(metaPath).map(record => ({ record, ...recordLinks(outputDir, month, record) }));
+}
+
+// Parse a single "bytes=" range against a file size. Returns null for no
+// (or an unsupported multi-) range, false if unsatisfiable.
+function parseRange(header, size) {
+  const match = header && header.match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start > end || start >= size) return false;
+  return { start, end };
+}
+
+// Serve a file under pdf/ or text/, honouring Range and conditional requests
+function serveFile(req, res, file) {
+  let stats;
+  try {
+    stats = fs.statSync(file);
+  } catch {
+    sendError(res, 404, 'Not found');
+    return;
+  }
+  if (!stats.isFile()) {
+    sendError(res, 404, 'Not found');
+    return;
+  }
+
+  const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+  const headers = {
+    'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+    'Last-Modified': stats.mtime.toUTCString(),
+    ETag: etag,
+  };
+
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  // If-Range with a stale validator means: send the whole file
+  const ifRange = req.headers['if-range'];
+  const range = !ifRange || ifRange === etag ? parseRange(req.headers.range, stats.size) : null;
+
+  if (range === false) {
+    res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stats.size}` });
+    res.end();
+    return;
+  }
+
+  const { start, end } = range || { start: 0, end: stats.size - 1 };
+  if (range) {
+    headers['Content-Range'] = `bytes ${start}-${end}/${stats.size}`;
+  }
+  headers['Content-Length'] = Math.max(0, end - start + 1);
+  res.writeHead(range ? 206 : 200, headers);
+
+  if (req.method === 'HEAD' || stats.size === 0) {
+    res.end();
+    return;
+  }
+
+  const stream = fs.createReadStream(file, { start, end });
+  stream.on('error', () => res.destroy());
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+}
+
+// Create (but don't start) the server for a download tree
+function createServer(outputDir) {
+  const root = path.resolve(outputDir);
+
+  return http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      sendError(res, 405, 'Method not allowed');
+      return;
+    }
+
+    let url;
+    let pathname;
+    try {
+      url = new URL(req.url, 'http://localhost');
+      pathname = decodeURIComponent(url.pathname);
+    } catch {
+      sendError(res, 400, 'Bad request');
+      return;
+    }
+
+    try {
+      if (pathname === '/') {
+        const page = Buffer.from(INDEX_HTML);
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': page.length });
+        res.end(req.method === 'HEAD' ? undefined : page);
+        return;
+      }
+
+      if (pathname === '/api/status') {
+        const summaryPath = path.join(root, 'sync-summary.json');
+        if (!fs.existsSync(summaryPath)) {
+          sendError(res, 404, 'No sync has completed yet');
+          return;
+        }
+        sendJson(res, 200, JSON.parse(fs.readFileSync(summaryPath, 'utf-8')));
+        return;
+      }
+
+      if (pathname === '/api/months') {
+        sendJson(res, 200, { months: listMonths(root) });
+        return;
+      }
+
+      let match = pathname.match(/^\/api\/months\/(\d{4}-\d{2})$/);
+      if (match) {
+        const records = monthRecords(root, match[1]);
+        if (!records) {
+          sendError(res, 404, `No meta file for ${match[1]}`);
+          return;
+        }
+        sendJson(res, 200, { month: match[1], records });
+        return;
+      }
+
+      if (pathname === '/api/search') {
+        const terms = (url.searchParams.get('q') || '').match(/"[^"]+"|\S+/g) || [];
+        const limit = Number(url.searchParams.get('limit')) || 50;
+        const { matches, total } = searchCatalog(root, {
+          terms: terms.map(term => term.replace(/^"|"$/g, '')),
+          from: url.searchParams.get('from'),
+          to: url.searchParams.get('to'),
+          limit,
+        });
+        sendJson(res, 200, {
+          total,
+          matches: matches.map(({ month, record }) => ({ month, record, ...recordLinks(root, month, record) })),
+        });
+        return;
+      }
+
+      match = pathname.match(/^\/(pdf|text)\/(\d{4})\/(\d{4}-\d{2})\/([^/\\]+)$/);
+      if (match && !match[4].startsWith('.') && match[3].startsWith(match[2])) {
+        serveFile(req, res, path.join(root, match[1], match[2], match[3], match[4]));
+        return;
+      }
+
+      sendError(res, 404, 'Not found');
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  });
+}
+
+const INDEX_HTML = `<!DOCTYPE html>
+<html lang="th">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Ratchakitcha mirror</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0; display: flex; height: 100vh; color: #222; }
+  nav { width: 15rem; overflow-y: auto; border-right: 1px solid #ddd; background: #fafafa; }
+  nav a { display: block; padding: .4rem .8rem; color: inherit; text-decoration: none; }
+  nav a:hover, nav a.active { background: #e8eefc; }
+  nav small { color: #777; }
+  main { flex: 1; overflow-y: auto; padding: 1rem 1.5rem; }
+  #status { color: #555; font-size: .9rem; margin-bottom: 1rem; }
+  form { margin-bottom: 1rem; }
+  input { padding: .3rem; width: 20rem; }
+  table { border-collapse: collapse; width: 100%; font-size: .9rem; }
+  th, td { text-align: left; padding: .3rem .5rem; border-bottom: 1px solid #eee; vertical-align: top; }
+  .missing { color: #aaa; }
+</style>
+</head>
+<body>
+<nav id="months"></nav>
+<main>
+  <div id="status"></div>
+  <form id="search"><input name="q" placeholder="Search catalog"> <button>Search</button></form>
+  <h2 id="title"></h2>
+  <table id="records"></table>
+</main>
+<script>
+const $ = id => document.getElementById(id);
+const esc = value => String(value ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const getJson = url => fetch(url).then(r => r.ok ? r.json() : r.json().then(e => Promise.reject(new Error(e.error))));
+
+function showRecords(title, rows) {
+  $('title').textContent = title;
+  const fields = ['doctitle', 'section', 'category', 'publishDate'];
+  $('records').innerHTML = '<tr><th>pdf_file</th>' + fields.map(f => '<th>' + f + '</th>').join('') + '<th></th></tr>' +
+    rows.map(({ record, pdf, text, month }) => '<tr>' +
+      '<td>' + (pdf ? '<a href="' + esc(pdf) + '">' + esc(record.pdf_file) + '</a>' : '<span class="missing">' + esc(record.pdf_file) + '</span>') + '</td>' +
+      fields.map(f => '<td>' + esc(record[f]) + '</td>').join('') +
+      '<td>' + (text ? '<a href="' + esc(text) + '">text</a> ' : '') + (month ? esc(month) : '') + '</td></tr>').join('');
+}
+
+async function openMonth(month) {
+  document.querySelectorAll('nav a').forEach(a => a.classList.toggle('active', a.dataset.month === month));
+  try {
+    const { records } = await getJson('/api/months/' + month);
+    showRecords(month + ' (' + records.length + ' records)', records);
+  } catch (error) {
+    showRecords(month + ': ' + error.message, []);
+  }
+}
+
+getJson('/api/months').then(({ months }) => {
+  $('months').innerHTML = months.map(m =>
+    '<a href="#' + m.month + '" data-month="' + m.month + '">' + m.month +
+    ' <small>' + m.pdfs + ' PDFs' + (m.records !== null ? ' / ' + m.records + ' records' : '') + '</small></a>').join('');
+  if (location.hash) openMonth(location.hash.slice(1));
+});
+
+getJson('/api/status').then(s => {
+  $('status').textContent = 'Last sync: ' + new Date(s.timestamp).toLocaleString() + ' (' + s.mode + ', ' + s.months.length + ' months)';
+}).catch(() => { $('status').textContent = 'No sync summary yet'; });
+
+window.addEventListener('hashchange', () => location.hash && openMonth(location.hash.slice(1)));
+
+$('search').addEventListener('submit', async event => {
+  event.preventDefault();
+  const q = event.target.q.value.trim();
+  if (!q) return;
+  const { total, matches } = await getJson('/api/search?q=' + encodeURIComponent(q) + '&limit=200');
+  showRecords(total + ' matches for "' + q + '"', matches);
+});
+</script>
+</body>
+</html>
+`;
+
+module.exports = {
+  createServer,
+};
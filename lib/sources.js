@@ -0,0 +1,279 @@
+/**
+ * Upstream sources the dataset can be synced from.
+ *
+ * Every source exposes the dataset layout (`meta/YYYY/YYYY-MM.jsonl`,
+ * `pdf/YYYY/YYYY-MM/*.pdf`, `zip/YYYY/YYYY-MM.zip`) through the same methods:
+ *
+ * - `list(remotePath)` lists a folder as HuggingFace tree API style entries
+ *   `{ type: 'file' | 'directory', path, size, oid, lfs? }`
+ * - `fetch(remotePath, { headers })` resolves with a fetch `Response` for a
+ *   file, honouring `Range` headers
+ * - `resolveRevision(revision)` resolves a branch, tag or commit to a commit
+ *   SHA, or null for sources without revisions
+ *
+ * Sources with `hasObjectIds` give every entry an `oid` that changes when the
+ * file (or anything inside the folder) changes, for incremental syncs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// HuggingFace dataset repository. `config` is read on every call, so pinning
+// `config.revision` to a commit SHA affects all later requests.
+// `io.fetch(url, options)` must throw on HTTP errors (e.g. fetchWithRetry).
+function createHuggingFaceSource(config, io) {
+  const authHeaders = () => {
+    const token = config.token || process.env.HF_TOKEN;
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  };
+  const apiUrl = (remotePath) =>
+    `${config.baseUrl}/api/datasets/${config.repo}/tree/${encodeURIComponent(config.revision)}/${remotePath}`;
+  const downloadUrl = (remotePath) =>
+    `${config.baseUrl}/datasets/${config.repo}/resolve/${encodeURIComponent(config.revision)}/${remotePath}`;
+
+  return {
+    description: `HuggingFace ${config.repo}`,
+    hasObjectIds: true,
+
+    async resolveRevision(revision) {
+      const url = `${config.baseUrl}/api/datasets/${config.repo}/revision/${encodeURIComponent(revision)}`;
+
+      let info;
+      try {
+        info = await (await io.fetch(url, { headers: authHeaders() })).json();
+      } catch (error) {
+        throw new Error(`Could not resolve revision "${revision}": ${error.message}`);
+      }
+      if (!info.sha) {
+        throw new Error(`Could not resolve revision "${revision}": no commit SHA in response`);
+      }
+      return info.sha;
+    },
+
+    // Follows the API's cursor pagination (Link header)
+    async list(remotePath) {
+      const allItems = [];
+      let cursor = null;
+      let pageNum = 1;
+
+      while (true) {
+        let url = apiUrl(remotePath);
+        if (cursor) {
+          url += `?cursor=${encodeURIComponent(cursor)}`;
+        }
+
+        const response = await io.fetch(url, { headers: authHeaders() });
+
+        // Check for next page cursor in Link header
+        const linkHeader = response.headers.get('Link');
+        let nextCursor = null;
+        if (linkHeader) {
+          const match = linkHeader.match(/cursor=([^&>]+)/);
+          if (match) {
+            nextCursor = decodeURIComponent(match[1]);
+          }
+        }
+
+        const items = await response.json();
+        allItems.push(...items);
+
+        // If we got less than 1000 items or no next cursor, we're done
+        if (!nextCursor || items.length < 1000) {
+          break;
+        }
+
+        cursor = nextCursor;
+        pageNum++;
+        io.progress(`  Fetching file list... page ${pageNum} (${allItems.length} entries so far)`);
+      }
+
+      return allItems;
+    },
+
+    fetch(remotePath, { headers = {} } = {}) {
+      return io.fetch(downloadUrl(remotePath), { headers: { ...authHeaders(), ...headers } });
+    },
+  };
+}
+
+// Links in a directory listing page that point at direct children of `url`.
+// Works with the HTML listings of nginx, Apache, `python -m http.server` and
+// the like: names ending in `/` are directories.
+function parseListingLinks(html, url) {
+  const base = new URL(url);
+  const names = new Set();
+
+  for (const [, href] of html.matchAll(/href\s*=\s*["']([^"']+)["']/gi)) {
+    let target;
+    try {
+      target = new URL(href.replace(/&amp;/g, '&'), base);
+    } catch {
+      continue;
+    }
+    if (target.origin !== base.origin || target.search || !target.pathname.startsWith(base.pathname)) continue;
+
+    const name = decodeURIComponent(target.pathname.slice(base.pathname.length));
+    if (/^[^/]+\/?$/.test(name) && name !== './' && name !== '../') names.add(name);
+  }
+
+  return [...names];
+}
+
+// Plain HTTP mirror of the dataset layout (any static file server with
+// directory listings; nginx `autoindex_format json` listings carry sizes).
+// Mirrors have no revisions or object ids.
+function createHttpSource(baseUrl, io) {
+  const root = baseUrl.replace(/\/+$/, '');
+  const fileUrl = (remotePath) => `${root}/${remotePath.split('/').map(encodeURIComponent).join('/')}`;
+
+  return {
+    description: `HTTP mirror ${root}`,
+    hasObjectIds: false,
+
+    async resolveRevision() {
+      return null;
+    },
+
+    async list(remotePath) {
+      const url = `${fileUrl(remotePath)}/`;
+      const response = await io.fetch(url);
+
+      if ((response.headers.get('content-type') || '').includes('json')) {
+        return (await response.json()).map(item => ({
+          type: item.type === 'directory' ? 'directory' : 'file',
+          path: `${remotePath}/${item.name}`,
+          size: item.type === 'directory' ? null : item.size ?? null,
+          oid: null,
+        }));
+      }
+
+      return parseListingLinks(await response.text(), url).map(name => ({
+        type: name.endsWith('/') ? 'directory' : 'file',
+        path: `${remotePath}/${name.replace(/\/$/, '')}`,
+        size: null,
+        oid: null,
+      }));
+    },
+
+    fetch(remotePath, { headers = {} } = {}) {
+      return io.fetch(fileUrl(remotePath), { headers });
+    },
+  };
+}
+
+// Change id of a local file or folder, from sizes and mtimes (folders hash
+// their children's ids, so a change anywhere inside changes the folder's id)
+function localOid(fullPath) {
+  const stats = fs.statSync(fullPath);
+  const hash = crypto.createHash('sha1');
+
+  if (stats.isDirectory()) {
+    for (const name of fs.readdirSync(fullPath).sort()) {
+      hash.update(`${name}:${localOid(path.join(fullPath, name))};`);
+    }
+  } else {
+    hash.update(`${stats.size}:${stats.mtimeMs}`);
+  }
+
+  return hash.digest('hex');
+}
+
+// Local directory (or NFS share) with the dataset layout, such as another
+// machine's downloads/ tree. It has no revisions; object ids come from file
+// sizes and mtimes.
+function createLocalSource(dir) {
+  const root = path.resolve(dir);
+  const resolve = (remotePath) => {
+    const fullPath = path.resolve(root, remotePath);
+    if (fullPath !== root && !fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Path outside the source directory: ${remotePath}`);
+    }
+    return fullPath;
+  };
+
+  return {
+    description: `local directory ${root}`,
+    hasObjectIds: true,
+
+    async resolveRevision() {
+      if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+        throw new Error(`Source directory not found: ${root}`);
+      }
+      return null;
+    },
+
+    async list(remotePath) {
+      const dirPath = resolve(remotePath);
+
+      return fs.readdirSync(dirPath, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() || entry.isFile())
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(entry => {
+          const fullPath = path.join(dirPath, entry.name);
+          const item = {
+            type: entry.isDirectory() ? 'directory' : 'file',
+            path: `${remotePath}/${entry.name}`,
+            size: entry.isDirectory() ? null : fs.statSync(fullPath).size,
+          };
+          // Computed on first use: hashing a folder walks everything inside it
+          let oid;
+          Object.defineProperty(item, 'oid', {
+            enumerable: true,
+            get: () => (oid ??= localOid(fullPath)),
+          });
+          return item;
+        });
+    },
+
+    async fetch(remotePath, { headers = {} } = {}) {
+      const fullPath = resolve(remotePath);
+      if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) {
+        throw new Error(`Not found: ${remotePath}`);
+      }
+
+      const { size } = fs.statSync(fullPath);
+      const range = (headers.Range || headers.range || '').match(/^bytes=(\d+)-(\d*)$/);
+      if (!range) {
+        return new Response(Readable.toWeb(fs.createReadStream(fullPath)), {
+          headers: { 'Content-Length': String(size) },
+        });
+      }
+
+      const start = Number(range[1]);
+      const end = Math.min(range[2] === '' ? size - 1 : Number(range[2]), size - 1);
+      if (start > end) {
+        throw new Error(`Range ${start}-${range[2]} not satisfiable for ${remotePath} (${size} bytes)`);
+      }
+      return new Response(Readable.toWeb(fs.createReadStream(fullPath, { start, end })), {
+        status: 206,
+        headers: {
+          'Content-Length': String(end - start + 1),
+          'Content-Range': `bytes ${start}-${end}/${size}`,
+        },
+      });
+    },
+  };
+}
+
+// Pick the source for `config.source`: 'huggingface', an http(s) URL of a
+// mirror, or a local directory
+function createSource(config, io) {
+  const source = config.source || 'huggingface';
+
+  if (source === 'huggingface' || source === 'hf') {
+    return createHuggingFaceSource(config, io);
+  }
+  if (/^https?:\/\//i.test(source)) {
+    return createHttpSource(source, io);
+  }
+  return createLocalSource(source);
+}
+
+module.exports = {
+  createSource,
+  createHuggingFaceSource,
+  createHttpSource,
+  createLocalSource,
+};
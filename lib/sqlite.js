@@ -0,0 +1,222 @@
+/**
+ * Minimal SQLite database writer for one flat table.
+ *
+ * Rows are appended in rowid order: table b-tree leaf pages are written as
+ * they fill up, payloads too large for a page spill into overflow pages, and
+ * the interior pages are built on close, followed by page 1 (the file header
+ * and the sqlite_master entry with the CREATE TABLE statement). The result is
+ * an ordinary database file (schema format 4, UTF-8, 4096-byte pages) that
+ * sqlite3 and every SQLite library can open and modify.
+ */
+
+const fs = require('fs');
+
+const PAGE_SIZE = 4096;
+const HEADER_SIZE = 100; // File header at the start of page 1
+const LEAF_TABLE = 0x0d;
+const INTERIOR_TABLE = 0x05;
+const SQL_TYPES = { string: 'TEXT', integer: 'INTEGER', double: 'REAL', boolean: 'INTEGER' };
+
+// Payload thresholds for table b-tree cells (see "Cell Payload Overflow
+// Pages" in the file format documentation)
+const MAX_LOCAL = PAGE_SIZE - 35;
+const MIN_LOCAL = Math.floor(((PAGE_SIZE - 12) * 32) / 255) - 23;
+
+// Children per interior page: cells are at most 4 + 9 bytes plus a 2-byte
+// pointer, and the last child is the page's right-most pointer
+const FANOUT = Math.floor((PAGE_SIZE - 12) / 15) + 1;
+
+// Big-endian variable-length integer (values below 2^56, which covers rowids,
+// sizes and serial types)
+function varint(value) {
+  const bytes = [value % 128];
+  value = Math.floor(value / 128);
+  while (value > 0) {
+    bytes.unshift((value % 128) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  return Buffer.from(bytes);
+}
+
+function uint32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(value);
+  return buf;
+}
+
+// Serial type and body of one value
+function encodeValue(value) {
+  if (value === null || value === undefined) return [0, null];
+  if (typeof value === 'boolean') return [value ? 9 : 8, null];
+
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    if (value === 0 || value === 1) return [value ? 9 : 8, null];
+    const buf = Buffer.alloc(8);
+    buf.writeBigInt64BE(BigInt(value));
+    // Smallest of the 1, 2, 3, 4, 6 and 8-byte two's complement forms
+    for (const [type, size] of [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6]]) {
+      const limit = 2 ** (size * 8 - 1);
+      if (value >= -limit && value < limit) return [type, buf.subarray(8 - size)];
+    }
+    return [6, buf];
+  }
+
+  if (typeof value === 'number') {
+    const buf = Buffer.alloc(8);
+    buf.writeDoubleBE(value);
+    return [7, buf];
+  }
+
+  const text = Buffer.from(String(value), 'utf-8');
+  return [13 + text.length * 2, text];
+}
+
+// Record format: a header of serial types (prefixed with its own size), then
+// the value bodies
+function encodeRecord(values) {
+  const encoded = values.map(encodeValue);
+  const types = Buffer.concat(encoded.map(([type]) => varint(type)));
+
+  let headerSize = types.length + 1;
+  while (varint(headerSize).length + types.length !== headerSize) headerSize++;
+
+  return Buffer.concat([varint(headerSize), types, ...encoded.map(([, body]) => body).filter(Boolean)]);
+}
+
+function quoteName(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Create a writer for `filePath` with one table (default name "records").
+// `columns` are { name, type } with type 'string', 'integer', 'double' or
+// 'boolean'. Returns { write(values), close() } where `values` is one row in
+// column order (null for missing values).
+function createSqliteWriter(filePath, columns, { table = 'records' } = {}) {
+  for (const column of columns) {
+    if (!(column.type in SQL_TYPES)) throw new Error(`Unsupported column type: ${column.type}`);
+  }
+
+  const fd = fs.openSync(filePath, 'w');
+  let pageCount = 1; // Page 1 is written on close
+  let rowid = 0;
+  let leafCells = [];
+  let leafUsed = 8; // Leaf page header
+  const leaves = []; // { page, key }: each leaf and its largest rowid
+
+  const allocate = () => ++pageCount;
+  const writePage = (pageNo, buf) => fs.writeSync(fd, buf, 0, PAGE_SIZE, (pageNo - 1) * PAGE_SIZE);
+
+  // B-tree page with `cells` in key order; page 1 starts after the file header
+  function buildPage(type, cells, { rightChild = 0, offset = 0 } = {}) {
+    const page = Buffer.alloc(PAGE_SIZE);
+    const headerSize = type === LEAF_TABLE ? 8 : 12;
+
+    let content = PAGE_SIZE;
+    cells.forEach((cell, i) => {
+      content -= cell.length;
+      cell.copy(page, content);
+      page.writeUInt16BE(content, offset + headerSize + i * 2);
+    });
+
+    page[offset] = type;
+    page.writeUInt16BE(cells.length, offset + 3);
+    page.writeUInt16BE(content, offset + 5);
+    if (type === INTERIOR_TABLE) page.writeUInt32BE(rightChild, offset + 8);
+    return page;
+  }
+
+  // Write the part of a payload that doesn't fit in its cell to a chain of
+  // overflow pages. Returns the first page's number.
+  function writeOverflow(rest) {
+    const pages = [];
+    for (let i = 0; i < rest.length; i += PAGE_SIZE - 4) pages.push(allocate());
+
+    pages.forEach((pageNo, i) => {
+      const page = Buffer.alloc(PAGE_SIZE);
+      page.writeUInt32BE(pages[i + 1] || 0);
+      rest.copy(page, 4, i * (PAGE_SIZE - 4), (i + 1) * (PAGE_SIZE - 4));
+      writePage(pageNo, page);
+    });
+    return pages[0];
+  }
+
+  function tableCell(key, payload) {
+    const prefix = Buffer.concat([varint(payload.length), varint(key)]);
+    if (payload.length <= MAX_LOCAL) return Buffer.concat([prefix, payload]);
+
+    const spill = MIN_LOCAL + ((payload.length - MIN_LOCAL) % (PAGE_SIZE - 4));
+    const local = spill <= MAX_LOCAL ? spill : MIN_LOCAL;
+    const overflow = writeOverflow(payload.subarray(local));
+    return Buffer.concat([prefix, payload.subarray(0, local), uint32(overflow)]);
+  }
+
+  function flushLeaf() {
+    const page = allocate();
+    writePage(page, buildPage(LEAF_TABLE, leafCells));
+    leaves.push({ page, key: rowid });
+    leafCells = [];
+    leafUsed = 8;
+  }
+
+  // Build interior levels over `children` until one root page is left.
+  // Children are spread evenly so every interior page has cells.
+  function buildInterior(children) {
+    while (children.length > 1) {
+      const groups = Math.ceil(children.length / FANOUT);
+      const size = Math.ceil(children.length / groups);
+      const parents = [];
+
+      for (let i = 0; i < children.length; i += size) {
+        const group = children.slice(i, i + size);
+        const last = group.pop();
+        const cells = group.map(child => Buffer.concat([uint32(child.page), varint(child.key)]));
+        const page = allocate();
+        writePage(page, buildPage(INTERIOR_TABLE, cells, { rightChild: last.page }));
+        parents.push({ page, key: last.key });
+      }
+      children = parents;
+    }
+    return children[0].page;
+  }
+
+  return {
+    write(values) {
+      const cell = tableCell(rowid + 1, encodeRecord(values));
+      if (leafUsed + cell.length + 2 > PAGE_SIZE) flushLeaf();
+      rowid++;
+      leafCells.push(cell);
+      leafUsed += cell.length + 2;
+    },
+
+    close() {
+      if (leafCells.length > 0 || leaves.length === 0) flushLeaf();
+      const root = buildInterior(leaves);
+
+      const sql = `CREATE TABLE ${quoteName(table)} (${columns.map(c => `${quoteName(c.name)} ${SQL_TYPES[c.type]}`).join(', ')})`;
+      const schemaCell = tableCell(1, encodeRecord(['table', table, table, root, sql]));
+      const page = buildPage(LEAF_TABLE, [schemaCell], { offset: HEADER_SIZE });
+
+      page.write('SQLite format 3\0', 0, 'latin1');
+      page.writeUInt16BE(PAGE_SIZE, 16);
+      page[18] = 1; // File format write version (rollback journal)
+      page[19] = 1; // Read version
+      page[21] = 64; // Maximum embedded payload fraction
+      page[22] = 32; // Minimum embedded payload fraction
+      page[23] = 32; // Leaf payload fraction
+      page.writeUInt32BE(1, 24); // File change counter
+      page.writeUInt32BE(pageCount, 28); // Database size in pages
+      page.writeUInt32BE(1, 40); // Schema cookie
+      page.writeUInt32BE(4, 44); // Schema format number
+      page.writeUInt32BE(1, 56); // Text encoding: UTF-8
+      page.writeUInt32BE(1, 92); // Version-valid-for (matches the change counter)
+      page.writeUInt32BE(3045000, 96); // SQLite version number of the writer
+      writePage(1, page);
+
+      fs.closeSync(fd);
+    },
+  };
+}
+
+module.exports = {
+  createSqliteWriter,
+};
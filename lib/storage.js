@@ -0,0 +1,344 @@
+/**
+ * Where the PDF tree (`pdf/YYYY/YYYY-MM/<pdf_file>`) is stored.
+ *
+ * Files are downloaded or extracted into the local output directory first,
+ * then handed over with `put()`. Every storage exposes:
+ *
+ * - `list(dir)`: Map of file name -> { size } in a tree folder, or null if
+ *   the folder holds nothing
+ * - `stat(relPath)`: { size } of a stored file, or null
+ * - `hash(relPath)`: sha256 of a stored file (null when unknown)
+ * - `put(relPath, file, { sha256 })`: store the local `file` (a finished
+ *   download) at `relPath`; resolves with { deduplicated }
+ * - `remove(relPath)`
+ * - `quarantine(relPath, target)`: move a stored file out to the local path
+ *   `target` (e.g. a quarantine folder) and remove it from the storage
+ * - `location(relPath)`: local path or s3:// URL of a stored file
+ * - `flush()`: write out pending manifests
+ *
+ * `local` tells whether stored files can be read from the output directory
+ * (text extraction, serve, prune and deep verification need that).
+ *
+ * With `dedupe`, each distinct file is stored once by content hash under
+ * `objects/<2 hex>/<sha256><ext>`. Locally the month tree entries are
+ * hardlinks to those objects (copies where the filesystem has no hardlinks);
+ * in an object store, each month folder has a `manifest.json` mapping file
+ * names to objects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createS3Client } = require('./s3');
+
+// Errors of filesystems that can't hardlink
+const NO_LINK_ERRORS = ['EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'EMLINK', 'EXDEV'];
+
+const MANIFEST = 'manifest.json';
+
+async function sha256File(file) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+const objectPath = (sha256, ext) => `objects/${sha256.slice(0, 2)}/${sha256}${ext}`;
+
+// Move a file, copying it when the target is on another filesystem
+function moveFile(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(from, to);
+    fs.rmSync(from);
+  }
+}
+
+// Stats shared by the storages: files stored, and how many of them (and how
+// many bytes) were already there under another name
+const createStats = () => ({ stored: 0, deduplicated: 0, savedBytes: 0 });
+
+// Files in the output directory. `io.hash(file)` computes (or reuses) a
+// local file's sha256; `io.log(message)` reports.
+function createLocalStorage(outputDir, { dedupe = false }, io) {
+  const full = (relPath) => path.join(outputDir, relPath);
+  const stats = createStats();
+  let linkWarned = false;
+
+  // Point `target` at `object`: a hardlink, swapped in atomically
+  function link(object, target) {
+    const temp = `${target}.link`;
+    try {
+      fs.rmSync(temp, { force: true });
+      fs.linkSync(object, temp);
+    } catch (error) {
+      if (!NO_LINK_ERRORS.includes(error.code)) throw error;
+      if (!linkWarned) {
+        io.log(`  ⚠️  Hardlinks not supported in ${outputDir}, copying objects into the month tree instead`);
+        linkWarned = true;
+      }
+      fs.copyFileSync(object, temp);
+    }
+    fs.renameSync(temp, target);
+  }
+
+  // Move a tree entry to `target`, or delete it without one. Objects are
+  // removed with their last tree entry.
+  async function takeOut(relPath, target) {
+    const file = full(relPath);
+    if (!fs.existsSync(file)) return;
+    const object = dedupe ? full(objectPath(await io.hash(file), path.extname(relPath))) : null;
+    if (target && object) {
+      // A copy: a moved hardlink would keep the object linked
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(file, target);
+      fs.rmSync(file);
+    } else if (target) {
+      moveFile(file, target);
+    } else {
+      fs.rmSync(file);
+    }
+    if (object && fs.existsSync(object) && fs.statSync(object).nlink === 1) fs.rmSync(object);
+  }
+
+  return {
+    description: dedupe ? `${outputDir} (deduplicated)` : outputDir,
+    local: true,
+    dedupe,
+    stats,
+
+    async list(dir) {
+      if (!fs.existsSync(full(dir))) return null;
+      const files = new Map();
+      for (const entry of fs.readdirSync(full(dir), { withFileTypes: true })) {
+        if (!entry.isFile() || entry.name.endsWith('.part') || entry.name.endsWith('.link')) continue;
+        files.set(entry.name, { size: fs.statSync(path.join(full(dir), entry.name)).size });
+      }
+      return files;
+    },
+
+    async stat(relPath) {
+      try {
+        return { size: fs.statSync(full(relPath)).size };
+      } catch {
+        return null;
+      }
+    },
+
+    hash(relPath) {
+      return fs.existsSync(full(relPath)) ? io.hash(full(relPath)) : null;
+    },
+
+    async put(relPath, file, { sha256 = null } = {}) {
+      const target = full(relPath);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      stats.stored++;
+
+      if (!dedupe) {
+        if (path.resolve(file) !== path.resolve(target)) fs.renameSync(file, target);
+        return { deduplicated: false };
+      }
+
+      const hash = sha256 || await io.hash(file);
+      const object = full(objectPath(hash, path.extname(relPath)));
+      const size = fs.statSync(file).size;
+      let deduplicated = false;
+
+      if (fs.existsSync(object)) {
+        // Same content already stored: only the tree entry is new
+        deduplicated = path.resolve(file) !== path.resolve(target) || fs.statSync(file).ino !== fs.statSync(object).ino;
+        if (deduplicated) {
+          stats.deduplicated++;
+          stats.savedBytes += size;
+        }
+        if (path.resolve(file) !== path.resolve(target)) fs.rmSync(file);
+      } else {
+        fs.mkdirSync(path.dirname(object), { recursive: true });
+        fs.renameSync(file, object);
+      }
+
+      if (!fs.existsSync(target) || fs.statSync(target).ino !== fs.statSync(object).ino) {
+        link(object, target);
+      }
+      return { deduplicated };
+    },
+
+    remove: relPath => takeOut(relPath, null),
+
+    quarantine: (relPath, target) => takeOut(relPath, target),
+
+    location(relPath) {
+      return path.resolve(full(relPath));
+    },
+
+    async flush() {},
+  };
+}
+
+// Parse an `s3://bucket/prefix` target
+function parseS3Target(target) {
+  const match = target.match(/^s3:\/\/([^/]+)\/?(.*)$/);
+  if (!match) throw new Error(`Invalid storage target: ${target} (expected s3://bucket/prefix)`);
+  const prefix = match[2].replace(/\/+$/, '');
+  return { bucket: match[1], prefix: prefix ? `${prefix}/` : '' };
+}
+
+// Objects in an S3-compatible bucket, under `prefix/`. Connection settings
+// come from `options` or the usual AWS environment variables.
+function createS3Storage(target, { dedupe = false, endpoint = null }, io) {
+  const { bucket, prefix } = parseS3Target(target);
+  const region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
+  const credentials = {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: process.env.AWS_SESSION_TOKEN || null,
+  };
+  if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+    throw new Error('S3 storage needs AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY');
+  }
+
+  const client = createS3Client({
+    endpoint: endpoint || process.env.AWS_ENDPOINT_URL_S3 || process.env.AWS_ENDPOINT_URL || `https://s3.${region}.amazonaws.com`,
+    region,
+    bucket,
+    credentials,
+  }, io);
+
+  const stats = createStats();
+  const key = (relPath) => `${prefix}${relPath}`;
+  const split = (relPath) => [path.posix.dirname(relPath), path.posix.basename(relPath)];
+
+  // Folder contents by dir: Map of name -> { size, sha256, object? }, loaded
+  // once from the bucket listing (or the folder's manifest) and kept up to date
+  const folders = new Map();
+  const dirty = new Set();
+
+  function folder(dir) {
+    if (!folders.has(dir)) {
+      folders.set(dir, (async () => {
+        if (dedupe) {
+          const manifest = await client.get(key(`${dir}/${MANIFEST}`));
+          return new Map(Object.entries(manifest ? JSON.parse(manifest.toString('utf-8')).files : {}));
+        }
+        const objects = await client.list(key(`${dir}/`), { delimiter: '/' });
+        return new Map(objects.map(o => [path.posix.basename(o.key), { size: o.size, sha256: null }]));
+      })());
+      // A failed listing is retried on the next call
+      folders.get(dir).catch(() => folders.delete(dir));
+    }
+    return folders.get(dir);
+  }
+
+  // Deduplicated objects stay: other tree entries may share them
+  async function remove(relPath) {
+    const [dir, name] = split(relPath);
+    const files = await folder(dir);
+    if (dedupe) {
+      dirty.add(dir);
+    } else {
+      await client.delete(key(relPath));
+    }
+    files.delete(name);
+  }
+
+  return {
+    description: `s3://${bucket}/${prefix}${dedupe ? ' (deduplicated)' : ''}`,
+    local: false,
+    dedupe,
+    stats,
+
+    async list(dir) {
+      const files = await folder(dir);
+      return files.size > 0 ? new Map([...files].map(([name, { size }]) => [name, { size }])) : null;
+    },
+
+    async stat(relPath) {
+      const [dir, name] = split(relPath);
+      const file = (await folder(dir)).get(name);
+      return file ? { size: file.size } : null;
+    },
+
+    async hash(relPath) {
+      const [dir, name] = split(relPath);
+      const file = (await folder(dir)).get(name);
+      if (!file) return null;
+      if (!file.sha256) {
+        const head = await client.head(key(relPath));
+        file.sha256 = head?.metadata.sha256 || null;
+      }
+      return file.sha256;
+    },
+
+    async put(relPath, file, { sha256 = null } = {}) {
+      const [dir, name] = split(relPath);
+      const files = await folder(dir);
+      const hash = sha256 || await sha256File(file);
+      const body = fs.readFileSync(file);
+      const entry = { size: body.length, sha256: hash };
+      let deduplicated = false;
+      stats.stored++;
+
+      if (dedupe) {
+        entry.object = objectPath(hash, path.extname(relPath));
+        if (await client.head(key(entry.object))) {
+          deduplicated = true;
+          stats.deduplicated++;
+          stats.savedBytes += body.length;
+        } else {
+          await client.put(key(entry.object), body, { sha256: hash, contentType: 'application/pdf', metadata: { sha256: hash } });
+        }
+        dirty.add(dir);
+      } else {
+        await client.put(key(relPath), body, { sha256: hash, contentType: 'application/pdf', metadata: { sha256: hash } });
+      }
+
+      files.set(name, entry);
+      fs.rmSync(file);
+      return { deduplicated };
+    },
+
+    remove,
+
+    // Downloaded to `target`, then removed
+    async quarantine(relPath, target) {
+      const [dir, name] = split(relPath);
+      const file = (await folder(dir)).get(name);
+      const body = file && await client.get(key(file.object || relPath));
+      if (!body) return;
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, body);
+      await remove(relPath);
+    },
+
+    location(relPath) {
+      return `s3://${bucket}/${key(relPath)}`;
+    },
+
+    async flush() {
+      for (const dir of [...dirty]) {
+        dirty.delete(dir);
+        const files = Object.fromEntries([...(await folder(dir))].sort(([a], [b]) => a.localeCompare(b)));
+        const body = Buffer.from(JSON.stringify({ files }, null, 2));
+        await client.put(key(`${dir}/${MANIFEST}`), body, { contentType: 'application/json' });
+      }
+    },
+  };
+}
+
+// Storage for `config.storage`: 'local' (the output directory) or an
+// `s3://bucket/prefix` target, deduplicated when `config.dedupe` is set.
+// `io` is { fetch, hash, log }: fetch must throw on HTTP errors, hash(file)
+// hashes local files.
+function createStorage(config, io) {
+  const target = config.storage || 'local';
+  if (target === 'local') return createLocalStorage(config.outputDir, config, io);
+  if (target.startsWith('s3://')) return createS3Storage(target, { dedupe: config.dedupe, endpoint: config.s3Endpoint }, io);
+  throw new Error(`Unknown storage: ${target} (expected local or s3://bucket/prefix)`);
+}
+
+module.exports = {
+  createStorage,
+  moveFile,
+};
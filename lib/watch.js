@@ -0,0 +1,246 @@
+/**
+ * Watch mode: keep the hot months (the latest ones upstream still serves from
+ * pdf/) in sync and announce the gazettes that appear in them.
+ *
+ * Every poll refreshes the hot months' meta files, downloads missing PDFs and
+ * fires the notifier for records it has not announced before. What was
+ * announced is kept in `<outputDir>/watch-state.json`, so a restarted watch
+ * picks up where it stopped and failed actions are retried on later polls.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { appendRun } = require('./journal');
+const { formatDuration } = require('./format');
+
+// Default time between watch polls, and the longest backoff after failed polls
+// (unless the interval is longer)
+const WATCH_INTERVAL = 15 * 60 * 1000;
+const MAX_WATCH_BACKOFF = 60 * 60 * 1000;
+
+// Records are matched across meta versions by pdf_file (whole record without one)
+const recordKey = (record) => record.pdf_file || JSON.stringify(record);
+
+// What watch has announced, by month: { months: { 'YYYY-MM': { seen, retry } } }.
+// `seen` holds the keys of records that were announced, or deliberately not
+// (filtered out, or already there on the first poll); `retry` maps the keys of
+// records whose actions failed to { actions, detectedAt }, to run those
+// actions again on the next poll.
+function watchStatePath(outputDir) {
+  return path.join(outputDir, 'watch-state.json');
+}
+
+function loadWatchState(outputDir) {
+  try {
+    return JSON.parse(fs.readFileSync(watchStatePath(outputDir), 'utf-8'));
+  } catch {
+    return { months: {} };
+  }
+}
+
+function saveWatchState(outputDir, state) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(`${watchStatePath(outputDir)}.part`, JSON.stringify(state));
+  fs.renameSync(`${watchStatePath(outputDir)}.part`, watchStatePath(outputDir));
+}
+
+// Poller for one run over `config` ({ outputDir, hotMonths }). `io` is the run:
+//   listYears()            - names of the year folders listed upstream in pdf/
+//   discoverMonths(years)  - upstream inventory of those years, sorted:
+//                            [{ month, meta, pdf, zip }]
+//   downloadMeta(month)    - saves the month's meta file, resolving to its
+//                            path (null if it could not be fetched)
+//   parseMetaFile(file), selectedFiles(records), filter (or null)
+//   syncMonth(month, metaPath) - downloads the missing PDFs, resolving to
+//                            { source, downloaded, skipped, failed }
+//   extractText(month)     - text extraction, with the `text` option
+//   storage, source, revision, journal, saveHashCache(), refreshCatalog(months)
+//   log(message), logError(message), emit(event, payload)
+function createWatcher(config, io) {
+  const { outputDir } = config;
+  const { log } = io;
+
+  // The hot months are the latest ones listed with a pdf/ folder, whatever
+  // the clock says; only the latest year folders that can hold them are walked
+  async function hotMonths() {
+    const years = (await io.listYears()).filter(y => /^\d{4}$/.test(y)).sort();
+    const inventory = await io.discoverMonths(years.slice(-(Math.ceil(config.hotMonths / 12) + 1)));
+    return inventory.filter(m => m.pdf).slice(-config.hotMonths).map(m => m.month);
+  }
+
+  // One watch poll: refresh the meta files of the hot months (new months are
+  // picked up as soon as they are listed upstream), download missing PDFs and
+  // fire the notifier for every record not announced before (see
+  // loadWatchState), retrying the actions that failed on earlier polls. A
+  // record only counts as announced once all its actions have succeeded, so a
+  // poll that fails part way is caught up by the next one. On the `baseline`
+  // poll, months that were never watched are downloaded without firing.
+  // Returns the poll's month entries.
+  async function poll(notifier, { baseline, text }) {
+    const months = await hotMonths();
+    if (months.length === 0) {
+      throw new Error('No hot months listed upstream');
+    }
+    log(`\n🔥 Hot months: ${months.join(', ')}`);
+
+    const state = loadWatchState(outputDir);
+    const entries = [];
+    for (const yearMonth of months) {
+      const [monthYear] = yearMonth.split('-');
+      const pdfRel = `pdf/${monthYear}/${yearMonth}`;
+      const localMeta = path.join(outputDir, `meta/${monthYear}/${yearMonth}.jsonl`);
+
+      // Months synced before they were watched start from their local meta
+      if (!state.months[yearMonth] && fs.existsSync(localMeta)) {
+        state.months[yearMonth] = { seen: io.parseMetaFile(localMeta).map(recordKey), retry: {} };
+        saveWatchState(outputDir, state);
+      }
+      const watched = Boolean(state.months[yearMonth]);
+      const monthState = state.months[yearMonth] || { seen: [], retry: {} };
+      const seen = new Set(monthState.seen);
+
+      const metaPath = await io.downloadMeta(yearMonth);
+      if (!metaPath) continue;
+
+      const records = io.parseMetaFile(metaPath);
+      const filter = io.filter;
+      const unseen = records.filter(r => !seen.has(recordKey(r)));
+      const added = watched || !baseline ? unseen.filter(r => !filter || filter.test(r)) : [];
+
+      // Records that won't fire are taken in right away
+      const firing = new Set(added);
+      for (const record of unseen) {
+        if (!firing.has(record)) seen.add(recordKey(record));
+      }
+      const save = () => {
+        monthState.seen = [...seen];
+        state.months[yearMonth] = monthState;
+        saveWatchState(outputDir, state);
+      };
+      save();
+
+      const present = await io.storage.list(pdfRel) || new Map();
+      const missing = io.selectedFiles(records).filter(name => !present.has(name));
+
+      const entry = { month: yearMonth, added: 0, retried: 0, source: null, downloaded: 0, skipped: 0, failed: 0 };
+      if (missing.length > 0) {
+        Object.assign(entry, await io.syncMonth(yearMonth, metaPath));
+        if (text) await io.extractText(yearMonth);
+      }
+
+      const stored = missing.length > 0 ? await io.storage.list(pdfRel) || new Map() : present;
+      for (const record of added) {
+        const key = recordKey(record);
+        const retry = monthState.retry[key] || null;
+        const pdfPath = record.pdf_file ? io.storage.location(`${pdfRel}/${record.pdf_file}`) : null;
+        const payload = {
+          event: 'gazette',
+          month: yearMonth,
+          pdf_file: record.pdf_file || null,
+          pdfPath,
+          downloaded: Boolean(record.pdf_file && stored.has(record.pdf_file)),
+          detectedAt: retry ? retry.detectedAt : new Date().toISOString(),
+          record,
+        };
+        if (retry) {
+          entry.retried++;
+          log(`  🔁 Retrying ${retry.actions.join(', ')} for ${payload.pdf_file || JSON.stringify(record)}`);
+        } else {
+          entry.added++;
+          log(`  🆕 New gazette: ${payload.pdf_file || JSON.stringify(record)}${payload.downloaded ? '' : ' (not downloaded)'}`);
+          io.emit('gazette', payload);
+        }
+
+        const failures = await notifier.notify(payload, { only: retry ? retry.actions : null });
+        for (const { action, error } of failures) {
+          io.logError(`  ❌ ${action} failed for ${payload.pdf_file}: ${error}`);
+        }
+        if (failures.length > 0) {
+          monthState.retry[key] = { actions: failures.map(f => f.action), detectedAt: payload.detectedAt };
+        } else {
+          delete monthState.retry[key];
+          seen.add(key);
+        }
+        save();
+      }
+
+      entries.push(entry);
+    }
+
+    // Months that are no longer hot are dropped once nothing is left to retry
+    for (const [month, { retry }] of Object.entries(state.months)) {
+      if (!months.includes(month) && Object.keys(retry).length === 0) delete state.months[month];
+    }
+    saveWatchState(outputDir, state);
+
+    io.journal.flush();
+    io.saveHashCache();
+
+    const totalNew = entries.reduce((a, e) => a + e.added, 0);
+    const changed = entries.filter(e => e.added > 0 || e.downloaded > 0);
+    if (changed.length > 0) {
+      io.refreshCatalog(changed.map(e => e.month));
+      appendRun(outputDir, {
+        timestamp: new Date().toISOString(),
+        mode: 'watch',
+        source: io.source.description,
+        revision: io.revision,
+        months: entries,
+        totalNew,
+        totalDownloaded: entries.reduce((a, e) => a + e.downloaded, 0),
+        totalSkipped: entries.reduce((a, e) => a + e.skipped, 0),
+        totalFailed: entries.reduce((a, e) => a + e.failed, 0),
+      });
+    }
+    log(`\n👀 ${totalNew} new gazettes${baseline ? ' (first poll: existing months only downloaded)' : ''}`);
+
+    return entries;
+  }
+
+  return { hotMonths, poll };
+}
+
+// Poll every `interval` ms until `signal` aborts. `io.poll({ baseline })`
+// runs one poll (the first one is the baseline) and `io.sleep(ms, signal)`
+// waits, resolving early on abort. A failed poll, e.g. while upstream is
+// unavailable, is retried after an exponential backoff of up to an hour (or
+// the interval, if longer). A poll in progress always completes before the
+// watch stops.
+async function runWatch({ interval, notifier, source, signal }, io) {
+  const { log } = io;
+
+  log('═══════════════════════════════════════════════════════════════');
+  log('  Royal Gazette Thailand (Ratchakitcha) Watch');
+  log(`  Source: ${source.description}`);
+  log(`  Every ${formatDuration(interval)}, actions: ${notifier.names.join(', ') || 'none (download only)'}`);
+  log('═══════════════════════════════════════════════════════════════');
+
+  let polls = 0;
+  let failures = 0;
+  while (!signal?.aborted) {
+    let delay = interval;
+    try {
+      await io.poll({ baseline: polls === 0 });
+      polls++;
+      failures = 0;
+    } catch (error) {
+      failures++;
+      delay = Math.min(interval * 2 ** failures, Math.max(interval, MAX_WATCH_BACKOFF));
+      io.logError(`\n⚠️  Poll failed (${failures} in a row): ${error.message}`);
+    }
+    if (signal?.aborted) break;
+
+    log(`\n💤 Next poll in ${formatDuration(delay)} (${new Date(Date.now() + delay).toLocaleTimeString()})`);
+    await io.sleep(delay, signal);
+  }
+
+  log('\n🛑 Watch stopped');
+}
+
+module.exports = {
+  WATCH_INTERVAL,
+  MAX_WATCH_BACKOFF,
+  loadWatchState,
+  createWatcher,
+  runWatch,
+};
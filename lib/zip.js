@@ -0,0 +1,540 @@
+/**
+ * Streaming ZIP reader used to extract month archives while they download.
+ *
+ * Entries are parsed from their local headers as bytes arrive, so extraction
+ * does not need the central directory (or the whole archive) first. Supports
+ * stored and deflated entries, data descriptors and ZIP64 sizes. Every entry
+ * is written to a `.unzip.part` file, checked against its CRC-32 and size, and
+ * only then renamed into place. Entry names that would escape the target directory
+ * (zip-slip) are rejected.
+ *
+ * Archives that can be read by byte range (e.g. over HTTP Range requests) can
+ * also be listed from their central directory and have single entries
+ * extracted without fetching the rest of the archive.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const { Writable, Transform, PassThrough } = require('stream');
+
+const LOCAL_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIR = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const EMPTY = Buffer.alloc(0);
+
+// Suffix of entries being extracted: still a `.part` file, but not a download
+// that can be resumed
+const PART_SUFFIX = '.unzip.part';
+
+// CRC-32 (zlib.crc32 exists from Node 20.15 / 22.2; table fallback otherwise)
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(buf, crc = 0) {
+  if (zlib.crc32) return zlib.crc32(buf, crc);
+
+  let c = ~crc;
+  for (let i = 0; i < buf.length; i++) {
+    c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+// Read a 64-bit little-endian size as a Number (exact up to 2^53)
+function readUInt64(buf, offset) {
+  return buf.readUInt32LE(offset) + buf.readUInt32LE(offset + 4) * 0x100000000;
+}
+
+// Replace 0xFFFFFFFF placeholders with the real sizes from a ZIP64 extra field.
+// `fields` lists the placeholders in the order the extra field stores them.
+function applyZip64Extra(extra, fields, target) {
+  let offset = 0;
+  while (offset + 4 <= extra.length) {
+    const id = extra.readUInt16LE(offset);
+    const size = extra.readUInt16LE(offset + 2);
+    if (id === 0x0001) {
+      let pos = offset + 4;
+      for (const field of fields) {
+        if (target[field] !== 0xFFFFFFFF) continue;
+        if (pos + 8 > offset + 4 + size) break;
+        target[field] = readUInt64(extra, pos);
+        pos += 8;
+      }
+      target.zip64 = true;
+      return;
+    }
+    offset += 4 + size;
+  }
+}
+
+// Parse a local file header at the start of `buf` (caller checked its length)
+function parseLocalHeader(buf) {
+  const flags = buf.readUInt16LE(6);
+  const nameLength = buf.readUInt16LE(26);
+  const extraLength = buf.readUInt16LE(28);
+  const header = {
+    flags,
+    method: buf.readUInt16LE(8),
+    crc: buf.readUInt32LE(14),
+    compressedSize: buf.readUInt32LE(18),
+    uncompressedSize: buf.readUInt32LE(22),
+    name: buf.toString(flags & 0x0800 ? 'utf8' : 'latin1', 30, 30 + nameLength),
+    headerLength: 30 + nameLength + extraLength,
+    zip64: false,
+  };
+
+  applyZip64Extra(buf.subarray(30 + nameLength, header.headerLength), ['uncompressedSize', 'compressedSize'], header);
+
+  // With a data descriptor the sizes may only be known after the data
+  if ((flags & FLAG_DATA_DESCRIPTOR) && header.compressedSize === 0) {
+    header.compressedSize = null;
+    header.uncompressedSize = null;
+  }
+
+  return header;
+}
+
+// True for entry names that are absolute or climb out of their directory
+function isUnsafeName(name) {
+  const normalized = name.replace(/\\/g, '/');
+  return name.includes('\0') ||
+    normalized.startsWith('/') ||
+    /^[a-zA-Z]:/.test(normalized) ||
+    normalized.split('/').includes('..');
+}
+
+// Resolve an output path inside destDir, throwing if it would land outside it
+function safeJoin(destDir, relativePath) {
+  if (!relativePath || isUnsafeName(relativePath)) {
+    throw new Error(`unsafe path: ${relativePath}`);
+  }
+
+  const root = path.resolve(destDir);
+  const target = path.resolve(root, ...relativePath.replace(/\\/g, '/').split('/'));
+  if (!target.startsWith(root + path.sep)) {
+    throw new Error(`unsafe path: ${relativePath}`);
+  }
+  return target;
+}
+
+// Open the decompress -> CRC -> .part file pipeline for one entry
+function openSink(target, method) {
+  const partPath = `${target}${PART_SUFFIX}`;
+  const input = method === METHOD_DEFLATED ? zlib.createInflateRaw() : new PassThrough();
+
+  let crc = 0;
+  let size = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      crc = crc32(chunk, crc);
+      size += chunk.length;
+      callback(null, chunk);
+    },
+  });
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const file = fs.createWriteStream(partPath);
+  const done = pipeline(input, counter, file);
+  done.catch(() => {}); // Surfaced through write()/end()
+
+  return {
+    partPath,
+    async write(buf) {
+      if (!input.write(buf)) {
+        await Promise.race([once(input, 'drain'), done]);
+      }
+    },
+    async end() {
+      input.end();
+      await done;
+      return { crc: crc >>> 0, size };
+    },
+    async abort() {
+      input.destroy();
+      await done.catch(() => {});
+      // The pipeline settles as soon as it is torn down, possibly before
+      // the file is even opened: removing it then would leave it behind
+      if (!file.closed) await new Promise(resolve => file.once('close', resolve));
+      fs.rmSync(partPath, { force: true });
+    },
+  };
+}
+
+// Close a sink, check what it wrote against the entry's CRC-32 and size, and
+// move the .part file into place. Returns the extracted size.
+async function commitSink(sink, target, { crc: expectedCrc, uncompressedSize }) {
+  const { crc, size } = await sink.end();
+  if (size !== uncompressedSize) {
+    throw new Error(`size mismatch (${size} != ${uncompressedSize})`);
+  }
+  if (crc !== expectedCrc) {
+    throw new Error(`CRC mismatch (${crc.toString(16)} != ${expectedCrc.toString(16)})`);
+  }
+  fs.renameSync(sink.partPath, target);
+  return size;
+}
+
+// Throw if an entry uses features this reader cannot extract
+function assertSupported(entry) {
+  if (isUnsafeName(entry.name)) {
+    throw new Error(`unsafe path: ${entry.name}`);
+  }
+  if (entry.flags & FLAG_ENCRYPTED) {
+    throw new Error('encrypted entries are not supported');
+  }
+  if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+    throw new Error(`unsupported compression method ${entry.method}`);
+  }
+}
+
+function fileExists(target, size) {
+  return fs.existsSync(target) && fs.statSync(target).size === size;
+}
+
+// Create a writable stream that parses a ZIP archive as it is written and
+// extracts matching entries into `destDir`.
+//
+// Options:
+//   filter(name)   - return false to ignore an entry (default: all files)
+//   mapName(name)  - output path relative to destDir (default: the entry name)
+//   exists(target, size) - whether the entry's output is already present
+//                    (default: a file of that size at target)
+//   onEntry(entry) - called once per selected entry with
+//                    { name, path, status: 'extracted'|'existing'|'failed', size, error }
+//
+// After 'finish', `extractor.entries` holds every reported entry and
+// `extractor.archiveError` is set if the archive ended early or was malformed.
+function createExtractor(destDir, { filter = () => true, mapName = name => name, onEntry = () => {}, exists = fileExists } = {}) {
+  let pending = EMPTY;
+  let state = 'header'; // header | data | descriptor | done
+  let entry = null;
+
+  const entries = [];
+
+  function report(result) {
+    entries.push(result);
+    onEntry(result);
+  }
+
+  async function startEntry(header) {
+    entry = { ...header, remaining: header.compressedSize, consumed: 0, sink: null, error: null, selected: false };
+
+    if (header.name.endsWith('/') || !filter(header.name)) return;
+    entry.selected = true;
+
+    try {
+      assertSupported(header);
+      entry.target = safeJoin(destDir, mapName(header.name));
+
+      // Keep files already present with the right size
+      if (header.uncompressedSize !== null && exists(entry.target, header.uncompressedSize)) {
+        entry.existing = true;
+        return;
+      }
+
+      entry.sink = openSink(entry.target, header.method);
+    } catch (error) {
+      entry.error = error.message;
+    }
+  }
+
+  async function feed(buf) {
+    entry.consumed += buf.length;
+    if (!entry.sink) return;
+
+    try {
+      await entry.sink.write(buf);
+    } catch (error) {
+      entry.error = error.message;
+      await entry.sink.abort();
+      entry.sink = null;
+    }
+  }
+
+  async function endEntry() {
+    const current = entry;
+    entry = null;
+    if (!current.selected) return;
+
+    const result = { name: current.name, path: current.target || null };
+
+    if (current.existing) {
+      report({ ...result, status: 'existing', size: current.uncompressedSize });
+      return;
+    }
+
+    if (current.sink) {
+      try {
+        const size = await commitSink(current.sink, current.target, current);
+        report({ ...result, status: 'extracted', size });
+        return;
+      } catch (error) {
+        current.error = error.message;
+        await current.sink.abort();
+      }
+    }
+
+    report({ ...result, status: 'failed', error: current.error });
+  }
+
+  // Read a data descriptor at `offset` in pending: [signature] crc, compressed, uncompressed
+  function readDescriptor(offset, withSignature) {
+    const base = offset + (withSignature ? 4 : 0);
+    const wide = entry.zip64;
+    return {
+      crc: pending.readUInt32LE(base),
+      compressedSize: wide ? readUInt64(pending, base + 4) : pending.readUInt32LE(base + 4),
+      uncompressedSize: wide ? readUInt64(pending, base + 12) : pending.readUInt32LE(base + 8),
+      length: (withSignature ? 4 : 0) + (wide ? 20 : 12),
+    };
+  }
+
+  // Entry data of unknown length: look for a signed data descriptor whose
+  // compressed size matches the bytes seen so far
+  async function scanForDescriptor() {
+    const descriptorLength = entry.zip64 ? 24 : 16;
+
+    for (let i = 0; i + descriptorLength <= pending.length; i++) {
+      if (pending.readUInt32LE(i) !== DATA_DESCRIPTOR) continue;
+
+      const descriptor = readDescriptor(i, true);
+      if (descriptor.compressedSize !== entry.consumed + i) continue;
+
+      await feed(pending.subarray(0, i));
+      pending = pending.subarray(i + descriptor.length);
+      entry.crc = descriptor.crc;
+      entry.uncompressedSize = descriptor.uncompressedSize;
+      return true;
+    }
+
+    // Hold back a tail that could still be the start of a descriptor
+    const safe = pending.length - (descriptorLength - 1);
+    if (safe > 0) {
+      await feed(pending.subarray(0, safe));
+      pending = pending.subarray(safe);
+    }
+    return false;
+  }
+
+  async function drain() {
+    while (true) {
+      if (state === 'header') {
+        if (pending.length < 4) return;
+
+        const signature = pending.readUInt32LE(0);
+        if (signature !== LOCAL_HEADER) {
+          // Central directory reached: all entries have been seen
+          if (![CENTRAL_HEADER, END_OF_CENTRAL_DIR, ZIP64_END_OF_CENTRAL_DIR].includes(signature)) {
+            extractor.archiveError = `unexpected signature 0x${signature.toString(16)}`;
+          }
+          state = 'done';
+          continue;
+        }
+
+        if (pending.length < 30) return;
+        const headerLength = 30 + pending.readUInt16LE(26) + pending.readUInt16LE(28);
+        if (pending.length < headerLength) return;
+
+        const header = parseLocalHeader(pending);
+        pending = pending.subarray(headerLength);
+        await startEntry(header);
+        state = 'data';
+      } else if (state === 'data') {
+        if (entry.remaining === null) {
+          if (!(await scanForDescriptor())) return;
+          await endEntry();
+          state = 'header';
+          continue;
+        }
+
+        const n = Math.min(entry.remaining, pending.length);
+        if (n > 0) {
+          await feed(pending.subarray(0, n));
+          pending = pending.subarray(n);
+          entry.remaining -= n;
+        }
+        if (entry.remaining > 0) return;
+
+        if (entry.flags & FLAG_DATA_DESCRIPTOR) {
+          state = 'descriptor';
+        } else {
+          await endEntry();
+          state = 'header';
+        }
+      } else if (state === 'descriptor') {
+        if (pending.length < 4) return;
+        const withSignature = pending.readUInt32LE(0) === DATA_DESCRIPTOR;
+        const length = (withSignature ? 4 : 0) + (entry.zip64 ? 20 : 12);
+        if (pending.length < length) return;
+
+        const descriptor = readDescriptor(0, withSignature);
+        pending = pending.subarray(descriptor.length);
+        if (entry.crc === 0) entry.crc = descriptor.crc;
+        await endEntry();
+        state = 'header';
+      } else {
+        pending = EMPTY;
+        return;
+      }
+    }
+  }
+
+  async function finish() {
+    if (entry) {
+      entry.error = entry.error || 'archive truncated';
+      if (entry.sink) {
+        await entry.sink.abort();
+        entry.sink = null;
+      }
+      await endEntry();
+    }
+    if (state !== 'done' && !extractor.archiveError) {
+      extractor.archiveError = 'archive truncated before the central directory';
+    }
+  }
+
+  const extractor = new Writable({
+    write(chunk, encoding, callback) {
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      drain().then(() => callback(), callback);
+    },
+    final(callback) {
+      finish().then(() => callback(), callback);
+    },
+  });
+
+  extractor.entries = entries;
+  extractor.archiveError = null;
+  return extractor;
+}
+
+// Read an archive's central directory through `readRange(start, end)`, which
+// must resolve to the bytes from start to end inclusive. `size` is the
+// archive's total size. Returns one entry per file, with the offsets needed
+// by extractEntry().
+async function readCentralDirectory(size, readRange) {
+  // The end record sits in the last 22 bytes plus an optional comment (<64 KB)
+  const tailLength = Math.min(size, 22 + 0xFFFF + 20);
+  const tailStart = size - tailLength;
+  const tail = await readRange(tailStart, size - 1);
+
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIR) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('end of central directory not found');
+  }
+
+  let count = tail.readUInt16LE(eocd + 10);
+  let cdSize = tail.readUInt32LE(eocd + 12);
+  let cdOffset = tail.readUInt32LE(eocd + 16);
+
+  // ZIP64 archives keep the real values in a record found through a locator
+  if (eocd >= 20 && tail.readUInt32LE(eocd - 20) === ZIP64_LOCATOR) {
+    const recordOffset = readUInt64(tail, eocd - 20 + 8);
+    const record = await readRange(recordOffset, recordOffset + 55);
+    if (record.readUInt32LE(0) !== ZIP64_END_OF_CENTRAL_DIR) {
+      throw new Error('ZIP64 end of central directory not found');
+    }
+    count = readUInt64(record, 32);
+    cdSize = readUInt64(record, 40);
+    cdOffset = readUInt64(record, 48);
+  }
+
+  const cd = cdSize > 0 ? await readRange(cdOffset, cdOffset + cdSize - 1) : EMPTY;
+  const entries = [];
+  let pos = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > cd.length || cd.readUInt32LE(pos) !== CENTRAL_HEADER) {
+      throw new Error(`malformed central directory at entry ${i}`);
+    }
+
+    const flags = cd.readUInt16LE(pos + 8);
+    const nameLength = cd.readUInt16LE(pos + 28);
+    const extraLength = cd.readUInt16LE(pos + 30);
+    const commentLength = cd.readUInt16LE(pos + 32);
+    const entry = {
+      name: cd.toString(flags & 0x0800 ? 'utf8' : 'latin1', pos + 46, pos + 46 + nameLength),
+      flags,
+      method: cd.readUInt16LE(pos + 10),
+      crc: cd.readUInt32LE(pos + 16),
+      compressedSize: cd.readUInt32LE(pos + 20),
+      uncompressedSize: cd.readUInt32LE(pos + 24),
+      localHeaderOffset: cd.readUInt32LE(pos + 42),
+      zip64: false,
+    };
+
+    const extraStart = pos + 46 + nameLength;
+    applyZip64Extra(cd.subarray(extraStart, extraStart + extraLength),
+      ['uncompressedSize', 'compressedSize', 'localHeaderOffset'], entry);
+
+    if (!entry.name.endsWith('/')) {
+      entries.push(entry);
+    }
+    pos = extraStart + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+// Extract one central directory entry to `target` using range callbacks:
+//   readRange(start, end)   - resolves to a Buffer (used for the local header)
+//   streamRange(start, end) - resolves to an async iterable of chunks (entry data)
+// Checks CRC-32 and size; nothing is left at `target` if extraction fails.
+async function extractEntry(entry, target, { readRange, streamRange }) {
+  assertSupported(entry);
+
+  // The local header's extra field may differ from the central one
+  const header = await readRange(entry.localHeaderOffset, entry.localHeaderOffset + 29);
+  if (header.readUInt32LE(0) !== LOCAL_HEADER) {
+    throw new Error(`local header not found for ${entry.name}`);
+  }
+  const dataStart = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+  const sink = openSink(target, entry.method);
+  try {
+    if (entry.compressedSize > 0) {
+      const chunks = await streamRange(dataStart, dataStart + entry.compressedSize - 1);
+      for await (const chunk of chunks) {
+        await sink.write(chunk);
+      }
+    }
+    return await commitSink(sink, target, entry);
+  } catch (error) {
+    await sink.abort();
+    throw error;
+  }
+}
+
+module.exports = {
+  PART_SUFFIX,
+  createExtractor,
+  readCentralDirectory,
+  extractEntry,
+  crc32,
+  isUnsafeName,
+  safeJoin,
+};
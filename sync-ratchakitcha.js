@@ -5,33 +5,211 @@
  * from HuggingFace: open-law-data-thailand/soc-ratchakitcha
  *
  * Usage:
- *   node sync-ratchakitcha.js                    # Download hot PDFs (2025-12, 2026-01)
+ *   node sync-ratchakitcha.js                    # Download hot PDFs (latest pdf/ months)
  *   node sync-ratchakitcha.js 2024-01 2024-02    # Download specific months
+ *   node sync-ratchakitcha.js --all              # Download every month in the dataset
+ *   node sync-ratchakitcha.js --from 2019-01 --to 2024-12
+ *   node sync-ratchakitcha.js --latest 6         # Download the 6 most recent months
  *   node sync-ratchakitcha.js --zip 2025-11      # Download from ZIP archive
  *   node sync-ratchakitcha.js --verify           # Verify existing downloads
+ *   node sync-ratchakitcha.js --extract-text     # Also extract PDF text sidecars
+ *   node sync-ratchakitcha.js --incremental      # Only months changed since the last incremental sync
+ *   node sync-ratchakitcha.js --source /mnt/share/downloads --all  # Sync from a mirror or local tree
  */
 
 const fs = require('fs');
 const path = require('path');
-const { pipeline } = require('stream/promises');
-const { execSync } = require('child_process');
-
-// Configuration
-const CONFIG = {
+const crypto = require('crypto');
+const util = require('util');
+const { EventEmitter, once } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { pipeline, finished } = require('stream/promises');
+const { setTimeout: delayFor, setImmediate: yieldToEventLoop } = require('timers/promises');
+const { PART_SUFFIX: UNZIP_PART_SUFFIX, createExtractor, readCentralDirectory, extractEntry } = require('./lib/zip');
+const { updateCatalog, searchCatalog } = require('./lib/catalog');
+const { extractText, checkPdf } = require('./lib/pdf');
+const { createServer } = require('./lib/server');
+const { recordMetaChange } = require('./lib/changelog');
+const { createSource } = require('./lib/sources');
+const { createPool, createScheduler, parseRetryAfter } = require('./lib/scheduler');
+const { createJournal, readOutstanding, selectRetries, appendRun, readRuns } = require('./lib/journal');
+const { FORMATS, formatForFile, exportMeta } = require('./lib/export');
+const { createNotifier } = require('./lib/notify');
+const { loadConfigFile, loadPlugins, createPluginRunner } = require('./lib/plugins');
+const { createFilter } = require('./lib/filter');
+const { createStorage, moveFile } = require('./lib/storage');
+const { formatBytes, parseBytes, parseDuration } = require('./lib/format');
+const { createPruner } = require('./lib/prune');
+const { WATCH_INTERVAL, createWatcher, runWatch } = require('./lib/watch');
+const { freeSpace, createPlanner } = require('./lib/plan');
+
+// Default configuration; every API call can override any of these in its options
+const DEFAULTS = {
+  source: 'huggingface', // 'huggingface', the URL of an HTTP mirror or a local directory
   repo: 'open-law-data-thailand/soc-ratchakitcha',
   baseUrl: 'https://huggingface.co',
+  token: null, // HuggingFace access token (defaults to the HF_TOKEN environment variable)
   outputDir: './downloads',
-  concurrency: 5,
+  concurrency: 5, // Parallel downloads; lowered automatically while the server throttles us
   retryAttempts: 3,
-  retryDelay: 1000,
-  defaultMonths: ['2025-12', '2026-01'], // Hot PDF months
+  retryDelay: 1000, // First retry delay; doubles (with jitter) on each further attempt
+  maxBandwidth: null, // Bytes per second across all downloads (null: unlimited)
+  parallelMonths: 3, // Months synced at the same time; their downloads share one pool
+  zipConcurrency: 2, // Whole ZIP archives downloaded and extracted at the same time
+  hotMonths: 2, // Latest months with a pdf/ folder, synced when no months are given
+  revision: 'main', // Branch, tag or commit; pinned to its commit SHA at startup
+  checkPdfs: true, // Check that downloaded and extracted PDFs are readable, quarantining broken ones
+  storage: 'local', // Where the PDF tree goes: 'local' (outputDir) or s3://bucket/prefix, see lib/storage.js
+  dedupe: false, // Store each distinct PDF once, by sha256
+  s3Endpoint: null, // S3-compatible endpoint (default: AWS_ENDPOINT_URL, else AWS S3)
+  filter: null, // Only sync PDFs whose meta record matches: an expression, a .json predicate file or a function, see lib/filter.js
+  plugins: [], // Module paths, { path, options, name } or hook objects, see lib/plugins.js
+  pluginConcurrency: 2, // Plugin hooks running at the same time
 };
 
-// HuggingFace API URLs
-const getApiUrl = (path) =>
-  `${CONFIG.baseUrl}/api/datasets/${CONFIG.repo}/tree/main/${path}`;
-const getDownloadUrl = (path) =>
-  `${CONFIG.baseUrl}/datasets/${CONFIG.repo}/resolve/main/${path}`;
+// Every API call (and the CLI) works inside a run holding its configuration,
+// the EventEmitter it reports to and its caches. The run is found through
+// async context, so concurrent calls with different options don't interfere.
+const runs = new AsyncLocalStorage();
+
+// `prune` marks runs that prune: like text extraction and deep verification,
+// they read the PDFs from disk, so they need local storage. `plugins` are
+// already loaded plugins to use instead of loading config.plugins.
+function createRun(options = {}, { prune = false, plugins = null } = {}) {
+  const config = { ...DEFAULTS };
+  for (const key of Object.keys(DEFAULTS)) {
+    if (options[key] !== undefined) config[key] = options[key];
+  }
+  const storage = createStorage(config, { fetch: fetchWithRetry, hash: hashFile, log });
+  const needsDisk = [options.text && 'text extraction', prune && 'pruning', options.deep && 'deep verification'].filter(Boolean);
+  if (!storage.local && needsDisk.length > 0) {
+    throw new Error(`Storage ${storage.description} cannot be combined with ${needsDisk.join(' or ')}: that reads the PDFs from local disk`);
+  }
+  const scheduler = createScheduler(config);
+
+  return {
+    config,
+    events: options.events || new EventEmitter(),
+    // Where files come from, see lib/sources.js
+    source: createSource(config, { fetch: fetchWithRetry, progress }),
+    // Concurrency, Retry-After pauses and bandwidth cap, see lib/scheduler.js
+    scheduler,
+    // Requests of all months (meta, PDFs, ZIP entries), at the current concurrency
+    downloads: createPool(() => scheduler.concurrency),
+    // Whole ZIP archive downloads and extractions
+    archives: createPool(() => config.zipConcurrency),
+    // Upstream year folder listings (e.g. zip/2025), see listYear()
+    yearListings: new Map(),
+    // Upstream month folder indexes, see fetchRemoteIndex()
+    remoteIndexes: new Map(),
+    // Upstream meta file contents by month, see fetchMetaContent()
+    metaFetches: new Map(),
+    // Revision the run is pinned to: { requested, sha }
+    revisionInfo: null,
+    // Local sha256 hashes, see hashFile()
+    hashCache: null,
+    // Record-level meta changes by month: { added, removed, modified }
+    metaChanges: new Map(),
+    // Per-file outcomes, kept across runs, see lib/journal.js
+    journal: createJournal(config.outputDir),
+    // PDFs that failed checkPdf() and were quarantined: { month, file, problem, quarantinedTo }
+    invalidPdfs: [],
+    // Meta record filter ({ test, description }) or null
+    recordFilter: createFilter(config.filter),
+    // Where finished PDFs go, see lib/storage.js
+    storage,
+    // Post-download hooks, see lib/plugins.js
+    plugins: createPluginRunner(plugins || loadPlugins(config.plugins), {
+      concurrency: config.pluginConcurrency,
+      context: plugin => ({
+        outputDir: config.outputDir,
+        log: (...args) => log(`  🔌 ${plugin.name}: ${util.format(...args)}`),
+      }),
+      onError: (plugin, hook, error) => logError(`  ❌ Plugin ${plugin.name} failed in ${hook}: ${error.message}`),
+    }),
+    // Parsed meta records by month and pdf_file, for plugin hooks
+    metaRecords: new Map(),
+  };
+}
+
+function run() {
+  const current = runs.getStore();
+  if (!current) throw new Error('Called outside of a run');
+  return current;
+}
+
+// Async calls resolve once the plugin hooks they queued have run and the
+// storage's manifests are written
+function withRun(options, fn, runOptions) {
+  return runs.run(createRun(options, runOptions), () => {
+    const result = fn();
+    return result instanceof Promise
+      ? result.finally(async () => {
+        await run().plugins.drain();
+        await run().storage.flush();
+      })
+      : result;
+  });
+}
+
+const config = () => run().config;
+
+// Month whose work is running, when several months are synced at once: their
+// log and progress lines are prefixed with it
+const monthScope = new AsyncLocalStorage();
+
+function withMonthPrefix(text) {
+  const month = monthScope.getStore();
+  if (!month) return text;
+  return text.split('\n').map(line => (line ? `[${month}] ${line}` : line)).join('\n');
+}
+
+// Events: `log` ({ level, message }) and `progress` (a status line that
+// replaces the previous one) carry the human-readable output; month-start,
+// month-done, file-done, file-failed and summary carry structured data
+function emit(event, payload) {
+  run().events.emit(event, payload);
+}
+
+function log(...args) {
+  emit('log', { level: 'info', message: withMonthPrefix(util.format(...args)) });
+}
+
+function logError(...args) {
+  emit('log', { level: 'error', message: withMonthPrefix(util.format(...args)) });
+}
+
+function progress(line) {
+  emit('progress', withMonthPrefix(line));
+}
+
+// Report a file's outcome to the run's listeners and record it in the journal
+function fileDone({ month, file, source, status, size = null }) {
+  run().journal.recordFile(month, file, { status, source, size });
+  emit('file-done', { month, file, source, status, size });
+
+  // Files that are new on disk, from pdf/ or a ZIP archive
+  if (['downloaded', 'extracted', 'fetched'].includes(status) && run().plugins.has('onFileDownloaded')) {
+    const relPath = `pdf/${month.slice(0, 4)}/${month}/${file}`;
+    run().plugins.run('onFileDownloaded', {
+      month,
+      file,
+      source,
+      size,
+      localPath: storage().local ? storage().location(relPath) : null,
+      location: storage().location(relPath),
+      record: metaRecord(month, file),
+    });
+  }
+}
+
+function fileFailed({ month, file, source, error }) {
+  run().journal.recordFile(month, file, { status: 'failed', source, error });
+  emit('file-failed', { month, file, source, error });
+}
+
+const source = () => run().source;
+const storage = () => run().storage;
 
 // Utility: sleep
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -43,15 +221,6 @@ function ensureDir(dir) {
   }
 }
 
-// Utility: format bytes
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 B';
-  const k = 1024;
-  const sizes = ['B', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-}
-
 // Utility: progress bar
 function progressBar(current, total, width = 30) {
   const percent = Math.round((current / total) * 100);
@@ -60,128 +229,631 @@ function progressBar(current, total, width = 30) {
   return `[${'█'.repeat(filled)}${'░'.repeat(empty)}] ${percent}% (${current}/${total})`;
 }
 
-// Fetch with retry
-async function fetchWithRetry(url, options = {}, attempts = CONFIG.retryAttempts) {
-  for (let i = 0; i < attempts; i++) {
+// Longest wait before a retry, whatever the backoff or Retry-After says
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+// Error for an HTTP error response. `retryable` is set for statuses worth
+// retrying (timeouts, throttling, server errors); others, like 404, are permanent.
+function httpError(response) {
+  const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+  error.status = response.status;
+  error.retryable = [408, 425, 429].includes(response.status) || response.status >= 500;
+  error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+  return error;
+}
+
+// Exponential backoff with jitter: 50-100% of retryDelay * 2^attempt
+function backoffDelay(attempt) {
+  const delay = config().retryDelay * 2 ** attempt;
+  return Math.min(MAX_RETRY_DELAY, delay / 2 + Math.random() * delay / 2);
+}
+
+// Fetch with retry. Network errors and retryable HTTP errors are retried after
+// the server's Retry-After or an exponential backoff; HTTP 429/503 also slow
+// down the whole run (see lib/scheduler.js). Permanent errors fail at once.
+async function fetchWithRetry(url, options = {}, attempts = config().retryAttempts) {
+  const scheduler = run().scheduler;
+
+  for (let i = 0; ; i++) {
+    await scheduler.ready();
+
+    let error;
     try {
       const response = await fetch(url, options);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (response.ok) {
+        scheduler.succeeded();
+        return scheduler.limitBody(response);
       }
-      return response;
-    } catch (error) {
-      if (i === attempts - 1) throw error;
-      console.log(`  Retry ${i + 1}/${attempts - 1} for ${path.basename(url)}`);
-      await sleep(CONFIG.retryDelay * (i + 1));
+      await response.body?.cancel();
+      error = httpError(response);
+    } catch (fetchError) {
+      // Network failure (connection reset, DNS, ...)
+      error = fetchError;
+      error.retryable = true;
+    }
+
+    if (!error.retryable || i >= attempts - 1) throw error;
+
+    const delay = Math.min(MAX_RETRY_DELAY, error.retryAfter ?? backoffDelay(i));
+    log(`  Retry ${i + 1}/${attempts - 1} for ${path.basename(url)} in ${(delay / 1000).toFixed(1)}s (${error.message})`);
+    if (error.status === 429 || error.status === 503) {
+      const concurrency = scheduler.throttled(delay);
+      log(`  ⏳ Throttled by server: concurrency lowered to ${concurrency}`);
+    } else {
+      await sleep(delay);
     }
   }
 }
 
-// List files from HuggingFace API with pagination support
+// Fetch an inclusive byte range of a remote file (fails if the server ignores Range)
+async function fetchRange(remotePath, start, end) {
+  const response = await source().fetch(remotePath, {
+    headers: { Range: `bytes=${start}-${end}` },
+  });
+  if (response.status !== 206) {
+    await response.body?.cancel();
+    throw new Error(`Range requests not supported for ${remotePath} (HTTP ${response.status})`);
+  }
+  return response;
+}
+
+// List entries (files and directories) of a source folder
+function listTree(remotePath) {
+  return source().list(remotePath);
+}
+
+// List files of a source folder
 async function listFiles(remotePath) {
-  const allFiles = [];
-  let cursor = null;
-  let pageNum = 1;
+  const items = await listTree(remotePath);
+  return items.filter(item => item.type === 'file');
+}
+
+// List directories of a source folder
+async function listDirs(remotePath) {
+  const items = await listTree(remotePath);
+  return items.filter(item => item.type === 'directory');
+}
+
+// Upstream year folder listings (e.g. zip/2025), cached for the rest of the run.
+// A folder that can't be listed counts as empty.
+function listYear(root, year) {
+  const key = `${root}/${year}`;
+  if (!run().yearListings.has(key)) {
+    run().yearListings.set(key, listTree(key).catch(() => []));
+  }
+  return run().yearListings.get(key);
+}
+
+// Resolve the configured revision (branch, tag or commit) to a commit SHA and
+// pin the rest of the run to it, so all files come from the same upstream commit.
+// Sources without revisions (mirrors, local directories) only take the default.
+async function resolveRevision() {
+  const requested = config().revision;
+  const sha = await source().resolveRevision(requested);
+
+  if (!sha) {
+    if (requested !== DEFAULTS.revision) {
+      throw new Error(`Revision "${requested}" given, but the ${source().description} source has no revisions`);
+    }
+    log(`📦 Source: ${source().description}`);
+    return null;
+  }
+
+  config().revision = sha;
+  run().revisionInfo = { requested, sha };
+  log(`📌 Revision: ${requested}${requested === sha ? '' : ` → ${sha}`}`);
+  return run().revisionInfo;
+}
+
+// Snapshot of the upstream trees as of the last incremental sync:
+// { source, sha, years: { 'pdf/2025': treeOid }, months: { '2025-12': { meta, pdf, zip } } }
+function syncStatePath() {
+  return path.join(config().outputDir, 'sync-state.json');
+}
 
-  while (true) {
-    let url = getApiUrl(remotePath);
-    if (cursor) {
-      url += `?cursor=${encodeURIComponent(cursor)}`;
+function loadSyncState() {
+  try {
+    return JSON.parse(fs.readFileSync(syncStatePath(), 'utf-8'));
+  } catch {
+    return { sha: null, years: {}, months: {} };
+  }
+}
+
+function saveSyncState(state) {
+  ensureDir(config().outputDir);
+  fs.writeFileSync(syncStatePath(), JSON.stringify(state, null, 2));
+}
+
+// Find the months whose meta file, pdf/ folder or ZIP changed since the
+// snapshot in `previous`, by comparing git object ids from the tree API.
+// Year folders with an unchanged tree oid are not listed again.
+// Returns { changed, snapshot } with the snapshot at the pinned revision.
+async function findChangedMonths(previous) {
+  const trees = {
+    meta: /^(\d{4}-\d{2})\.jsonl$/,
+    pdf: /^(\d{4}-\d{2})$/,
+    zip: /^(\d{4}-\d{2})\.zip$/,
+  };
+  const snapshot = { years: {}, months: {} };
+  const changed = new Set();
+
+  for (const [root, pattern] of Object.entries(trees)) {
+    let yearDirs;
+    try {
+      yearDirs = await listDirs(root);
+    } catch (error) {
+      // Not every source has all three trees (a downloads/ tree has no zip/)
+      log(`  ⚠️  Could not list ${root}/ (${error.message})`);
+      continue;
+    }
+
+    for (const yearDir of yearDirs) {
+      const year = path.basename(yearDir.path);
+      const key = `${root}/${year}`;
+      snapshot.years[key] = yearDir.oid;
+
+      if (previous.years[key] === yearDir.oid) {
+        for (const [month, oids] of Object.entries(previous.months)) {
+          if (month.startsWith(`${year}-`) && oids[root]) {
+            snapshot.months[month] = { ...snapshot.months[month], [root]: oids[root] };
+          }
+        }
+        continue;
+      }
+
+      const seen = new Set();
+      for (const item of await listYear(root, year)) {
+        const match = path.basename(item.path).match(pattern);
+        if (!match) continue;
+
+        const month = match[1];
+        seen.add(month);
+        snapshot.months[month] = { ...snapshot.months[month], [root]: item.oid };
+        if ((previous.months[month] || {})[root] !== item.oid) changed.add(month);
+      }
+
+      // Removed from this tree (e.g. a pdf/ folder archived into zip/)
+      for (const [month, oids] of Object.entries(previous.months)) {
+        if (month.startsWith(`${year}-`) && oids[root] && !seen.has(month)) changed.add(month);
+      }
+    }
+  }
+
+  // Months that vanished upstream entirely have nothing left to sync
+  return {
+    changed: [...changed].filter(month => snapshot.months[month]).sort(),
+    snapshot,
+  };
+}
+
+// Record the new snapshot after an incremental sync. Changed months that were
+// not synced cleanly keep their old oids (and their years are re-listed), so
+// they show up as changed again next time.
+function advanceSyncState(previous, snapshot, changed, results) {
+  const state = {
+    source: source().description,
+    sha: run().revisionInfo?.sha ?? null,
+    updatedAt: new Date().toISOString(),
+    ...snapshot,
+  };
+
+  for (const month of changed) {
+    const result = results.find(m => m.month === month);
+    const clean = result &&
+      !(result.failed > 0 || result.missing > 0 || result.status === 'failed' || (result.failedEntries || []).length > 0);
+    if (clean) continue;
+
+    if (previous.months[month]) {
+      state.months[month] = previous.months[month];
+    } else {
+      delete state.months[month];
+    }
+    for (const root of ['meta', 'pdf', 'zip']) {
+      delete state.years[`${root}/${month.slice(0, 4)}`];
     }
+  }
+
+  saveSyncState(state);
+}
+
+// Discover which months exist in the dataset by walking the meta/, pdf/ and zip/ trees.
+// Returns one entry per month, sorted, flagging which trees hold it.
+// Pass `years` to only walk those year folders.
+async function discoverMonths(years = null) {
+  const trees = {
+    meta: { type: 'file', pattern: /^(\d{4}-\d{2})\.jsonl$/ },
+    pdf: { type: 'directory', pattern: /^(\d{4}-\d{2})$/ },
+    zip: { type: 'file', pattern: /^(\d{4}-\d{2})\.zip$/ },
+  };
+  const inventory = new Map();
+
+  for (const [root, { type, pattern }] of Object.entries(trees)) {
+    let yearDirs;
+    try {
+      yearDirs = await listDirs(root);
+    } catch (error) {
+      log(`  ⚠️  Could not list ${root}/ (${error.message})`);
+      continue;
+    }
+
+    for (const yearDir of yearDirs) {
+      if (years && !years.includes(path.basename(yearDir.path))) continue;
 
-    const response = await fetchWithRetry(url);
+      const items = await listTree(yearDir.path);
+      for (const item of items) {
+        const match = item.type === type && path.basename(item.path).match(pattern);
+        if (!match) continue;
 
-    // Check for next page cursor in Link header
-    const linkHeader = response.headers.get('Link');
-    let nextCursor = null;
-    if (linkHeader) {
-      const match = linkHeader.match(/cursor=([^&>]+)/);
-      if (match) {
-        nextCursor = decodeURIComponent(match[1]);
+        const month = match[1];
+        if (!inventory.has(month)) {
+          inventory.set(month, { month, meta: false, pdf: false, zip: false });
+        }
+        inventory.get(month)[root] = true;
       }
     }
+  }
+
+  return [...inventory.values()].sort((a, b) => a.month.localeCompare(b.month));
+}
+
+// Discover which months are present in the local download tree (meta/ or pdf/)
+function discoverLocalMonths() {
+  const inventory = new Map();
+
+  for (const root of ['meta', 'pdf']) {
+    const rootDir = path.join(config().outputDir, root);
+    if (!fs.existsSync(rootDir)) continue;
 
-    const items = await response.json();
-    const files = items.filter(item => item.type === 'file');
-    allFiles.push(...files);
+    for (const year of fs.readdirSync(rootDir)) {
+      const yearDir = path.join(rootDir, year);
+      if (!fs.statSync(yearDir).isDirectory()) continue;
 
-    // If we got less than 1000 items or no next cursor, we're done
-    if (!nextCursor || items.length < 1000) {
-      break;
+      for (const name of fs.readdirSync(yearDir)) {
+        const match = name.match(/^(\d{4}-\d{2})(?:\.jsonl)?$/);
+        if (!match) continue;
+
+        const month = match[1];
+        if (!inventory.has(month)) {
+          inventory.set(month, { month, meta: false, pdf: false, zip: false });
+        }
+        inventory.get(month)[root] = true;
+      }
     }
+  }
+
+  return [...inventory.values()].sort((a, b) => a.month.localeCompare(b.month));
+}
+
+// Apply month selectors (--all, --from/--to, --latest N) to a sorted inventory
+function selectMonths(inventory, { all, from, to, latest }) {
+  let selected = inventory;
+
+  if (from) selected = selected.filter(m => m.month >= from);
+  if (to) selected = selected.filter(m => m.month <= to);
+  if (latest) selected = selected.slice(-latest);
 
-    cursor = nextCursor;
-    pageNum++;
-    process.stdout.write(`\r  Fetching file list... page ${pageNum} (${allFiles.length} files so far)`);
+  if (!all && !from && !to && !latest) {
+    // No selector: the hot window is the latest months still served from pdf/
+    selected = selected.filter(m => m.pdf).slice(-config().hotMonths);
   }
 
-  return allFiles;
+  return selected;
 }
 
-// List directories from HuggingFace API
-async function listDirs(remotePath) {
-  const url = getApiUrl(remotePath);
-  const response = await fetchWithRetry(url);
-  const items = await response.json();
-  return items.filter(item => item.type === 'directory');
+// Pick the download strategy for a discovered month: loose PDFs if the
+// month has a pdf/ folder, otherwise its ZIP archive
+function routeMonth(entry) {
+  if (entry && !entry.pdf && entry.zip) return 'zip';
+  return 'pdf';
+}
+
+// Local sha256 hashes are cached in hash-cache.json, keyed by path relative to
+// the output dir, and reused while the file's size and mtime are unchanged
+function hashCachePath() {
+  return path.join(config().outputDir, 'hash-cache.json');
+}
+
+function loadHashCache() {
+  if (!run().hashCache) {
+    try {
+      run().hashCache = JSON.parse(fs.readFileSync(hashCachePath(), 'utf-8'));
+    } catch {
+      run().hashCache = {};
+    }
+  }
+  return run().hashCache;
+}
+
+function saveHashCache() {
+  if (!run().hashCache) return;
+  ensureDir(config().outputDir);
+  fs.writeFileSync(hashCachePath(), JSON.stringify(run().hashCache));
+}
+
+// Compute (or reuse the cached) sha256 of a local file
+async function hashFile(filePath) {
+  const stats = fs.statSync(filePath);
+  const key = path.relative(config().outputDir, filePath).split(path.sep).join('/');
+  const cache = loadHashCache();
+
+  const cached = cache[key];
+  if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+    return cached.sha256;
+  }
+
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  const sha256 = hash.digest('hex');
+
+  cache[key] = { size: stats.size, mtimeMs: stats.mtimeMs, sha256 };
+  return sha256;
+}
+
+// Expected size and LFS sha256 of each file in a remote folder, keyed by file
+// name. Listed once per run, so the sync plan and the sync share the listing;
+// a failed listing is tried again on the next call.
+function fetchRemoteIndex(remotePath) {
+  const indexes = run().remoteIndexes;
+  if (!indexes.has(remotePath)) {
+    const index = listFiles(remotePath).then(files => new Map(files.map(f => [path.basename(f.path), toExpected(f)])));
+    indexes.set(remotePath, index);
+    index.catch(() => indexes.delete(remotePath));
+  }
+  return indexes.get(remotePath);
+}
+
+// Expected size and sha256 from a tree API entry (only LFS entries carry a sha256)
+function toExpected(item) {
+  if (!item) return {};
+  return item.lfs
+    ? { size: item.lfs.size, sha256: item.lfs.oid }
+    : { size: item.size, sha256: null };
+}
+
+// Check a local file against its expected size and sha256.
+// Returns the reason it does not match, or null if it does.
+async function checkIntegrity(localPath, expected = {}) {
+  if (!fs.existsSync(localPath)) return 'missing';
+
+  const { size } = fs.statSync(localPath);
+  if (expected.size != null && size !== expected.size) {
+    return `size ${size} != expected ${expected.size}`;
+  }
+
+  if (expected.sha256) {
+    const actual = await hashFile(localPath);
+    if (actual !== expected.sha256) {
+      return `sha256 ${actual.slice(0, 12)}… != expected ${expected.sha256.slice(0, 12)}…`;
+    }
+  }
+
+  return null;
+}
+
+// Downloads go to `<file>.part` and are renamed into place once they check out.
+// Open a download into `partPath`, resuming after the bytes already there when
+// the source honours Range (a source that ignores it starts over).
+// Returns { response, offset }: append the response body to the part file
+// from `offset`. `response` is null when the part is already complete.
+async function openPartDownload(remotePath, partPath, expected = {}) {
+  let offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+  if (expected.size != null && offset > expected.size) {
+    offset = 0;
+  } else if (offset > 0 && offset === expected.size) {
+    return { response: null, offset };
+  }
+
+  if (offset > 0) {
+    try {
+      const response = await source().fetch(remotePath, { headers: { Range: `bytes=${offset}-` } });
+      const range = (response.headers.get('content-range') || '').match(/^bytes (\d+)-/);
+      if (response.status === 206 && range && Number(range[1]) === offset) {
+        return { response, offset };
+      }
+      if (response.status === 200) {
+        return { response, offset: 0 };
+      }
+      await response.body?.cancel();
+    } catch {
+      // E.g. HTTP 416: the part doesn't fit the remote file any more
+    }
+  }
+
+  return { response: await source().fetch(remotePath), offset: 0 };
+}
+
+// Path of a file in the output dir, relative to it with forward slashes
+function relativePath(localPath) {
+  return path.relative(config().outputDir, localPath).split(path.sep).join('/');
+}
+
+// Move a checked part file into place, keeping its cached hash
+function commitPart(partPath, localPath) {
+  fs.renameSync(partPath, localPath);
+
+  const cache = run().hashCache;
+  if (cache && cache[relativePath(partPath)]) {
+    cache[relativePath(localPath)] = cache[relativePath(partPath)];
+    delete cache[relativePath(partPath)];
+  }
+}
+
+// Hand a finished PDF in the output dir over to the storage (see lib/storage.js),
+// once it passes the PDF checks
+async function storeFile(localPath, sha256 = null) {
+  const relPath = relativePath(localPath);
+  if (config().checkPdfs) {
+    quarantineInvalidPdf(localPath);
+  }
+  await storage().put(relPath, localPath, { sha256 });
+  if (!storage().local && run().hashCache) delete run().hashCache[relPath];
+}
+
+// Check a PDF that just landed in the output dir. A broken one (an error page
+// saved as .pdf, a truncated file, ...) is moved to quarantine/ under the same
+// path and recorded for the summary, and an error is thrown: the file then
+// counts as failed in the journal, so the next sync or --retry-failed
+// downloads it again.
+function quarantineInvalidPdf(localPath) {
+  const { problem } = checkPdf(fs.readFileSync(localPath));
+  if (!problem) return;
+
+  const relPath = relativePath(localPath);
+  const quarantinedTo = path.join(config().outputDir, 'quarantine', relPath);
+  moveFile(localPath, quarantinedTo);
+  if (run().hashCache) delete run().hashCache[relPath];
+
+  const [, , month, file] = relPath.split('/');
+  run().invalidPdfs.push({ month, file, problem, quarantinedTo });
+  logError(`  🚫 ${file} is not a valid PDF (${problem}), moved to ${quarantinedTo}`);
+  throw new Error(`Invalid PDF: ${problem}`);
+}
+
+// Download parts that openPartDownload() can resume: PDFs and ZIP archives
+const RESUMABLE_PART = /^(pdf\/\d{4}\/\d{4}-\d{2}\/[^/]+|zip\/\d{4}\/\d{4}-\d{2}\.zip)\.part$/;
+
+// Find part files left by interrupted runs. Download parts whose file has
+// since been completed are removed; the others stay and are resumed when
+// their file is downloaded again. Any other part can't be resumed and is
+// removed: entries an extractor was writing (in a ZIP's `.extract` staging
+// folder, or next to PDFs fetched with --remote-zip) and cut-off meta files.
+function sweepPartFiles() {
+  let resumable = 0;
+  let removed = 0;
+
+  const walk = (dir) => {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.name.endsWith('.part')) {
+        const download = !entry.name.endsWith(UNZIP_PART_SUFFIX) && RESUMABLE_PART.test(relativePath(fullPath));
+        if (!download || fs.existsSync(fullPath.slice(0, -'.part'.length)) || fs.statSync(fullPath).size === 0) {
+          fs.unlinkSync(fullPath);
+          removed++;
+        } else {
+          resumable++;
+        }
+      }
+    }
+  };
+  for (const root of ['meta', 'pdf', 'zip']) {
+    walk(path.join(config().outputDir, root));
+  }
+
+  if (removed > 0) log(`🧹 Removed ${removed} stale partial files`);
+  if (resumable > 0) log(`↩️  ${resumable} partial downloads will be resumed`);
+  return { resumable, removed };
 }
 
-// Download a single file
-async function downloadFile(remotePath, localPath) {
-  // Skip if file exists and has content
-  if (fs.existsSync(localPath)) {
-    const stats = fs.statSync(localPath);
-    if (stats.size > 0) {
-      return { status: 'skipped', path: localPath };
+// Download a single file, checking it against `expected` size/sha256 when known.
+// Existing files are kept unless `force` is set or their size is wrong (or,
+// with `verifyExisting`, their sha256 is). PDFs end up in the storage, other
+// files (ZIPs) in the output dir.
+async function downloadFile(remotePath, localPath, { expected = {}, force = false, verifyExisting = false } = {}) {
+  const relPath = relativePath(localPath);
+  const inStorage = relPath.startsWith('pdf/');
+
+  // Skip if file exists and has content (of the expected size, when known)
+  if (!force) {
+    const existing = inStorage ? await storage().stat(relPath) : fs.existsSync(localPath) ? fs.statSync(localPath) : null;
+    if (existing && existing.size > 0 && (expected.size == null || existing.size === expected.size) &&
+      !(verifyExisting && expected.sha256 && await (inStorage ? storage().hash(relPath) : hashFile(localPath)) !== expected.sha256)) {
+      return { status: 'skipped', path: localPath, size: existing.size };
     }
   }
 
   ensureDir(path.dirname(localPath));
 
-  const url = getDownloadUrl(remotePath);
-  const response = await fetchWithRetry(url);
+  const partPath = `${localPath}.part`;
+  const { response, offset } = await openPartDownload(remotePath, partPath, expected);
+  if (response) {
+    await pipeline(response.body, fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' }));
+  }
+
+  const problem = await checkIntegrity(partPath, expected);
+  if (problem && offset > 0) {
+    // The kept bytes may be from an older version of the file: start over once
+    fs.unlinkSync(partPath);
+    return downloadFile(remotePath, localPath, { expected, force: true });
+  }
+  if (problem) {
+    fs.unlinkSync(partPath);
+    throw new Error(`Integrity check failed: ${problem}`);
+  }
 
-  const fileStream = fs.createWriteStream(localPath);
-  await pipeline(response.body, fileStream);
+  const { size } = fs.statSync(partPath);
+  commitPart(partPath, localPath);
+  if (inStorage) {
+    await storeFile(localPath, expected.sha256 || null);
+  }
+  return { status: 'downloaded', path: localPath, size, resumedFrom: offset };
+}
 
-  return { status: 'downloaded', path: localPath };
+// A month's meta file content as upstream has it (null if it can't be
+// fetched), once per run: the sync plan and the sync share it
+function fetchMetaContent(yearMonth) {
+  const fetches = run().metaFetches;
+  if (!fetches.has(yearMonth)) {
+    const [year] = yearMonth.split('-');
+    // Ahead of queued downloads: the meta file decides what a month needs
+    fetches.set(yearMonth, run().downloads.run(async () => (await source().fetch(`meta/${year}/${yearMonth}.jsonl`)).text(), { priority: true })
+      .catch(() => null));
+  }
+  return fetches.get(yearMonth);
 }
 
 // Download meta file for a month (always re-download to check for updates)
 async function downloadMeta(yearMonth) {
   const [year] = yearMonth.split('-');
   const remotePath = `meta/${year}/${yearMonth}.jsonl`;
-  const localPath = path.join(CONFIG.outputDir, remotePath);
+  const localPath = path.join(config().outputDir, remotePath);
 
-  console.log(`\n📋 Fetching meta: ${yearMonth}.jsonl`);
-
-  ensureDir(path.dirname(localPath));
+  log(`\n📋 Fetching meta: ${yearMonth}.jsonl`);
 
   try {
-    const url = getDownloadUrl(remotePath);
-    const response = await fetchWithRetry(url);
-    const content = await response.text();
+    const content = await fetchMetaContent(yearMonth);
+    if (content === null) throw new Error(`Could not fetch ${remotePath}`);
+
+    ensureDir(path.dirname(localPath));
 
     // Check if content changed
     let status = 'new';
+    let change = null;
     if (fs.existsSync(localPath)) {
       const existing = fs.readFileSync(localPath, 'utf-8');
       if (existing === content) {
-        console.log(`  ✓ No changes`);
+        log(`  ✓ No changes`);
         return localPath;
       }
       status = 'updated';
+      // Keep the previous version and log what changed
+      change = recordMetaChange(config().outputDir, yearMonth, existing, content);
     }
 
-    fs.writeFileSync(localPath, content);
-    console.log(`  ✅ ${status === 'updated' ? 'Updated' : 'Downloaded'} (${content.split('\n').filter(l => l.trim()).length} entries)`);
+    fs.writeFileSync(`${localPath}.part`, content);
+    fs.renameSync(`${localPath}.part`, localPath);
+    run().metaRecords.delete(yearMonth);
+    log(`  ✅ ${status === 'updated' ? 'Updated' : 'Downloaded'} (${content.split('\n').filter(l => l.trim()).length} entries)`);
+    if (change) {
+      const counts = { added: change.added.length, removed: change.removed.length, modified: change.modified.length };
+      run().metaChanges.set(yearMonth, counts);
+      log(`  📝 ${counts.added} added, ${counts.removed} removed, ${counts.modified} modified (see changelog.md)`);
+    }
+    if (run().plugins.has('onMetaUpdated')) {
+      run().plugins.run('onMetaUpdated', { month: yearMonth, status, metaPath: path.resolve(localPath), records: parseMetaFile(localPath), changes: change });
+    }
     return localPath;
   } catch (error) {
     if (fs.existsSync(localPath)) {
-      console.log(`  ⚠️  Failed to fetch, using cached version`);
+      log(`  ⚠️  Failed to fetch, using cached version`);
       return localPath;
     }
-    console.log(`  ⚠️  Meta file not found (may not exist for this month)`);
+    log(`  ⚠️  Meta file not found (may not exist for this month)`);
     return null;
   }
 }
@@ -189,8 +861,10 @@ async function downloadMeta(yearMonth) {
 // Parse JSONL meta file
 function parseMetaFile(filePath) {
   if (!fs.existsSync(filePath)) return [];
+  return parseMetaContent(fs.readFileSync(filePath, 'utf-8'));
+}
 
-  const content = fs.readFileSync(filePath, 'utf-8');
+function parseMetaContent(content) {
   const lines = content.trim().split('\n').filter(line => line.trim());
 
   return lines.map(line => {
@@ -202,39 +876,77 @@ function parseMetaFile(filePath) {
   }).filter(Boolean);
 }
 
-// Download PDFs for a month with concurrency control
+// pdf_file names listed in a month's meta records, narrowed by the run's
+// filter. The filtered set is what a month needs to be complete.
+function selectedFiles(meta) {
+  const filter = run().recordFilter;
+  return meta.filter(m => m.pdf_file && (!filter || filter.test(m))).map(m => m.pdf_file);
+}
+
+// A month's meta record for a pdf_file (null if not listed), from the local
+// meta file
+function metaRecord(month, file) {
+  const cache = run().metaRecords;
+  if (!cache.has(month)) {
+    const metaPath = path.join(config().outputDir, 'meta', month.slice(0, 4), `${month}.jsonl`);
+    cache.set(month, new Map(parseMetaFile(metaPath).filter(m => m.pdf_file).map(m => [m.pdf_file, m])));
+  }
+  return cache.get(month).get(file) || null;
+}
+
+// Download PDFs for a month through the shared download pool
 // Uses meta file as source of truth (API has 1000 file pagination limit)
-async function downloadPdfs(yearMonth, metaPath) {
+async function downloadPdfs(yearMonth, metaPath, { verifyExisting = false, only = null } = {}) {
   const [year] = yearMonth.split('-');
   const remotePath = `pdf/${year}/${yearMonth}`;
-  const localDir = path.join(CONFIG.outputDir, remotePath);
+  const localDir = path.join(config().outputDir, remotePath);
 
-  console.log(`\n📁 Getting PDF list for ${yearMonth}...`);
+  log(`\n📁 Getting PDF list for ${yearMonth}...`);
 
   let files = [];
 
   // Use meta file as source of truth (avoids API pagination limit of 1000)
   if (metaPath && fs.existsSync(metaPath)) {
     const meta = parseMetaFile(metaPath);
-    files = meta
-      .filter(m => m.pdf_file)
-      .map(m => ({
-        path: `${remotePath}/${m.pdf_file}`,
-        name: m.pdf_file,
-      }));
-    console.log(`  Found ${files.length} PDFs in meta file`);
+
+    // Expected sizes and hashes, as long as the folder is still listed upstream
+    let remoteIndex = new Map();
+    try {
+      remoteIndex = await fetchRemoteIndex(remotePath);
+    } catch {
+      log(`  ⚠️  Could not list ${remotePath}, skipping size/hash checks`);
+    }
+
+    files = selectedFiles(meta).map(name => ({
+      path: `${remotePath}/${name}`,
+      name,
+      expected: remoteIndex.get(name) || {},
+    }));
+    if (run().recordFilter) {
+      log(`  Found ${meta.filter(m => m.pdf_file).length} PDFs in meta file, ${files.length} match the filter`);
+    } else {
+      log(`  Found ${files.length} PDFs in meta file`);
+    }
+  } else if (run().recordFilter) {
+    log(`  ⚠️  No meta file to apply the filter to`);
+    return { downloaded: 0, skipped: 0, failed: 0, files: [] };
   } else {
     // Fallback to API (limited to 1000 files)
     try {
       const apiFiles = await listFiles(remotePath);
-      files = apiFiles.map(f => ({ path: f.path, name: path.basename(f.path) }));
-      console.log(`  Found ${files.length} PDFs from API (may be incomplete if >1000)`);
+      files = apiFiles.map(f => ({ path: f.path, name: path.basename(f.path), expected: toExpected(f) }));
+      log(`  Found ${files.length} PDFs from API (may be incomplete if >1000)`);
     } catch (error) {
-      console.log(`  ⚠️  No PDF folder found for ${yearMonth} (may be archived in ZIP)`);
+      log(`  ⚠️  No PDF folder found for ${yearMonth} (may be archived in ZIP)`);
       return { downloaded: 0, skipped: 0, failed: 0, files: [] };
     }
   }
 
+  if (only) {
+    files = files.filter(f => only.has(f.name));
+    log(`  Retrying ${files.length} of them`);
+  }
+
   if (files.length === 0) {
     return { downloaded: 0, skipped: 0, failed: 0, files: [] };
   }
@@ -246,20 +958,15 @@ async function downloadPdfs(yearMonth, metaPath) {
   let failed = 0;
   const results = [];
 
-  // Process files with concurrency limit
-  const queue = [...files];
-  const inProgress = new Set();
-
-  async function processNext() {
-    if (queue.length === 0) return;
-
-    const file = queue.shift();
+  // Files go through the run's shared download pool
+  async function processFile(file) {
     const fileName = file.name;
     const localPath = path.join(localDir, fileName);
 
     try {
-      const result = await downloadFile(file.path, localPath);
-      results.push({ name: fileName, size: file.size, status: result.status });
+      const result = await downloadFile(file.path, localPath, { expected: file.expected, verifyExisting });
+      results.push({ name: fileName, size: file.expected.size, status: result.status });
+      fileDone({ month: yearMonth, file: fileName, source: 'pdf', status: result.status, size: result.size });
 
       if (result.status === 'downloaded') {
         downloaded++;
@@ -268,168 +975,261 @@ async function downloadPdfs(yearMonth, metaPath) {
       }
     } catch (error) {
       failed++;
-      results.push({ name: fileName, size: file.size, status: 'failed', error: error.message });
+      results.push({ name: fileName, size: file.expected.size, status: 'failed', error: error.message });
+      fileFailed({ month: yearMonth, file: fileName, source: 'pdf', error: error.message });
     }
 
     // Update progress
     const total = files.length;
     const done = downloaded + skipped + failed;
-    process.stdout.write(`\r  ${progressBar(done, total)} - ${downloaded} new, ${skipped} skipped, ${failed} failed`);
+    progress(`  ${progressBar(done, total)} - ${downloaded} new, ${skipped} skipped, ${failed} failed`);
   }
 
-  // Start concurrent downloads
-  while (queue.length > 0 || inProgress.size > 0) {
-    while (inProgress.size < CONFIG.concurrency && queue.length > 0) {
-      const promise = processNext();
-      inProgress.add(promise);
-      promise.finally(() => inProgress.delete(promise));
-    }
-
-    if (inProgress.size > 0) {
-      await Promise.race(inProgress);
-    }
-  }
+  await Promise.all(files.map(file => run().downloads.run(() => processFile(file))));
 
-  console.log(''); // New line after progress bar
+  log(''); // New line after progress bar
 
   return { downloaded, skipped, failed, files: results };
 }
 
+// Folder a month's archive is extracted into before its PDFs are stored
+function stagingDirFor(zipPath) {
+  return `${zipPath.slice(0, -'.zip'.length)}.extract`;
+}
+
 // Download and extract ZIP for a month
 async function downloadAndExtractZip(yearMonth, metaPath) {
   const [year] = yearMonth.split('-');
   const remotePath = `zip/${year}/${yearMonth}.zip`;
-  const zipDir = path.join(CONFIG.outputDir, 'zip', year);
+  const zipDir = path.join(config().outputDir, 'zip', year);
   const zipPath = path.join(zipDir, `${yearMonth}.zip`);
-  const pdfDir = path.join(CONFIG.outputDir, `pdf/${year}/${yearMonth}`);
+  const pdfDir = path.join(config().outputDir, `pdf/${year}/${yearMonth}`);
 
-  console.log(`\n📦 Processing ZIP: ${yearMonth}.zip`);
+  log(`\n📦 Processing ZIP: ${yearMonth}.zip`);
+
+  // With a filter, only the PDFs it matches are extracted
+  const meta = metaPath && fs.existsSync(metaPath) ? parseMetaFile(metaPath) : null;
+  const wanted = run().recordFilter && meta ? new Set(selectedFiles(meta)) : null;
+  if (run().recordFilter && !(wanted && wanted.size > 0)) {
+    log(wanted ? `  No PDFs match the filter` : `  ⚠️  No meta file to apply the filter to`);
+    return { status: 'skipped', extracted: 0, verified: false };
+  }
 
   // Check if already extracted and verified
-  if (fs.existsSync(pdfDir)) {
-    const existingFiles = fs.readdirSync(pdfDir).filter(f => f.endsWith('.pdf'));
-    if (existingFiles.length > 0) {
-      console.log(`  ✓ Already extracted (${existingFiles.length} PDFs)`);
-
-      // Verify and cleanup leftover ZIP if present
-      let verified = false;
-      if (metaPath && fs.existsSync(metaPath)) {
-        const meta = parseMetaFile(metaPath);
-        const expectedFiles = meta.map(m => m.pdf_file).filter(Boolean);
-        const existingSet = new Set(existingFiles);
-        const missing = expectedFiles.filter(f => !existingSet.has(f));
-
-        if (missing.length === 0) {
-          verified = true;
-
-          // Cleanup leftover ZIP
-          if (fs.existsSync(zipPath)) {
-            const zipSize = fs.statSync(zipPath).size;
-            fs.unlinkSync(zipPath);
-            console.log(`  🗑️  Removed leftover ZIP (freed ${formatBytes(zipSize)})`);
-
-            // Remove empty directories
-            const zipYearDir = path.dirname(zipPath);
-            if (fs.existsSync(zipYearDir) && fs.readdirSync(zipYearDir).length === 0) {
-              fs.rmdirSync(zipYearDir);
-            }
-            const zipBaseDir = path.dirname(zipYearDir);
-            if (fs.existsSync(zipBaseDir) && fs.readdirSync(zipBaseDir).length === 0) {
-              fs.rmdirSync(zipBaseDir);
-            }
-          }
+  const pdfRel = `pdf/${year}/${yearMonth}`;
+  const stored = await storage().list(pdfRel) || new Map();
+  const existingFiles = [...stored.keys()].filter(f => f.endsWith('.pdf'));
+  if (existingFiles.length > 0) {
+    const hasMeta = Boolean(meta);
+    let verified = false;
+    let missing = [];
+    if (hasMeta) {
+      const expectedFiles = selectedFiles(meta);
+      const existingSet = new Set(existingFiles);
+      missing = expectedFiles.filter(f => !existingSet.has(f));
+      verified = missing.length === 0;
+    }
+
+    if (verified || !hasMeta) {
+      log(`  ✓ Already extracted (${existingFiles.length} PDFs)`);
+
+      // Cleanup leftover ZIP
+      if (verified && fs.existsSync(zipPath)) {
+        const zipSize = fs.statSync(zipPath).size;
+        fs.unlinkSync(zipPath);
+        log(`  🗑️  Removed leftover ZIP (freed ${formatBytes(zipSize)})`);
+
+        // Remove empty directories
+        const zipYearDir = path.dirname(zipPath);
+        if (fs.existsSync(zipYearDir) && fs.readdirSync(zipYearDir).length === 0) {
+          fs.rmdirSync(zipYearDir);
+        }
+        const zipBaseDir = path.dirname(zipYearDir);
+        if (fs.existsSync(zipBaseDir) && fs.readdirSync(zipBaseDir).length === 0) {
+          fs.rmdirSync(zipBaseDir);
         }
       }
 
       return { status: 'skipped', extracted: existingFiles.length, verified };
     }
+
+    // Partially present, e.g. synced from pdf/ before the month was archived
+    log(`  ⚠️  ${existingFiles.length} PDFs present, ${missing.length} missing - extracting from ZIP`);
   }
 
   ensureDir(zipDir);
   ensureDir(pdfDir);
 
-  // Download ZIP if not exists or empty
+  // Expected size and hash of the archive, from the zip/YYYY listing
+  const zipEntry = (await listYear('zip', year)).find(item => path.basename(item.path) === `${yearMonth}.zip`);
+  const expected = toExpected(zipEntry);
+
+  // Download ZIP if not exists, empty or of the wrong size
+  const partPath = `${zipPath}.part`;
   let needsDownload = true;
   if (fs.existsSync(zipPath)) {
     const stats = fs.statSync(zipPath);
-    if (stats.size > 0) {
-      console.log(`  ✓ ZIP already downloaded (${formatBytes(stats.size)})`);
+    if (stats.size > 0 && (expected.size == null || stats.size === expected.size)) {
+      log(`  ✓ ZIP already downloaded (${formatBytes(stats.size)})`);
       needsDownload = false;
+    } else if (stats.size > 0) {
+      log(`  ⚠️  Existing ZIP is ${formatBytes(stats.size)}, expected ${formatBytes(expected.size)} - re-downloading`);
+      // Written in place by an older version: resume from it if it's shorter
+      if (stats.size < expected.size && !fs.existsSync(partPath)) {
+        fs.renameSync(zipPath, partPath);
+      }
     }
   }
 
-  if (needsDownload) {
-    console.log(`  ⬇️  Downloading ZIP...`);
-    const url = getDownloadUrl(remotePath);
-
-    // Stream download with progress
-    const response = await fetchWithRetry(url);
-    const contentLength = response.headers.get('content-length');
-    const totalBytes = contentLength ? parseInt(contentLength, 10) : 0;
-
-    let downloadedBytes = 0;
-    const fileStream = fs.createWriteStream(zipPath);
-
-    // Use a transform to track progress
-    const reader = response.body.getReader();
+  // PDFs inside the month folder, flattened into a staging folder next to the
+  // archive. They only move into pdfDir and the storage once the archive
+  // passes its integrity check, so a corrupt download leaves nothing behind
+  // that a later run would take as present.
+  const stagingDir = stagingDirFor(zipPath);
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+  const staged = [];
+  const extractor = createExtractor(stagingDir, {
+    filter: name => name.startsWith(`${yearMonth}/`) && name.toLowerCase().endsWith('.pdf') &&
+      (!wanted || wanted.has(path.posix.basename(name))),
+    mapName: name => path.posix.basename(name),
+    exists: (target, size) => stored.get(path.basename(target))?.size === size,
+    onEntry: entry => {
+      const file = path.posix.basename(entry.name);
+      if (entry.status === 'failed') {
+        fileFailed({ month: yearMonth, file, source: 'zip', error: entry.error });
+      } else if (entry.status === 'extracted') {
+        staged.push(entry);
+      } else {
+        fileDone({ month: yearMonth, file, source: 'zip', status: entry.status, size: entry.size });
+      }
+    },
+  });
 
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
+  if (needsDownload) {
+    // Stream download to disk and extract entries as they arrive
+    log(`  ⬇️  Downloading and extracting to ${pdfDir}...`);
+    const { response, offset } = await openPartDownload(remotePath, partPath, expected);
+    const contentLength = response && response.headers.get('content-length');
+    const totalBytes = contentLength ? offset + parseInt(contentLength, 10) : expected.size || 0;
+
+    let downloadedBytes = offset;
+    if (offset > 0) {
+      log(`  ↩️  Resuming interrupted download at ${formatBytes(offset)}`);
+      // The extractor needs the whole archive: replay the bytes already on disk
+      for await (const chunk of fs.createReadStream(partPath, { end: offset - 1 })) {
+        if (!extractor.write(chunk)) await once(extractor, 'drain');
+      }
+    }
 
-      fileStream.write(Buffer.from(value));
-      downloadedBytes += value.length;
+    const fileStream = fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' });
+    const reader = response ? response.body.getReader() : null;
 
-      if (totalBytes > 0) {
-        const percent = Math.round((downloadedBytes / totalBytes) * 100);
-        process.stdout.write(`\r  ⬇️  Downloading: ${formatBytes(downloadedBytes)} / ${formatBytes(totalBytes)} (${percent}%)`);
-      } else {
-        process.stdout.write(`\r  ⬇️  Downloading: ${formatBytes(downloadedBytes)}`);
+    try {
+      while (reader) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        const chunk = Buffer.from(value);
+        if (!fileStream.write(chunk)) await once(fileStream, 'drain');
+        if (!extractor.write(chunk)) await once(extractor, 'drain');
+        downloadedBytes += chunk.length;
+
+        const extracted = extractor.entries.length;
+        if (totalBytes > 0) {
+          const percent = Math.round((downloadedBytes / totalBytes) * 100);
+          progress(`  ⬇️  Downloading: ${formatBytes(downloadedBytes)} / ${formatBytes(totalBytes)} (${percent}%) - ${extracted} PDFs`);
+        } else {
+          progress(`  ⬇️  Downloading: ${formatBytes(downloadedBytes)} - ${extracted} PDFs`);
+        }
       }
+    } catch (error) {
+      // Let the extractor drop its half-written entry before giving up
+      fileStream.destroy();
+      extractor.end();
+      await finished(extractor).catch(() => {});
+      // Resuming replays the archive, so its entries are extracted again
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+      throw error;
     }
 
     fileStream.end();
-    await new Promise(resolve => fileStream.on('finish', resolve));
-    console.log(`\n  ✅ Downloaded: ${formatBytes(downloadedBytes)}`);
+    extractor.end();
+    await Promise.all([finished(fileStream), finished(extractor)]);
+    log(`\n  ✅ Downloaded: ${formatBytes(downloadedBytes)}`);
   }
 
-  // Extract ZIP
-  console.log(`  📂 Extracting to ${pdfDir}...`);
-
-  try {
-    // Use unzip command (available on macOS/Linux)
-    // -j: junk paths (flatten directory structure)
-    // -o: overwrite without prompting
-    // Pattern matches PDFs inside the month folder
-    execSync(`unzip -j -o "${zipPath}" "${yearMonth}/*.pdf" -d "${pdfDir}"`, {
-      stdio: ['pipe', 'pipe', 'pipe'],
-      maxBuffer: 10 * 1024 * 1024, // 10MB buffer for output
-    });
-  } catch (error) {
-    // unzip returns exit code 1 for warnings (which we can ignore)
-    // Only fail on actual errors (exit code > 1)
-    if (error.status > 1) {
-      console.error(`  ❌ Extraction failed: ${error.message}`);
-      return { status: 'failed', extracted: 0, error: error.message };
-    }
+  // Check the archive against its upstream size and hash
+  const problem = await checkIntegrity(needsDownload ? partPath : zipPath, expected);
+  if (problem) {
+    logError(`  ❌ ZIP integrity check failed: ${problem}`);
+    fs.unlinkSync(needsDownload ? partPath : zipPath);
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    return { status: 'failed', extracted: 0, error: `ZIP integrity check failed: ${problem}` };
+  }
+  if (expected.sha256) {
+    log(`  ✓ ZIP matches upstream sha256`);
+  }
+  if (needsDownload) {
+    commitPart(partPath, zipPath);
   }
 
-  const extractedFiles = fs.readdirSync(pdfDir).filter(f => f.endsWith('.pdf'));
-  console.log(`  ✅ Extracted ${extractedFiles.length} PDF files`);
+  // Extract a ZIP left on disk by an earlier run
+  if (!needsDownload) {
+    log(`  📂 Extracting to ${pdfDir}...`);
+    await pipeline(fs.createReadStream(zipPath), extractor);
+  }
 
-  // Verify against meta before cleanup
-  let verified = false;
-  if (metaPath && fs.existsSync(metaPath)) {
-    const meta = parseMetaFile(metaPath);
-    const expectedFiles = meta.map(m => m.pdf_file).filter(Boolean);
+  // Hand the extracted PDFs over to the storage
+  const storeFailures = [];
+  const stores = createPool(() => config().concurrency);
+  await Promise.all(staged.map(entry => stores.run(async () => {
+    const file = path.posix.basename(entry.name);
+    const localPath = path.join(pdfDir, file);
+    try {
+      fs.renameSync(entry.path, localPath);
+      await storeFile(localPath);
+      fileDone({ month: yearMonth, file, source: 'zip', status: entry.status, size: entry.size });
+    } catch (error) {
+      storeFailures.push({ name: entry.name, error: error.message });
+      fileFailed({ month: yearMonth, file, source: 'zip', error: error.message });
+    }
+  })));
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+
+  // Report entries that could not be extracted (bad CRC, unsafe path, ...)
+  // or stored
+  const failedEntries = extractor.entries
+    .filter(e => e.status === 'failed')
+    .map(e => ({ name: e.name, error: e.error }))
+    .concat(storeFailures);
+
+  if (failedEntries.length > 0) {
+    log(`  ❌ ${failedEntries.length} entries failed to extract`);
+    failedEntries.slice(0, 5).forEach(e => log(`     - ${e.name}: ${e.error}`));
+    if (failedEntries.length > 5) log(`     ... and ${failedEntries.length - 5} more`);
+  }
+  if (extractor.archiveError) {
+    logError(`  ❌ Extraction failed: ${extractor.archiveError}`);
+    if (extractor.entries.every(e => e.status === 'failed')) {
+      return { status: 'failed', extracted: 0, failedEntries, error: extractor.archiveError };
+    }
+  }
+
+  const extractedFiles = [...(await storage().list(pdfRel) || new Map()).keys()].filter(f => f.endsWith('.pdf'));
+  log(`  ✅ Extracted ${extractedFiles.length} PDF files`);
+
+  // Verify against meta before cleanup
+  let verified = false;
+  if (meta) {
+    const expectedFiles = selectedFiles(meta);
     const extractedSet = new Set(extractedFiles);
     const missing = expectedFiles.filter(f => !extractedSet.has(f));
 
     if (missing.length === 0) {
       verified = true;
-      console.log(`  ✓ Verified: all ${expectedFiles.length} files present`);
+      log(`  ✓ Verified: all ${expectedFiles.length} files present`);
     } else {
-      console.log(`  ⚠️  Verification failed: ${missing.length} files missing`);
+      log(`  ⚠️  Verification failed: ${missing.length} files missing`);
     }
   }
 
@@ -437,7 +1237,7 @@ async function downloadAndExtractZip(yearMonth, metaPath) {
   if (verified && fs.existsSync(zipPath)) {
     const zipSize = fs.statSync(zipPath).size;
     fs.unlinkSync(zipPath);
-    console.log(`  🗑️  Removed ZIP (freed ${formatBytes(zipSize)})`);
+    log(`  🗑️  Removed ZIP (freed ${formatBytes(zipSize)})`);
 
     // Remove empty zip directory
     const zipYearDir = path.dirname(zipPath);
@@ -450,78 +1250,521 @@ async function downloadAndExtractZip(yearMonth, metaPath) {
     }
   }
 
-  return { status: 'extracted', extracted: extractedFiles.length, verified };
+  return { status: 'extracted', extracted: extractedFiles.length, failedEntries, verified };
 }
 
-// Verify downloads against meta
-function verifyDownloads(yearMonth, metaPath) {
+// Fetch selected PDFs out of a month's remote ZIP with HTTP Range requests:
+// only the central directory and the chosen entries' bytes are downloaded.
+// `selection.files` is a list of pdf_file names and `selection.where` a
+// predicate on meta records; an entry must match both when both are given,
+// and the run's filter too.
+async function fetchFromRemoteZip(yearMonth, metaPath, selection) {
   const [year] = yearMonth.split('-');
-  const pdfDir = path.join(CONFIG.outputDir, `pdf/${year}/${yearMonth}`);
+  const pdfDir = path.join(config().outputDir, `pdf/${year}/${yearMonth}`);
+  const result = { selected: 0, found: [], fetched: 0, skipped: 0, failed: [], bytes: 0 };
+
+  log(`\n🎯 Fetching selected PDFs from ${yearMonth}.zip`);
+
+  const zipEntry = (await listYear('zip', year)).find(item => path.basename(item.path) === `${yearMonth}.zip`);
+  if (!zipEntry) {
+    log(`  ⚠️  No ZIP archive for ${yearMonth}`);
+    return result;
+  }
+
+  // Names wanted from this month (requested files are narrowed to the month's meta when there is one)
+  const meta = metaPath && fs.existsSync(metaPath) ? parseMetaFile(metaPath) : null;
+  const metaNames = meta && new Set(meta.map(m => m.pdf_file).filter(Boolean));
+
+  let wanted = selection.files ? new Set(selection.files.filter(name => !metaNames || metaNames.has(name))) : null;
+  if (selection.where) {
+    if (!meta) {
+      log(`  ⚠️  No meta file to apply --where to`);
+      return result;
+    }
+    const matched = meta.filter(selection.where).map(m => m.pdf_file).filter(Boolean);
+    wanted = new Set(wanted ? matched.filter(name => wanted.has(name)) : matched);
+  }
+  if (run().recordFilter) {
+    if (!meta) {
+      log(`  ⚠️  No meta file to apply the filter to`);
+      return result;
+    }
+    const matched = selectedFiles(meta);
+    wanted = new Set(wanted ? matched.filter(name => wanted.has(name)) : matched);
+  }
 
-  console.log(`\n🔍 Verifying ${yearMonth}...`);
+  if (wanted.size === 0) {
+    log(`  No selected PDFs in ${yearMonth}`);
+    return result;
+  }
 
-  if (!fs.existsSync(pdfDir)) {
-    console.log(`  ⚠️  PDF directory not found`);
-    return { expected: 0, found: 0, missing: [] };
+  const readRange = async (start, end) => {
+    const response = await fetchRange(zipEntry.path, start, end);
+    const buffer = Buffer.from(await response.arrayBuffer());
+    result.bytes += buffer.length;
+    return buffer;
+  };
+  const streamRange = async (start, end) => {
+    const response = await fetchRange(zipEntry.path, start, end);
+    return (async function* () {
+      for await (const chunk of response.body) {
+        result.bytes += chunk.length;
+        yield chunk;
+      }
+    })();
+  };
+
+  const { size } = toExpected(zipEntry);
+  const entries = (await readCentralDirectory(size, readRange))
+    .filter(e => e.name.startsWith(`${yearMonth}/`) && wanted.has(path.posix.basename(e.name)));
+
+  result.selected = wanted.size;
+  log(`  Central directory read (${formatBytes(result.bytes)}), ${entries.length} of ${wanted.size} selected PDFs in archive`);
+
+  // Names listed in meta that the archive doesn't contain
+  result.found = entries.map(e => path.posix.basename(e.name));
+  const found = new Set(result.found);
+  for (const name of wanted) {
+    if (metaNames && !found.has(name)) {
+      result.failed.push({ name, error: 'not in archive' });
+    }
   }
 
-  const downloadedFiles = new Set(fs.readdirSync(pdfDir));
+  let done = 0;
+  await Promise.all(entries.map(entry => run().downloads.run(async () => {
+    const name = path.posix.basename(entry.name);
+    const localPath = path.join(pdfDir, name);
+
+    if ((await storage().stat(relativePath(localPath)))?.size === entry.uncompressedSize) {
+      result.skipped++;
+      fileDone({ month: yearMonth, file: name, source: 'zip-range', status: 'skipped', size: entry.uncompressedSize });
+    } else {
+      try {
+        await extractEntry(entry, localPath, { readRange, streamRange });
+        await storeFile(localPath);
+        result.fetched++;
+        fileDone({ month: yearMonth, file: name, source: 'zip-range', status: 'fetched', size: entry.uncompressedSize });
+      } catch (error) {
+        result.failed.push({ name, error: error.message });
+        fileFailed({ month: yearMonth, file: name, source: 'zip-range', error: error.message });
+      }
+    }
+
+    progress(`  ${progressBar(++done, entries.length)} - ${result.fetched} fetched, ${result.skipped} skipped, ${formatBytes(result.bytes)}`);
+  })));
+  if (entries.length > 0) log('');
+
+  log(`  ✅ ${result.fetched} fetched, ${result.skipped} skipped, ${result.failed.length} failed (${formatBytes(result.bytes)} of ${formatBytes(size)} archive)`);
+  result.failed.slice(0, 5).forEach(f => log(`     - ${f.name}: ${f.error}`));
+  if (result.failed.length > 5) log(`     ... and ${result.failed.length - 5} more`);
+
+  return result;
+}
+
+// Verify downloads against meta
+async function verifyDownloads(yearMonth, metaPath) {
+  const [year] = yearMonth.split('-');
+
+  log(`\n🔍 Verifying ${yearMonth}...`);
+
+  // Stored files only: .part files are downloads in progress (see sweepPartFiles)
+  const stored = await storage().list(`pdf/${year}/${yearMonth}`);
+  if (!stored) {
+    log(`  ⚠️  PDF directory not found`);
+    return { expected: 0, found: 0, missing: [], extra: [] };
+  }
+  const downloadedFiles = new Set(stored.keys());
 
   // If we have meta, use it for verification
   if (metaPath && fs.existsSync(metaPath)) {
     const meta = parseMetaFile(metaPath);
-    const expectedFiles = meta.map(m => m.pdf_file).filter(Boolean);
+    const expectedFiles = selectedFiles(meta);
+    // Files the filter leaves out are still listed, so they aren't extra
+    const listed = new Set(meta.map(m => m.pdf_file).filter(Boolean));
 
     const missing = expectedFiles.filter(f => !downloadedFiles.has(f));
-    const extra = [...downloadedFiles].filter(f => !expectedFiles.includes(f));
+    const extra = [...downloadedFiles].filter(f => !listed.has(f));
 
-    console.log(`  Expected: ${expectedFiles.length} files (from meta)`);
-    console.log(`  Found: ${downloadedFiles.size} files`);
+    log(`  Expected: ${expectedFiles.length} files (from meta${run().recordFilter ? `, ${listed.size - expectedFiles.length} left out by the filter` : ''})`);
+    log(`  Found: ${downloadedFiles.size} files`);
 
     if (missing.length > 0) {
-      console.log(`  ❌ Missing: ${missing.length} files`);
-      missing.slice(0, 5).forEach(f => console.log(`     - ${f}`));
-      if (missing.length > 5) console.log(`     ... and ${missing.length - 5} more`);
+      log(`  ❌ Missing: ${missing.length} files`);
+      missing.slice(0, 5).forEach(f => log(`     - ${f}`));
+      if (missing.length > 5) log(`     ... and ${missing.length - 5} more`);
     }
 
     if (extra.length > 0) {
-      console.log(`  ➕ Extra files (not in meta): ${extra.length}`);
+      log(`  ➕ Extra files (not in meta): ${extra.length} (remove with --prune)`);
     }
 
-    return { expected: expectedFiles.length, found: downloadedFiles.size, missing };
+    const result = { expected: expectedFiles.length, found: downloadedFiles.size, missing, extra };
+    run().plugins.run('onMonthVerified', { month: yearMonth, metaPath: path.resolve(metaPath), ...result });
+    return result;
   }
 
   // No meta file, just count what we have
-  console.log(`  Found: ${downloadedFiles.size} files (no meta to verify against)`);
-  return { expected: null, found: downloadedFiles.size, missing: [] };
+  log(`  Found: ${downloadedFiles.size} files (no meta to verify against)`);
+  return { expected: null, found: downloadedFiles.size, missing: [], extra: [] };
 }
 
-// Calculate total size of downloaded files
-function calculateDownloadSize(yearMonth) {
+// Deep verification: check local PDFs (and any leftover ZIP) against the sizes
+// and LFS sha256 hashes listed upstream, re-downloading those that don't match
+async function verifyIntegrity(yearMonth) {
   const [year] = yearMonth.split('-');
-  const pdfDir = path.join(CONFIG.outputDir, `pdf/${year}/${yearMonth}`);
+  const remotePath = `pdf/${year}/${yearMonth}`;
+  const pdfDir = path.join(config().outputDir, remotePath);
+  const zipPath = path.join(config().outputDir, 'zip', year, `${yearMonth}.zip`);
 
-  if (!fs.existsSync(pdfDir)) return 0;
+  const targets = [];
 
-  let totalSize = 0;
-  const files = fs.readdirSync(pdfDir);
+  // Loose PDFs, as long as the month's pdf/ folder is still listed upstream
+  if (fs.existsSync(pdfDir)) {
+    const location = await locateMonth(yearMonth);
+    if (location.pdf) {
+      const remoteIndex = await fetchRemoteIndex(remotePath);
+      for (const name of fs.readdirSync(pdfDir)) {
+        if (remoteIndex.has(name)) {
+          targets.push({ name, remotePath: `${remotePath}/${name}`, localPath: path.join(pdfDir, name), expected: remoteIndex.get(name) });
+        }
+      }
+    } else {
+      log(`  ⚠️  No upstream hashes for PDFs (pdf/ folder not listed, month may be archived)`);
+    }
+  }
+
+  // Leftover ZIP from an earlier run
+  if (fs.existsSync(zipPath)) {
+    const zipEntry = (await listYear('zip', year)).find(item => path.basename(item.path) === `${yearMonth}.zip`);
+    if (zipEntry) {
+      targets.push({ name: `${yearMonth}.zip`, remotePath: zipEntry.path, localPath: zipPath, expected: toExpected(zipEntry) });
+    }
+  }
+
+  const mismatched = [];
+  for (const [i, target] of targets.entries()) {
+    const problem = await checkIntegrity(target.localPath, target.expected);
+    if (problem) {
+      mismatched.push({ ...target, problem });
+    }
+    progress(`  ${progressBar(i + 1, targets.length)} - ${mismatched.length} mismatched`);
+  }
+  if (targets.length > 0) log('');
+
+  log(`  Checked: ${targets.length} files against upstream size/sha256`);
+
+  const report = [];
+  for (const target of mismatched) {
+    log(`  ❌ ${target.name}: ${target.problem}`);
+
+    let repaired = false;
+    let error = null;
+    try {
+      await downloadFile(target.remotePath, target.localPath, { expected: target.expected, force: true });
+      repaired = true;
+      log(`     ↻ Re-downloaded`);
+    } catch (e) {
+      error = e.message;
+      log(`     ⚠️  Re-download failed: ${error}`);
+    }
 
-  for (const file of files) {
-    const stats = fs.statSync(path.join(pdfDir, file));
-    totalSize += stats.size;
+    report.push({ name: target.name, problem: target.problem, repaired, ...(error && { error }) });
+  }
+
+  return { checked: targets.length, mismatched: report };
+}
+
+// Calculate total size of downloaded files
+async function calculateDownloadSize(yearMonth) {
+  const [year] = yearMonth.split('-');
+  const files = await storage().list(`pdf/${year}/${yearMonth}`);
+  if (!files) return 0;
+
+  let totalSize = 0;
+  for (const { size } of files.values()) {
+    totalSize += size;
   }
 
   return totalSize;
 }
 
-// Main sync function
-async function sync(months) {
-  console.log('═══════════════════════════════════════════════════════════════');
-  console.log('  Royal Gazette Thailand (Ratchakitcha) Dataset Sync');
-  console.log('  Repository: open-law-data-thailand/soc-ratchakitcha');
-  console.log('═══════════════════════════════════════════════════════════════');
-  console.log(`\nTarget months: ${months.join(', ')}`);
-  console.log(`Output directory: ${path.resolve(CONFIG.outputDir)}`);
+// Bump when extraction output changes, so existing sidecars get rebuilt
+const TEXT_VERSION = 1;
+
+// Extract the text of a month's PDFs into UTF-8 sidecars under
+// text/YYYY/YYYY-MM/<name>.txt (pages separated by form feeds). A per-month
+// index.json remembers the size and mtime each sidecar was built from, so
+// unchanged PDFs are skipped on later runs (including ones that failed).
+// Parsing is synchronous, so it yields to the event loop between files: the
+// downloads of months synced alongside keep flowing.
+async function extractMonthText(yearMonth) {
+  const [year] = yearMonth.split('-');
+  const pdfDir = path.join(config().outputDir, `pdf/${year}/${yearMonth}`);
+  const textDir = path.join(config().outputDir, `text/${year}/${yearMonth}`);
+  const indexPath = path.join(textDir, 'index.json');
+
+  const result = { extracted: 0, skipped: 0, failed: 0, pages: 0, chars: 0, scannedPages: 0, failures: [], scanned: [] };
+  if (!fs.existsSync(pdfDir)) return result;
+
+  let index = { version: TEXT_VERSION, files: {} };
+  try {
+    const saved = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    if (saved.version === TEXT_VERSION) index = saved;
+  } catch {
+    // Missing or unreadable: extract everything
+  }
+
+  const files = fs.readdirSync(pdfDir).filter(f => f.toLowerCase().endsWith('.pdf')).sort();
+  if (files.length === 0) return result;
+
+  log(`\n📝 Extracting text from ${files.length} PDFs...`);
+  ensureDir(textDir);
+
+  for (const [i, name] of files.entries()) {
+    await yieldToEventLoop();
+    const pdfPath = path.join(pdfDir, name);
+    const textPath = path.join(textDir, name.replace(/\.pdf$/i, '.txt'));
+    const stats = fs.statSync(pdfPath);
+    let entry = index.files[name];
+
+    if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs &&
+      (entry.error || fs.existsSync(textPath))) {
+      result.skipped++;
+    } else {
+      try {
+        const { pages } = extractText(await fs.promises.readFile(pdfPath));
+        fs.writeFileSync(textPath, pages.map(p => p.text).join('\n\f') + '\n');
+        entry = {
+          size: stats.size,
+          mtimeMs: stats.mtimeMs,
+          pages: pages.length,
+          chars: pages.reduce((a, p) => a + p.chars, 0),
+          scannedPages: pages.flatMap((p, n) => (p.scanned ? [n + 1] : [])),
+        };
+      } catch (error) {
+        fs.rmSync(textPath, { force: true });
+        entry = { size: stats.size, mtimeMs: stats.mtimeMs, error: error.message };
+      }
+      index.files[name] = entry;
+      result.extracted++;
+    }
+
+    if (entry.error) {
+      result.failed++;
+      result.failures.push({ file: name, error: entry.error });
+    } else {
+      result.pages += entry.pages;
+      result.chars += entry.chars;
+      result.scannedPages += entry.scannedPages.length;
+      if (entry.scannedPages.length > 0) {
+        result.scanned.push({ file: name, pages: entry.scannedPages });
+      }
+    }
+
+    progress(`  ${progressBar(i + 1, files.length)} - ${result.extracted} extracted, ${result.skipped} unchanged, ${result.failed} failed`);
+  }
+
+  log(''); // New line after progress bar
+
+  // Forget PDFs that are gone
+  for (const name of Object.keys(index.files)) {
+    if (!files.includes(name)) delete index.files[name];
+  }
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+
+  if (result.scannedPages > 0) {
+    log(`  ⚠️  ${result.scannedPages} pages in ${result.scanned.length} PDFs look scanned (images without text)`);
+  }
+
+  return result;
+}
+
+// Add a month's text extraction result to the summary totals
+function addTextTotals(summary, text) {
+  if (!summary.text) {
+    summary.text = { extracted: 0, skipped: 0, failed: 0, pages: 0, chars: 0, scannedPages: 0 };
+  }
+  for (const key of Object.keys(summary.text)) {
+    summary.text[key] += text[key];
+  }
+}
+
+// Print the text extraction totals, if extraction ran
+function printTextTotals(summary) {
+  if (!summary.text) return;
+  const t = summary.text;
+  log(`\n📝 Text:`);
+  log(`  Extracted: ${t.extracted} (${t.skipped} unchanged, ${t.failed} failed)`);
+  log(`  Pages: ${t.pages} (${t.scannedPages} look scanned)`);
+  log(`  Characters: ${t.chars}`);
+}
+
+// Check where a month currently lives upstream: its pdf/ folder, its zip/ archive, or both
+async function locateMonth(yearMonth) {
+  const [year] = yearMonth.split('-');
+  const location = { month: yearMonth, pdf: false, zip: false };
+  const names = { pdf: yearMonth, zip: `${yearMonth}.zip` };
+
+  for (const root of ['pdf', 'zip']) {
+    const items = await listYear(root, year);
+    location[root] = items.some(item => path.basename(item.path) === names[root]);
+  }
+
+  return location;
+}
+
+// Sync one month from wherever it lives, falling back to the other source
+// when the preferred one is missing upstream or serves no files. With `only`
+// (a set of pdf_file names), just those files are fetched: archived months
+// read them out of the remote ZIP with Range requests.
+async function syncMonth(yearMonth, metaPath, { verifyExisting = false, only = null } = {}) {
+  const location = await locateMonth(yearMonth);
+  const preferred = routeMonth(location);
+  const order = preferred === 'pdf' ? ['pdf', 'zip'] : ['zip', 'pdf'];
+
+  // Sources seen in the listing first; the others only as a last resort
+  const candidates = [
+    ...order.filter(source => location[source]),
+    ...order.filter(source => !location[source]),
+  ];
+
+  log(`\n🧭 Location: ${['pdf', 'zip'].filter(s => location[s]).map(s => `${s}/`).join(' + ') || 'not listed upstream'}`);
+
+  // Nothing to fetch when the filter matches none of the month's PDFs
+  if (run().recordFilter && !only && selectedFiles(metaPath ? parseMetaFile(metaPath) : []).length === 0) {
+    log(metaPath ? `  No PDFs match the filter` : `  ⚠️  No meta file to apply the filter to`);
+    return { source: preferred, downloaded: 0, skipped: 0, failed: 0 };
+  }
+
+  let failed = 0;
+  for (const [i, source] of candidates.entries()) {
+    if (i > 0) {
+      log(`\n↪️  Falling back to ${source}/`);
+    }
+
+    try {
+      if (source === 'pdf') {
+        const result = await downloadPdfs(yearMonth, metaPath, { verifyExisting, only });
+        if (result.downloaded + result.skipped > 0) {
+          return { source, downloaded: result.downloaded, skipped: result.skipped, failed: result.failed };
+        }
+        failed = result.failed;
+      } else if (only) {
+        const result = await fetchFromRemoteZip(yearMonth, metaPath, { files: [...only] });
+        if (result.fetched + result.skipped > 0) {
+          return { source, downloaded: result.fetched, skipped: result.skipped, failed: result.failed.length };
+        }
+        failed = Math.max(failed, result.failed.length);
+      } else {
+        const result = await run().archives.run(() => downloadAndExtractZip(yearMonth, metaPath));
+        if (result.status !== 'failed' && result.extracted > 0) {
+          return {
+            source,
+            downloaded: result.status === 'extracted' ? result.extracted : 0,
+            skipped: result.status === 'skipped' ? result.extracted : 0,
+            failed: (result.failedEntries || []).length,
+          };
+        }
+      }
+    } catch (error) {
+      log(`  ⚠️  ${source}/ unavailable: ${error.message}`);
+    }
+  }
+
+  return { source: null, downloaded: 0, skipped: 0, failed };
+}
+
+// A month's meta records as upstream has them, for planning. The local meta
+// file is left alone: updating it (with its changelog entry and the
+// onMetaUpdated hooks) is the sync's job, not a dry run's. Falls back to the
+// local copy, and is null when there is neither.
+async function plannedMeta(yearMonth) {
+  const content = await fetchMetaContent(yearMonth);
+  if (content !== null) return parseMetaContent(content);
+  const [year] = yearMonth.split('-');
+  const localPath = path.join(config().outputDir, 'meta', year, `${yearMonth}.jsonl`);
+  return fs.existsSync(localPath) ? parseMetaFile(localPath) : null;
+}
+
+// Planner (see lib/plan.js) over the current run. Months are planned from
+// wherever syncMonth() would take them, and their meta is read without
+// updating the local copy.
+function planner() {
+  return createPlanner(config(), {
+    readMeta: plannedMeta,
+    locate: async (yearMonth) => routeMonth(await locateMonth(yearMonth)),
+    remoteIndex: fetchRemoteIndex,
+    findZip: async (yearMonth) => {
+      const item = (await listYear('zip', yearMonth.slice(0, 4))).find(i => path.basename(i.path) === `${yearMonth}.zip`);
+      return item ? { remotePath: item.path, size: toExpected(item).size } : null;
+    },
+    readRange: async (remotePath, start, end) => Buffer.from(await (await fetchRange(remotePath, start, end)).arrayBuffer()),
+    selectedFiles,
+    storage: storage(),
+    freeSpace,
+    inMonth: (yearMonth, fn) => monthScope.run(yearMonth, fn),
+    log,
+    emit,
+  });
+}
+
+// Why a whole month failed, from its summary entry (null if it didn't, or if
+// its failed files are journaled one by one)
+function monthError(entry) {
+  if (entry.status === 'failed') return entry.error || 'ZIP archive failed';
+  if (entry.source === null && !entry.failed) return 'no source could serve the month';
+  return null;
+}
+
+// Sync every month with `syncOne(yearMonth)`, which resolves with the month's
+// summary entry. Up to parallelMonths months run at once, so one month's meta
+// fetch, verification or text extraction doesn't leave the shared download
+// pool idle. A month that throws doesn't stop the others: its entry is
+// `emptyEntry(yearMonth)` (what a month that did nothing reports) with status
+// 'failed' and the error, and the journal records it for --retry-failed.
+// Resolves with the entries in month order.
+function forEachMonth(months, mode, syncOne, emptyEntry) {
+  const prefixed = Math.min(config().parallelMonths, months.length) > 1;
+  const monthPool = createPool(() => config().parallelMonths);
+
+  return Promise.all(months.map(yearMonth => monthPool.run(() => monthScope.run(prefixed ? yearMonth : null, async () => {
+    log(`\n${'─'.repeat(60)}`);
+    log(`📅 Processing: ${yearMonth}`);
+    log('─'.repeat(60));
+    emit('month-start', { month: yearMonth, mode });
+
+    let entry;
+    try {
+      entry = await syncOne(yearMonth);
+    } catch (error) {
+      logError(`  ❌ ${yearMonth} failed: ${error.message}`);
+      entry = { ...emptyEntry(yearMonth), status: 'failed', error: error.message };
+    }
+    // Month folder manifests of a deduplicated object store
+    await storage().flush();
+    run().journal.setMonthError(yearMonth, monthError(entry));
+    run().journal.flush(yearMonth);
+    emit('month-done', entry);
+    return entry;
+  }))));
+}
+
+// Main sync function: each month is served from its pdf/ folder or zip/
+// archive, whichever currently holds it. With `text`, PDF text is extracted
+// into sidecars after each month. With `verifyExisting`, existing PDFs are
+// checked against upstream sha256 (not just size) and replaced if they differ.
+// With `retry` (month -> set of file names, or null to redo the whole month),
+// only what failed before is fetched again.
+async function sync(months, { text = false, verifyExisting = false, retry = null } = {}) {
+  const mode = retry ? 'retry' : 'hybrid';
+
+  log('═══════════════════════════════════════════════════════════════');
+  log('  Royal Gazette Thailand (Ratchakitcha) Dataset Sync');
+  log(`  Source: ${source().description}`);
+  if (retry) log('  Mode: Retry failed');
+  log('═══════════════════════════════════════════════════════════════');
+  log(`\nTarget months: ${months.join(', ')}`);
+  log(`Output directory: ${path.resolve(config().outputDir)}`);
 
   const summary = {
     months: [],
@@ -531,90 +1774,412 @@ async function sync(months) {
     totalSize: 0,
   };
 
-  for (const yearMonth of months) {
-    console.log(`\n${'─'.repeat(60)}`);
-    console.log(`📅 Processing: ${yearMonth}`);
-    console.log('─'.repeat(60));
-
+  const entries = await forEachMonth(months, mode, async (yearMonth) => {
     // Download meta file first (used as source of truth for PDF list)
     const metaPath = await downloadMeta(yearMonth);
 
-    // Download PDFs using meta as source
-    const result = await downloadPdfs(yearMonth, metaPath);
+    // Download PDFs from pdf/ or zip/, whichever serves the month
+    const result = await syncMonth(yearMonth, metaPath, { verifyExisting, only: retry && retry.get(yearMonth) });
 
     // Verify
-    const verification = verifyDownloads(yearMonth, metaPath);
+    const verification = await verifyDownloads(yearMonth, metaPath);
+    run().journal.setMissing(yearMonth, verification.missing);
 
     // Calculate size
-    const size = calculateDownloadSize(yearMonth);
+    const size = await calculateDownloadSize(yearMonth);
 
-    summary.months.push({
+    const entry = {
       month: yearMonth,
+      source: result.source,
       downloaded: result.downloaded,
       skipped: result.skipped,
       failed: result.failed,
+      missing: verification.missing.length,
       total: verification.found,
       size,
-    });
+    };
+
+    if (run().metaChanges.has(yearMonth)) {
+      entry.metaChanges = run().metaChanges.get(yearMonth);
+    }
+
+    if (text) {
+      entry.text = await extractMonthText(yearMonth);
+    }
 
-    summary.totalDownloaded += result.downloaded;
-    summary.totalSkipped += result.skipped;
-    summary.totalFailed += result.failed;
-    summary.totalSize += size;
+    return entry;
+  }, yearMonth => ({ month: yearMonth, source: null, downloaded: 0, skipped: 0, failed: 0, missing: 0, total: 0, size: 0 }));
+
+  for (const entry of entries) {
+    summary.months.push(entry);
+    summary.totalDownloaded += entry.downloaded;
+    summary.totalSkipped += entry.skipped;
+    summary.totalFailed += entry.failed;
+    summary.totalSize += entry.size;
+    if (entry.text) addTextTotals(summary, entry.text);
   }
 
   // Print summary
-  console.log(`\n${'═'.repeat(60)}`);
-  console.log('  SYNC COMPLETE');
-  console.log('═'.repeat(60));
+  log(`\n${'═'.repeat(60)}`);
+  log('  SYNC COMPLETE');
+  log('═'.repeat(60));
 
-  console.log('\n📊 Summary by month:');
+  log('\n📊 Summary by month:');
   for (const m of summary.months) {
-    console.log(`  ${m.month}: ${m.total} files (${formatBytes(m.size)})`);
-    console.log(`    └─ ${m.downloaded} downloaded, ${m.skipped} skipped, ${m.failed} failed`);
+    const source = m.source ? `from ${m.source}/` : 'no source available';
+    log(`  ${m.month}: ${m.total} files (${formatBytes(m.size)}) - ${source}`);
+    log(`    └─ ${m.downloaded} downloaded, ${m.skipped} skipped, ${m.failed} failed, ${m.missing} missing`);
+    if (m.error) {
+      log(`    └─ error: ${m.error}`);
+    }
+    if (m.metaChanges) {
+      log(`    └─ meta: ${m.metaChanges.added} added, ${m.metaChanges.removed} removed, ${m.metaChanges.modified} modified`);
+    }
+    if (m.text) {
+      log(`    └─ text: ${m.text.pages} pages, ${m.text.chars} chars, ${m.text.failed} failed`);
+    }
   }
 
-  console.log(`\n📈 Totals:`);
-  console.log(`  Files: ${summary.months.reduce((a, m) => a + m.total, 0)}`);
-  console.log(`  Size: ${formatBytes(summary.totalSize)}`);
-  console.log(`  Downloaded: ${summary.totalDownloaded}`);
-  console.log(`  Skipped: ${summary.totalSkipped}`);
-  console.log(`  Failed: ${summary.totalFailed}`);
+  log(`\n📈 Totals:`);
+  log(`  Files: ${summary.months.reduce((a, m) => a + m.total, 0)}`);
+  log(`  Size: ${formatBytes(summary.totalSize)}`);
+  log(`  Downloaded: ${summary.totalDownloaded}`);
+  log(`  Skipped: ${summary.totalSkipped}`);
+  log(`  Failed: ${summary.totalFailed}`);
+  printTextTotals(summary);
 
-  // Save summary to file
-  const summaryPath = path.join(CONFIG.outputDir, 'sync-summary.json');
-  ensureDir(CONFIG.outputDir);
-  fs.writeFileSync(summaryPath, JSON.stringify({
+  saveHashCache();
+  refreshCatalog(months);
+
+  await saveSummary(mode, summary);
+
+  return summary;
+}
+
+// Save a sync summary to sync-summary.json and the run history, and emit it
+// as the `summary` event. Waits for the run's plugin hooks first, then runs
+// their onSyncComplete.
+async function saveSummary(mode, summary) {
+  const { plugins } = run();
+  await plugins.drain();
+
+  const summaryPath = path.join(config().outputDir, 'sync-summary.json');
+  const record = {
     timestamp: new Date().toISOString(),
+    mode,
+    source: source().description,
+    revision: run().revisionInfo,
     ...summary,
-  }, null, 2));
-  console.log(`\n💾 Summary saved to: ${summaryPath}`);
+  };
+  if (run().recordFilter) {
+    record.filter = run().recordFilter.description;
+  }
+  const { description, dedupe, local, stats } = storage();
+  if (dedupe || !local) {
+    record.storage = { target: description, ...stats };
+    if (stats.deduplicated > 0) {
+      log(`\n♻️  Deduplicated ${stats.deduplicated} of ${stats.stored} stored files (saved ${formatBytes(stats.savedBytes)})`);
+    }
+  }
+  if (run().invalidPdfs.length > 0) {
+    record.invalidPdfs = run().invalidPdfs;
+    log(`\n🚫 ${run().invalidPdfs.length} invalid PDFs quarantined in ${path.join(config().outputDir, 'quarantine')}; they are downloaded again by the next sync or --retry-failed`);
+  }
+  if (plugins.names.length > 0) {
+    record.plugins = { names: plugins.names, calls: plugins.stats.calls, errors: plugins.stats.errors };
+    if (plugins.stats.errors > 0) {
+      log(`\n🔌 ${plugins.stats.errors} of ${plugins.stats.calls} plugin hook calls failed`);
+    }
+  }
 
-  return summary;
+  ensureDir(config().outputDir);
+  fs.writeFileSync(summaryPath, JSON.stringify(record, null, 2));
+  log(`\n💾 Summary saved to: ${summaryPath}`);
+  appendRun(config().outputDir, record);
+  emit('summary', record);
+  await plugins.run('onSyncComplete', { mode, summary: record });
 }
 
-// Verify only mode
-async function verifyOnly(months) {
-  console.log('═══════════════════════════════════════════════════════════════');
-  console.log('  Verification Mode');
-  console.log('═══════════════════════════════════════════════════════════════');
+// Refresh the local catalog from the meta files of the given months
+function refreshCatalog(months) {
+  const result = updateCatalog(config().outputDir, { months });
+  if (result.updated.length > 0 || result.removed.length > 0) {
+    log(`\n🗂️  Catalog updated: ${result.updated.length} months (${result.records} records from ${result.months} months)`);
+  }
+}
+
+// Search the local catalog by free text terms (each word or quoted phrase must
+// appear) and/or meta conditions, and print matching records with their local PDF paths
+function searchCommand(terms, { where, from, to, limit }) {
+  const refreshed = updateCatalog(config().outputDir);
+  if (refreshed.months === 0) {
+    log('Catalog is empty: sync some months first');
+    return;
+  }
+
+  const { matches, total } = searchCatalog(config().outputDir, { terms, where, from, to, limit });
+
+  for (const { month, pdf, record } of matches) {
+    log(`\n📄 ${month} · ${record.pdf_file || '(no pdf_file)'}`);
+    for (const [key, value] of Object.entries(record)) {
+      if (key === 'pdf_file' || value === null || value === '') continue;
+      const shown = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      log(`   ${key}: ${shown.length > 120 ? shown.slice(0, 117) + '...' : shown}`);
+    }
+    if (pdf) {
+      log(`   📁 ${pdf}${fs.existsSync(pdf) ? '' : ' (not downloaded)'}`);
+    }
+  }
+
+  const shown = matches.length < total ? ` (showing ${matches.length}, use --limit to see more)` : '';
+  log(`\n🔎 ${total} matching records in ${refreshed.records} catalogued${shown}`);
+}
+
+// Watcher (see lib/watch.js) over the current run
+function watcher() {
+  return createWatcher({ outputDir: config().outputDir, hotMonths: config().hotMonths }, {
+    listYears: async () => (await listDirs('pdf')).map(dir => path.basename(dir.path)),
+    discoverMonths,
+    downloadMeta,
+    parseMetaFile,
+    selectedFiles,
+    filter: run().recordFilter,
+    syncMonth: (yearMonth, metaPath) => syncMonth(yearMonth, metaPath),
+    extractText: extractMonthText,
+    storage: storage(),
+    source: source(),
+    revision: run().revisionInfo,
+    journal: run().journal,
+    saveHashCache,
+    refreshCatalog,
+    log,
+    logError,
+    emit,
+  });
+}
+
+// Watch mode: poll the hot months every `interval` ms until `signal` aborts.
+// Every poll is a run of its own (fresh revision and listings); `plugins`
+// are loaded once, for all polls.
+function watchHotMonths(options, { interval, notifier, plugins, text, signal }) {
+  return runWatch({ interval, notifier, source: source(), signal }, {
+    poll: ({ baseline }) => withRun(options, async () => {
+      await resolveRevision();
+      return watcher().poll(notifier, { baseline, text });
+    }, { plugins }),
+    // Resolves early (instead of throwing) when the watch is aborted
+    sleep: (ms, abort) => delayFor(ms, undefined, { signal: abort }).catch(() => {}),
+    log,
+    logError,
+  });
+}
+
+// Export the meta records of local months (all of them, explicit months or
+// from/to) to one CSV, Parquet or SQLite file with derived local PDF columns.
+// Without `output`, writes export/meta.<format> in the download folder; without
+// `format`, it follows the output file's extension (CSV by default). PDF
+// presence and sizes come from the run's storage.
+async function exportCommand(months, { format, output, from, to }) {
+  format = format || (output && formatForFile(output)) || 'csv';
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown export format: ${format} (expected ${Object.keys(FORMATS).join(', ')})`);
+  }
+  const file = output || path.join(config().outputDir, 'export', `meta${FORMATS[format][0]}`);
+
+  log(`📦 Exporting meta records to ${file} (${format})...`);
+  const result = await exportMeta(config().outputDir, {
+    file,
+    format,
+    months: months.length > 0 ? months : null,
+    from,
+    to,
+    listPdfs: dir => storage().list(dir),
+    onMonth: (month, rows) => progress(`  ${month}: ${rows} records`),
+  });
+
+  log('');
+  log(`✅ Exported ${result.rows} records from ${result.months} months (${result.columns} columns)`);
+  return result;
+}
+
+// Serve the local download tree over HTTP (read-only) until interrupted
+async function serveCommand({ host, port }) {
+  if (!storage().local) {
+    throw new Error(`serve reads the PDF tree from ${config().outputDir}: it cannot serve ${storage().description}`);
+  }
+  updateCatalog(config().outputDir);
+
+  const server = createServer(config().outputDir);
+  server.listen(port, host);
+  await once(server, 'listening');
+
+  log(`🌐 Serving ${path.resolve(config().outputDir)} at http://${host}:${server.address().port}/`);
+  log('   Press Ctrl+C to stop');
+}
+
+// One line per past run: when, which mode and what it did
+function describeRun(record) {
+  const when = record.timestamp.replace('T', ' ').slice(0, 19);
+  const months = record.months || [];
+
+  if (record.mode === 'verify' || record.mode === 'deep-verify') {
+    const missing = months.reduce((n, m) => n + m.missing.length, 0);
+    return `${when}  ${record.mode.padEnd(11)} ${months.length} months, ${missing} missing`;
+  }
+
+  if (record.mode === 'prune') {
+    const done = record.dryRun ? 'to prune (dry run)' : record.action === 'quarantine' ? 'quarantined' : 'deleted';
+    return `${when}  ${record.mode.padEnd(11)} ${months.length} months, ${record.totalFiles} files ${done}`;
+  }
+
+  if (record.mode === 'watch') {
+    return `${when}  ${record.mode.padEnd(11)} ${record.totalNew} new gazettes, ${record.totalDownloaded} downloaded, ` +
+      `${record.totalFailed} failed`;
+  }
+
+  const transferred = record.totalDownloaded ?? record.totalExtracted ?? record.totalFetched ?? 0;
+  return `${when}  ${record.mode.padEnd(11)} ${months.length} months, ${transferred} new, ` +
+    `${record.totalSkipped} skipped, ${record.totalFailed} failed`;
+}
+
+// Show what is outstanding in the journal (failed months and files, files
+// missing after the last sync or verification) and the most recent runs.
+// Returns { outstanding, runs }.
+function statusCommand({ runs: runCount = 5 } = {}) {
+  const outputDir = config().outputDir;
+  const outstanding = readOutstanding(outputDir);
+  const runs = readRuns(outputDir, runCount);
+
+  if (outstanding.length === 0) {
+    log('✅ Nothing outstanding');
+  } else {
+    log(`📋 Outstanding in ${outputDir}/:`);
+    for (const { month, error, failed, missing } of outstanding) {
+      const parts = [];
+      if (error) parts.push('month failed');
+      if (failed.length > 0) parts.push(`${failed.length} failed`);
+      if (missing.length > 0) parts.push(`${missing.length} missing`);
+      log(`\n  ${month}: ${parts.join(', ')}`);
+      if (error) log(`     ❌ ${error}`);
+      for (const file of failed.slice(0, 5)) {
+        log(`     ✗ ${file.name} (failed ${file.attempts === 1 ? 'once' : `${file.attempts} times`}): ${file.error}`);
+      }
+      if (failed.length > 5) log(`     ... and ${failed.length - 5} more`);
+    }
+
+    const files = outstanding.reduce((n, m) => n + m.failed.length + m.missing.length, 0);
+    log(`\n🔁 ${files} files in ${outstanding.length} months outstanding: run with --retry-failed`);
+  }
+
+  if (runs.length > 0) {
+    log('\n🕘 Recent runs:');
+    for (const record of runs) {
+      log(`  ${describeRun(record)}`);
+    }
+  }
+
+  return { outstanding, runs };
+}
+
+// Verify only mode. With `deep`, file contents are checked against upstream
+// hashes too, mismatches are re-downloaded and a report is saved.
+// Returns one { month, expected, found, missing } entry per month.
+async function verifyOnly(months, { deep = false } = {}) {
+  log('═══════════════════════════════════════════════════════════════');
+  log(`  Verification Mode${deep ? ' (deep)' : ''}`);
+  log('═══════════════════════════════════════════════════════════════');
+
+  const report = [];
 
   for (const yearMonth of months) {
+    emit('month-start', { month: yearMonth, mode: deep ? 'deep-verify' : 'verify' });
+
     const [year] = yearMonth.split('-');
-    const metaPath = path.join(CONFIG.outputDir, `meta/${year}/${yearMonth}.jsonl`);
-    verifyDownloads(yearMonth, metaPath);
+    const metaPath = path.join(config().outputDir, `meta/${year}/${yearMonth}.jsonl`);
+    const verification = await verifyDownloads(yearMonth, metaPath);
+    run().journal.setMissing(yearMonth, verification.missing);
+    const entry = {
+      month: yearMonth,
+      expected: verification.expected,
+      found: verification.found,
+      missing: verification.missing,
+    };
+
+    if (deep) {
+      const integrity = await verifyIntegrity(yearMonth);
+      entry.checked = integrity.checked;
+      entry.mismatched = integrity.mismatched;
+      saveHashCache();
+    }
+
+    report.push(entry);
+    emit('month-done', entry);
   }
+
+  run().journal.flush();
+  appendRun(config().outputDir, {
+    timestamp: new Date().toISOString(),
+    mode: deep ? 'deep-verify' : 'verify',
+    source: deep ? source().description : null,
+    revision: run().revisionInfo,
+    months: report,
+  });
+
+  if (deep) {
+    const mismatched = report.flatMap(m => m.mismatched);
+    log(`\n📈 Deep verification:`);
+    log(`  Checked: ${report.reduce((a, m) => a + m.checked, 0)} files`);
+    log(`  Mismatched: ${mismatched.length}`);
+    log(`  Re-downloaded: ${mismatched.filter(m => m.repaired).length}`);
+
+    const reportPath = path.join(config().outputDir, 'verify-report.json');
+    ensureDir(config().outputDir);
+    fs.writeFileSync(reportPath, JSON.stringify({
+      timestamp: new Date().toISOString(),
+      revision: run().revisionInfo,
+      months: report,
+    }, null, 2));
+    log(`\n💾 Report saved to: ${reportPath}`);
+  }
+
+  return report;
+}
+
+// Prune mode (see lib/prune.js) over the run's storage, journal and hash
+// cache. Each month's meta is refreshed first; a dry run fetches it into
+// memory instead of saving it. Returns one entry per month.
+function pruneOnly(months, { quarantineDir = null, dryRun = false } = {}) {
+  const pruner = createPruner(config().outputDir, {
+    storage: storage(),
+    source: source(),
+    revision: run().revisionInfo,
+    journal: run().journal,
+    hashCache: loadHashCache,
+    saveHashCache,
+    readMeta: async (yearMonth, { dryRun }) => {
+      if (dryRun) {
+        log(`\n📋 Fetching meta: ${yearMonth}.jsonl (not saved: dry run)`);
+        return plannedMeta(yearMonth);
+      }
+      const metaPath = await downloadMeta(yearMonth);
+      return metaPath ? parseMetaFile(metaPath) : null;
+    },
+    refreshCatalog,
+    log,
+    emit,
+  });
+  return pruner.prune(months, { quarantineDir, dryRun });
 }
 
 // Sync from ZIP archives
-async function syncFromZip(months) {
-  console.log('═══════════════════════════════════════════════════════════════');
-  console.log('  Royal Gazette Thailand (Ratchakitcha) Dataset Sync');
-  console.log('  Repository: open-law-data-thailand/soc-ratchakitcha');
-  console.log('  Mode: ZIP Archive');
-  console.log('═══════════════════════════════════════════════════════════════');
-  console.log(`\nTarget months: ${months.join(', ')}`);
-  console.log(`Output directory: ${path.resolve(CONFIG.outputDir)}`);
+async function syncFromZip(months, { text = false } = {}) {
+  log('═══════════════════════════════════════════════════════════════');
+  log('  Royal Gazette Thailand (Ratchakitcha) Dataset Sync');
+  log(`  Source: ${source().description}`);
+  log('  Mode: ZIP Archive');
+  log('═══════════════════════════════════════════════════════════════');
+  log(`\nTarget months: ${months.join(', ')}`);
+  log(`Output directory: ${path.resolve(config().outputDir)}`);
 
   const summary = {
     months: [],
@@ -624,115 +2189,976 @@ async function syncFromZip(months) {
     totalSize: 0,
   };
 
-  for (const yearMonth of months) {
-    console.log(`\n${'─'.repeat(60)}`);
-    console.log(`📅 Processing: ${yearMonth}`);
-    console.log('─'.repeat(60));
-
+  const entries = await forEachMonth(months, 'zip', async (yearMonth) => {
     // Download meta file first
     const metaPath = await downloadMeta(yearMonth);
 
     // Download, extract ZIP, verify and cleanup
-    const result = await downloadAndExtractZip(yearMonth, metaPath);
+    const result = await run().archives.run(() => downloadAndExtractZip(yearMonth, metaPath));
 
     // Final verification report
-    const verification = verifyDownloads(yearMonth, metaPath);
+    const verification = await verifyDownloads(yearMonth, metaPath);
+    run().journal.setMissing(yearMonth, verification.missing);
 
     // Calculate size
-    const size = calculateDownloadSize(yearMonth);
+    const size = await calculateDownloadSize(yearMonth);
 
-    summary.months.push({
+    const entry = {
       month: yearMonth,
+      source: 'zip',
       extracted: result.extracted || 0,
       status: result.status,
+      error: result.error || null,
+      failedEntries: result.failedEntries || [],
+      missing: verification.missing.length,
       total: verification.found,
       size,
-    });
+    };
+
+    if (run().metaChanges.has(yearMonth)) {
+      entry.metaChanges = run().metaChanges.get(yearMonth);
+    }
 
-    if (result.status === 'extracted') {
-      summary.totalExtracted += result.extracted;
-    } else if (result.status === 'skipped') {
-      summary.totalSkipped += result.extracted;
+    if (text) {
+      entry.text = await extractMonthText(yearMonth);
+    }
+
+    return entry;
+  }, yearMonth => ({ month: yearMonth, source: 'zip', extracted: 0, status: 'skipped', error: null, failedEntries: [], missing: 0, total: 0, size: 0 }));
+
+  for (const entry of entries) {
+    summary.months.push(entry);
+    if (entry.status === 'extracted') {
+      summary.totalExtracted += entry.extracted;
+    } else if (entry.status === 'skipped') {
+      summary.totalSkipped += entry.extracted;
     } else {
       summary.totalFailed++;
     }
-    summary.totalSize += size;
+    summary.totalSize += entry.size;
+    if (entry.text) addTextTotals(summary, entry.text);
   }
 
   // Print summary
-  console.log(`\n${'═'.repeat(60)}`);
-  console.log('  SYNC COMPLETE');
-  console.log('═'.repeat(60));
+  log(`\n${'═'.repeat(60)}`);
+  log('  SYNC COMPLETE');
+  log('═'.repeat(60));
 
-  console.log('\n📊 Summary by month:');
+  log('\n📊 Summary by month:');
   for (const m of summary.months) {
-    console.log(`  ${m.month}: ${m.total} files (${formatBytes(m.size)}) - ${m.status}`);
+    log(`  ${m.month}: ${m.total} files (${formatBytes(m.size)}) - ${m.status}${m.error ? ` (${m.error})` : ''}`);
   }
 
-  console.log(`\n📈 Totals:`);
-  console.log(`  Files: ${summary.months.reduce((a, m) => a + m.total, 0)}`);
-  console.log(`  Size: ${formatBytes(summary.totalSize)}`);
+  log(`\n📈 Totals:`);
+  log(`  Files: ${summary.months.reduce((a, m) => a + m.total, 0)}`);
+  log(`  Size: ${formatBytes(summary.totalSize)}`);
+  printTextTotals(summary);
 
-  // Save summary to file
-  const summaryPath = path.join(CONFIG.outputDir, 'sync-summary.json');
-  ensureDir(CONFIG.outputDir);
-  fs.writeFileSync(summaryPath, JSON.stringify({
-    timestamp: new Date().toISOString(),
-    mode: 'zip',
-    ...summary,
-  }, null, 2));
-  console.log(`\n💾 Summary saved to: ${summaryPath}`);
+  saveHashCache();
+  refreshCatalog(months);
+
+  await saveSummary('zip', summary);
+
+  return summary;
+}
+
+// Fetch selected PDFs from remote ZIP archives using HTTP Range requests
+async function syncFromRemoteZip(months, selection, { text = false } = {}) {
+  log('═══════════════════════════════════════════════════════════════');
+  log('  Royal Gazette Thailand (Ratchakitcha) Dataset Sync');
+  log(`  Source: ${source().description}`);
+  log('  Mode: Remote ZIP (range requests)');
+  log('═══════════════════════════════════════════════════════════════');
+  log(`\nTarget months: ${months.join(', ')}`);
+  log(`Output directory: ${path.resolve(config().outputDir)}`);
+
+  const summary = {
+    months: [],
+    totalFetched: 0,
+    totalSkipped: 0,
+    totalFailed: 0,
+    totalBytes: 0,
+  };
+
+  const entries = await forEachMonth(months, 'remote-zip', async (yearMonth) => {
+    // Meta is needed to apply --where
+    const metaPath = await downloadMeta(yearMonth);
+
+    const result = await fetchFromRemoteZip(yearMonth, metaPath, selection);
+
+    const entry = {
+      month: yearMonth,
+      source: 'zip-range',
+      selected: result.selected,
+      found: result.found,
+      fetched: result.fetched,
+      skipped: result.skipped,
+      failed: result.failed,
+      bytes: result.bytes,
+    };
+
+    if (run().metaChanges.has(yearMonth)) {
+      entry.metaChanges = run().metaChanges.get(yearMonth);
+    }
+
+    if (text) {
+      entry.text = await extractMonthText(yearMonth);
+    }
+
+    return entry;
+  }, yearMonth => ({ month: yearMonth, source: 'zip-range', selected: 0, found: [], fetched: 0, skipped: 0, failed: [], bytes: 0 }));
+
+  for (const entry of entries) {
+    summary.months.push(entry);
+    summary.totalFetched += entry.fetched;
+    summary.totalSkipped += entry.skipped;
+    summary.totalFailed += entry.failed.length;
+    summary.totalBytes += entry.bytes;
+    if (entry.text) addTextTotals(summary, entry.text);
+  }
+
+  // Print summary
+  log(`\n${'═'.repeat(60)}`);
+  log('  SYNC COMPLETE');
+  log('═'.repeat(60));
+
+  log('\n📊 Summary by month:');
+  for (const m of summary.months) {
+    log(`  ${m.month}: ${m.fetched} fetched, ${m.skipped} skipped, ${m.failed.length} failed (${formatBytes(m.bytes)} transferred)${m.error ? ` - ${m.error}` : ''}`);
+  }
+
+  log(`\n📈 Totals:`);
+  log(`  Fetched: ${summary.totalFetched}`);
+  log(`  Skipped: ${summary.totalSkipped}`);
+  log(`  Failed: ${summary.totalFailed}`);
+  log(`  Transferred: ${formatBytes(summary.totalBytes)}`);
+  printTextTotals(summary);
+
+  // Requested files that no selected month contained
+  if (selection.files) {
+    const found = new Set(summary.months.flatMap(m => m.found));
+    summary.notFound = selection.files.filter(name => !found.has(name));
+    if (summary.notFound.length > 0) {
+      log(`\n⚠️  Not found in any selected month: ${summary.notFound.join(', ')}`);
+    }
+  }
+
+  refreshCatalog(months);
+
+  await saveSummary('remote-zip', summary);
+
+  return summary;
+}
+
+// Parse a --where spec into a predicate on meta records: a filter expression
+// like --filter (see lib/filter.js), or its shorthand of comma-separated
+// conditions that must all hold, `field=value` (exact) or `field~text`
+// (contains, case-insensitive), with unquoted values that may hold spaces
+function parseWhere(spec) {
+  let filterError;
+  try {
+    return createFilter(spec).test;
+  } catch (error) {
+    filterError = error;
+  }
+
+  const matches = spec.split(',').map(part => part.match(/^\s*([^=~\s]+)\s*([=~])(.*)$/));
+  if (matches.some(match => !match)) {
+    const reason = filterError.message.replace(/^Invalid filter: /, '');
+    throw new Error(`Invalid --where: ${reason} (expected a filter expression or field=value,field~text conditions)`);
+  }
+  return createFilter(matches.map(([, field, op, value]) => ({ field, op, value: value.trim() }))).test;
+}
+
+// Work out which months to sync: explicit months as given, otherwise the
+// selectors applied to the months discovered upstream
+async function resolveMonths(months, selectors) {
+  if (months.length > 0) return months;
+
+  log('\n🔎 Discovering months in dataset...');
+  const inventory = await discoverMonths();
+  log(`  Found ${inventory.length} months`);
+
+  return selectMonths(inventory, selectors).map(m => m.month);
+}
+
+// Months picked by selector options (all/from/to/latest), if any
+function selectorsFrom(options) {
+  const selectors = {
+    all: Boolean(options.all),
+    from: options.from,
+    to: options.to,
+    latest: options.latest ?? null,
+  };
+  const given = selectors.all || selectors.from || selectors.to || selectors.latest !== null;
+  return given ? selectors : null;
+}
+
+// Shared by the sync API calls: pin the revision, work out the target months
+// and hand them to `syncFn`. With `incremental`, only months that changed
+// upstream since the last incremental sync are kept (narrowed further by
+// explicit months or selectors) and the sync state is advanced afterwards.
+// With `plan` ('hybrid' or 'zip'), the months are planned first (see
+// lib/plan.js): a `dryRun` resolves with the plan and leaves the output dir as
+// it was, and a sync only starts when it fits on disk, without the months
+// `maxSize` defers.
+// Resolves with the summary, or null when there was nothing to sync.
+async function runSync(months, options, syncFn, { plan: planMode = null } = {}) {
+  const selectors = selectorsFrom(options);
+
+  const start = async (targetMonths) => {
+    if (!planMode) return syncFn(targetMonths);
+
+    const plans = planner();
+    const plan = await plans.plan(targetMonths, { zip: planMode === 'zip', maxSize: options.maxSize ?? null });
+    plans.print(plan, { detailed: Boolean(options.dryRun) });
+    if (options.dryRun) {
+      log(plan.problem ? `\n⚠️  The sync would not start: ${plan.problem}` : '\n✅ The sync fits');
+      return plan;
+    }
+    if (plan.problem) throw new Error(plan.problem);
+    return syncFn(plan.months.filter(m => !m.deferred).map(m => m.month));
+  };
+
+  // Everything that touches upstream uses one pinned commit
+  await resolveRevision();
+  if (!options.dryRun) {
+    sweepPartFiles();
+  }
+
+  if (!options.incremental) {
+    const targetMonths = await resolveMonths(months, selectors || {});
+    if (targetMonths.length === 0) {
+      log('\nNo months matched the selection');
+      return null;
+    }
+    return start(targetMonths);
+  }
 
+  if (!source().hasObjectIds) {
+    throw new Error(`Incremental sync is not supported with the ${source().description} source (no object ids)`);
+  }
+
+  let previous = loadSyncState();
+  if (previous.source && previous.source !== source().description) {
+    // Object ids from another source can't be compared
+    previous = { sha: null, years: {}, months: {} };
+  }
+  const since = previous.sha
+    ? `last synced commit ${previous.sha.slice(0, 12)}`
+    : previous.updatedAt ? `last incremental sync (${previous.updatedAt})` : 'an empty snapshot (first incremental sync)';
+  log(`\n🔀 Comparing upstream with ${since}...`);
+  const { changed, snapshot } = await findChangedMonths(previous);
+  log(`  ${changed.length} months changed`);
+
+  const targetMonths = months.length > 0 || selectors
+    ? (await resolveMonths(months, selectors || {})).filter(m => changed.includes(m))
+    : changed;
+
+  if (targetMonths.length === 0) {
+    log('\nNothing changed upstream');
+    advanceSyncState(previous, snapshot, changed, []);
+    return null;
+  }
+
+  const summary = await start(targetMonths);
+  if (!options.dryRun) {
+    advanceSyncState(previous, snapshot, changed, summary.months);
+  }
   return summary;
 }
 
+// Programmatic API. Every call takes an options object with any DEFAULTS key
+// (outputDir, revision, concurrency, ...) and an optional `events`
+// EventEmitter; see "Programmatic API" in the README for the rest.
+
+// Sync months from pdf/ or zip/, whichever serves each month.
+// Options: all/from/to/latest, text, incremental, dryRun, maxSize.
+function syncMonths(months = [], options = {}) {
+  return withRun(options, () => runSync(months, options, targetMonths =>
+    sync(targetMonths, { text: Boolean(options.text), verifyExisting: Boolean(options.incremental) }), { plan: 'hybrid' }));
+}
+
+// Sync months from their ZIP archives. Options: all/from/to/latest, text,
+// incremental, dryRun, maxSize.
+function syncMonthsFromZip(months = [], options = {}) {
+  return withRun(options, () => runSync(months, options, targetMonths =>
+    syncFromZip(targetMonths, { text: Boolean(options.text) }), { plan: 'zip' }));
+}
+
+// Fetch selected PDFs out of remote ZIP archives. Options: `files` (pdf_file
+// names), `where` (a --where spec or a predicate on meta records), `filter`,
+// all/from/to/latest, text.
+async function syncMonthsFromRemoteZip(months = [], options = {}) {
+  if (!options.files && !options.where && !options.filter) {
+    throw new Error('Remote ZIP sync needs `files`, `where` and/or `filter` to select PDFs');
+  }
+  const selection = {
+    files: options.files || null,
+    where: typeof options.where === 'string' ? parseWhere(options.where) : options.where || null,
+  };
+  return withRun(options, () => runSync(months, { ...options, incremental: false }, targetMonths =>
+    syncFromRemoteZip(targetMonths, selection, { text: Boolean(options.text) })));
+}
+
+// Verify local downloads of the given months (default: every local month,
+// narrowed by all/from/to/latest). Option `deep` also checks file contents
+// against upstream. Resolves with one entry per month.
+function verifyMonths(months = [], options = {}) {
+  return withRun(options, async () => {
+    if (options.deep) {
+      await resolveRevision();
+    }
+    const selectors = selectorsFrom(options);
+    const targetMonths = months.length > 0
+      ? months
+      : selectMonths(discoverLocalMonths(), selectors || { all: true }).map(m => m.month);
+    return verifyOnly(targetMonths, { deep: Boolean(options.deep) });
+  });
+}
+
+// Re-attempt what the journal has outstanding: failed files and files missing
+// after the last sync (or whole months that failed), in the given months or
+// all/from/to. Resolves with the summary, or null when nothing is outstanding.
+function retryFailedMonths(months = [], options = {}) {
+  return withRun(options, async () => {
+    await resolveRevision();
+    sweepPartFiles();
+
+    // A failed month is synced again in full; otherwise only its files
+    const retry = selectRetries(config().outputDir, { months, from: options.from, to: options.to });
+    if (retry.size === 0) {
+      log('\nNothing to retry');
+      return null;
+    }
+
+    const files = [...retry.values()].reduce((n, names) => n + (names ? names.size : 0), 0);
+    log(`\n🔁 Retrying ${files} files in ${retry.size} months`);
+
+    return sync([...retry.keys()], { text: Boolean(options.text), retry });
+  });
+}
+
+// Remove local files that the given months' meta files (refreshed first) no
+// longer list; defaults to every local month, narrowed by all/from/to/latest.
+// Options: `quarantine` (a directory to move them to instead of deleting),
+// `dryRun`. Resolves with one { month, files, bytes } entry per month.
+function pruneMonths(months = [], options = {}) {
+  return withRun(options, async () => {
+    await resolveRevision();
+    const selectors = selectorsFrom(options);
+    const targetMonths = months.length > 0
+      ? months
+      : selectMonths(discoverLocalMonths(), selectors || { all: true }).map(m => m.month);
+    return pruneOnly(targetMonths, { quarantineDir: options.quarantine || null, dryRun: Boolean(options.dryRun) });
+  }, { prune: true });
+}
+
+// Watch the hot months until `signal` (an AbortSignal) aborts, downloading
+// new PDFs and firing actions for new gazettes. Options: interval (ms),
+// exec (shell command), webhook (URL), feed (NDJSON file), text.
+// New gazettes are also emitted as `gazette` events. Resolves once stopped.
+function watchMonths(options = {}) {
+  // Plugins are loaded (and their factories called) once for the whole watch
+  const plugins = loadPlugins(options.plugins ?? DEFAULTS.plugins);
+  return withRun(options, () => {
+    const notifier = createNotifier(options, {
+      post: async (url, body) => {
+        const response = await fetchWithRetry(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+        await response.body?.cancel();
+      },
+    });
+    return watchHotMonths(options, {
+      interval: options.interval ?? WATCH_INTERVAL,
+      notifier,
+      plugins,
+      text: Boolean(options.text),
+      signal: options.signal,
+    });
+  }, { plugins });
+}
+
+// Export the meta records of local months to one file; works offline.
+// Options: format ('csv', 'parquet' or 'sqlite'), output (file path),
+// from/to. Resolves with { file, format, months, rows, columns }.
+async function exportMonths(months = [], options = {}) {
+  return withRun(options, () => exportCommand(months, {
+    format: options.format,
+    output: options.output,
+    from: options.from,
+    to: options.to,
+  }));
+}
+
+// Fetch one month's meta file. Resolves with its local path, or null.
+function fetchMeta(month, options = {}) {
+  return withRun(options, () => downloadMeta(month));
+}
+
+// Options that take a value (`--from 2019-01` or `--from=2019-01`)
+const VALUE_OPTIONS = new Set(['--from', '--to', '--latest', '--files', '--where', '--limit', '--host', '--port', '--revision', '--source', '--concurrency', '--max-bandwidth', '--parallel-months', '--runs', '--quarantine', '--format', '--output', '--interval', '--exec', '--webhook', '--feed', '--config', '--filter', '--storage', '--s3-endpoint', '--max-size']);
+
+// Split CLI arguments into flags, option values and positional arguments
+function parseArgs(argv) {
+  const flags = new Set();
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('-')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg : arg.slice(0, eq);
+
+    if (VALUE_OPTIONS.has(name)) {
+      const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+      if (value === undefined || value === '') {
+        throw new Error(`Missing value for ${name}`);
+      }
+      options[name.slice(2)] = value;
+    } else {
+      flags.add(arg);
+    }
+  }
+
+  return { flags, options, positional };
+}
+
+// Exit codes, so schedulers can alert on the right condition
+const EXIT_OK = 0;
+const EXIT_ERROR = 1; // Invalid arguments, or the run could not complete
+const EXIT_PARTIAL = 2; // Some files or months failed
+const EXIT_MISMATCH = 3; // Files missing or not matching upstream
+
+// Exit code for the result of a sync (its summary) or a verification (its report)
+function exitCodeFor(result) {
+  if (!result) return EXIT_OK;
+
+  const months = Array.isArray(result) ? result : result.months;
+  const count = (value) => (Array.isArray(value) ? value.length : value || 0);
+
+  const failed = months.some(m =>
+    m.source === null || m.status === 'failed' || count(m.failed) > 0 || count(m.failedEntries) > 0);
+  if (failed || count(result.notFound) > 0) return EXIT_PARTIAL;
+
+  const mismatched = months.some(m =>
+    count(m.missing) > 0 || (m.mismatched || []).some(f => !f.repaired));
+  return mismatched ? EXIT_MISMATCH : EXIT_OK;
+}
+
+// How the CLI reports a run. By default the log and progress bars are
+// printed, without emoji and progress bars when stdout isn't a terminal.
+// `quiet` prints errors only; `json` prints the run's events as NDJSON.
+// Returns the events to run with and `error(message)` for fatal errors.
+function createCliOutput({ json = false, quiet = false, plain = !process.stdout.isTTY } = {}) {
+  const events = new EventEmitter();
+
+  if (json) {
+    const write = (event, payload) =>
+      process.stdout.write(JSON.stringify({ event, time: new Date().toISOString(), ...payload }) + '\n');
+
+    for (const event of ['month-start', 'file-done', 'file-failed', 'month-done', 'summary', 'gazette', 'plan']) {
+      events.on(event, payload => write(event, payload));
+    }
+    events.on('log', ({ level, message }) => {
+      if (level === 'error') write('error', { message: message.trim() });
+    });
+    return { events, error: message => write('error', { message, fatal: true }) };
+  }
+
+  const clean = plain ? text => text.replace(/\p{Extended_Pictographic}\uFE0F?\s*/gu, '') : text => text;
+
+  events.on('log', ({ level, message }) => {
+    if (level === 'error') {
+      console.error(clean(message));
+    } else if (!quiet) {
+      console.log(clean(message));
+    }
+  });
+  if (quiet) {
+    events.on('file-failed', ({ month, file, error }) => console.error(`${month} ${file}: ${error}`));
+  } else if (!plain) {
+    events.on('progress', line => process.stdout.write(`\r${line}`));
+  }
+
+  return { events, error: message => console.error(clean(`\n❌ Error: ${message}`)) };
+}
+
 // CLI
 async function main() {
   const args = process.argv.slice(2);
 
   if (args.includes('--help') || args.includes('-h')) {
-    console.log(`
-Usage: node sync-ratchakitcha.js [options] [months...]
+    console.log(`\nUsage: node sync-ratchakitcha.js [options] [months...]
+       node sync-ratchakitcha.js search [text...] [--where COND] [--from/--to] [--limit N]
+       node sync-ratchakitcha.js serve [--host HOST] [--port N]
+       node sync-ratchakitcha.js status [--runs N] [--json]
+       node sync-ratchakitcha.js export [months...] [--format F] [--output FILE] [--from/--to]
+       node sync-ratchakitcha.js watch [--interval T] [--exec CMD] [--webhook URL] [--feed FILE]
 
 Options:
-  --zip       Download from ZIP archives (for older months)
-  --verify    Verify existing downloads only
-  --help      Show this help
+  --all            Select every month in the dataset
+  --from YYYY-MM   Select months from this month onwards
+  --to YYYY-MM     Select months up to and including this month
+  --latest N       Select the N most recent months
+  --zip            Download from ZIP archives (for older months)
+  --remote-zip     Fetch only selected PDFs out of remote ZIP archives using
+                   HTTP Range requests (needs --files, --where and/or
+                   --filter)
+  --files A,B      With --remote-zip: pdf_file names to fetch
+  --where COND     With --remote-zip (and search): meta filter, an
+                   expression like --filter or comma-separated field=value
+                   (exact) and field~text (contains) conditions
+  --filter EXPR    Only sync PDFs whose meta record matches EXPR, e.g.
+                   'section = ก and (category ~ ประกาศ or doctitle ~ ภาษี)'
+                   (operators = != ~ !~ < <= > >= in [a, b]; combine with
+                   and, or, not and parentheses), or the path of a JSON
+                   predicate file (*.json). --verify then expects only the
+                   matching PDFs
+  --verify         Verify existing downloads only
+  --deep           With --verify: check sizes and sha256 against upstream
+                   and re-download mismatches
+  --prune          Refresh meta files and delete local PDFs and text not
+                   listed in them (e.g. withdrawn gazettes); all local
+                   months unless months or selectors are given
+  --quarantine DIR With --prune: move the files into DIR/<timestamp>/
+                   instead of deleting them
+  --dry-run        Only plan the sync: resolve months, meta files and
+                   upstream sizes, then print the files and bytes to fetch,
+                   the bytes present and the peak disk usage against the
+                   free space, without downloading PDFs. With --prune:
+                   only report what would be removed
+  --max-size SIZE  Cap the disk space a sync may take (e.g. 50G): months
+                   past the cap are left for a later run. Without it, a
+                   sync that would not fit in the free space doesn't start
+  --extract-text   Also extract PDF text into text/YYYY/YYYY-MM/*.txt
+                   (only new or changed PDFs are processed)
+  --source SRC     Where to sync from: huggingface (default), the URL of
+                   an HTTP mirror or a local directory with the dataset
+                   layout (e.g. another downloads/ tree). Set HF_TOKEN to
+                   authenticate with HuggingFace
+  --revision REV   Sync from this branch, tag or commit (default: main).
+                   The run is pinned to its commit SHA
+  --incremental    Only sync months that changed upstream since the last
+                   incremental sync (combine with selectors to narrow)
+  --retry-failed   Only re-attempt files (or months) that failed or were
+                   missing after earlier runs, as recorded in the journal
+                   (narrow with explicit months or --from/--to)
+  --concurrency N  Parallel downloads (default ${DEFAULTS.concurrency}); lowered
+                   automatically while the server throttles requests
+  --max-bandwidth RATE
+                   Cap total download speed, in bytes per second with an
+                   optional K/M/G suffix (e.g. 10M)
+  --parallel-months N
+                   Months synced at the same time (default ${DEFAULTS.parallelMonths}); their
+                   downloads share the --concurrency limit
+  --storage TARGET Where to store the PDF tree: local (default, the output
+                   directory) or s3://bucket/prefix on AWS S3 or an
+                   S3-compatible store (credentials from AWS_ACCESS_KEY_ID,
+                   AWS_SECRET_ACCESS_KEY and AWS_SESSION_TOKEN, region from
+                   AWS_REGION). Meta, journal and ZIPs stay local
+  --s3-endpoint URL
+                   S3-compatible endpoint, e.g. http://localhost:9000 for
+                   MinIO (default: AWS_ENDPOINT_URL, else AWS S3)
+  --dedupe         Store each distinct PDF once by sha256 under objects/,
+                   with hardlinks (locally) or per-month manifest.json
+                   files (S3) in the month folders
+  --config FILE    Load plugins from a config file (JSON or a JS module
+                   with \`plugins\` and \`pluginConcurrency\`); their hooks
+                   run after meta updates, downloads, verification and
+                   at the end of a sync
+  --json           Print NDJSON events (month-start, file-done, file-failed,
+                   month-done, summary, gazette, plan, error) instead of
+                   the log
+  --quiet          Only print errors
+  --limit N        With search: show at most N records (default 50)
+  --host HOST      With serve: address to listen on (default 127.0.0.1)
+  --port N         With serve: port to listen on (default 8080)
+  --runs N         With status: recent runs to show (default 5)
+  --format F       With export: csv, parquet or sqlite (default: from the
+                   --output extension, else csv)
+  --output FILE    With export: file to write (default
+                   downloads/export/meta.<ext>)
+  --interval T     With watch: time between polls, e.g. 90s, 15m or 1h
+                   (default 15m)
+  --exec CMD       With watch: shell command run for each new gazette (JSON
+                   on stdin, GAZETTE_* environment variables)
+  --webhook URL    With watch: POST each new gazette as JSON to URL
+  --feed FILE      With watch: append each new gazette to an NDJSON file
+  --help           Show this help
+
+Without months or selectors, the latest ${DEFAULTS.hotMonths} months that still have a
+pdf/ folder are synced. Each month is downloaded from pdf/ when available,
+otherwise from its ZIP archive, falling back to the other source if the
+first one fails. In --verify and --prune modes, selectors apply to the
+months present locally (all of them by default). When stdout is not a
+terminal, the log is printed without emoji and progress bars.
+
+Every file's outcome is kept in the journal (journal/YYYY/YYYY-MM.json)
+and every run is appended to journal/runs.jsonl; status shows what is
+outstanding.
+
+Exit codes: 0 success, 1 error, 2 some files or months failed (for status:
+something is outstanding), 3 files missing or not matching upstream (e.g.
+after --verify).
 
 Examples:
-  node sync-ratchakitcha.js                    # Download hot PDFs (2025-12, 2026-01)
-  node sync-ratchakitcha.js 2024-01 2024-02    # Download specific months from pdf/
+  node sync-ratchakitcha.js                    # Download hot PDFs (latest pdf/ months)
+  node sync-ratchakitcha.js 2024-01 2024-02    # Download specific months
+  node sync-ratchakitcha.js --all              # Download every month in the dataset
+  node sync-ratchakitcha.js --from 2019-01 --to 2024-12
+  node sync-ratchakitcha.js --latest 6         # Download the 6 most recent months
   node sync-ratchakitcha.js --zip 2025-11      # Download from ZIP archive
+  node sync-ratchakitcha.js --remote-zip 2019-03 --files 00123456.pdf
+  node sync-ratchakitcha.js --remote-zip --from 2019-01 --to 2019-12 --where "doctitle~ภาษี"
+  node sync-ratchakitcha.js --latest 6 --filter "section = ก"
+  node sync-ratchakitcha.js --all --filter section-filter.json
   node sync-ratchakitcha.js --verify           # Verify existing downloads
+  node sync-ratchakitcha.js --verify --deep    # Verify file contents against upstream hashes
+  node sync-ratchakitcha.js --all --dry-run    # Show what a full backfill would take
+  node sync-ratchakitcha.js --zip --from 2010-01 --max-size 200G
+  node sync-ratchakitcha.js --prune --dry-run  # List local files no longer in meta
+  node sync-ratchakitcha.js --prune --quarantine ./quarantine
+  node sync-ratchakitcha.js --json --latest 2 > sync.ndjson
+  node sync-ratchakitcha.js --latest 3 --extract-text
+  node sync-ratchakitcha.js --revision v1.0 2024-01
+  node sync-ratchakitcha.js --incremental
+  node sync-ratchakitcha.js --retry-failed     # Re-attempt what failed before
+  node sync-ratchakitcha.js status             # Show what is outstanding
+  node sync-ratchakitcha.js --all --concurrency 10 --max-bandwidth 20M
+  node sync-ratchakitcha.js --latest 2 --config ratchakitcha.config.json
+  node sync-ratchakitcha.js --all --dedupe
+  node sync-ratchakitcha.js --latest 3 --storage s3://my-bucket/ratchakitcha
+  node sync-ratchakitcha.js --source https://mirror.example.org/ratchakitcha --latest 3
+  node sync-ratchakitcha.js --source /mnt/share/downloads --all
+  node sync-ratchakitcha.js search พระราชบัญญัติ ภาษี --from 2020-01
+  node sync-ratchakitcha.js search --where "section=ก,category~ประกาศ"
+  node sync-ratchakitcha.js serve --port 3000
+  node sync-ratchakitcha.js export --format parquet --from 2020-01
+  node sync-ratchakitcha.js export --output gazette.sqlite
+  node sync-ratchakitcha.js watch --interval 10m --feed new-gazettes.ndjson
+  node sync-ratchakitcha.js watch --webhook https://hooks.example.org/gazette
 `);
     process.exit(0);
   }
 
-  const verifyMode = args.includes('--verify');
-  const zipMode = args.includes('--zip');
-  const months = args.filter(a => !a.startsWith('--'));
-  const targetMonths = months.length > 0 ? months : CONFIG.defaultMonths;
+  let parsed;
+  try {
+    parsed = parseArgs(args);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const { flags, options, positional } = parsed;
+  const command = ['search', 'serve', 'status', 'export', 'watch'].includes(positional[0]) ? positional[0] : null;
+  const months = command === 'export' ? positional.slice(1) : command ? [] : positional;
+  const verifyMode = flags.has('--verify');
+  const deepMode = flags.has('--deep');
+  const zipMode = flags.has('--zip');
+  const remoteZipMode = flags.has('--remote-zip');
+  const textMode = flags.has('--extract-text');
+  const incrementalMode = flags.has('--incremental');
+  const retryMode = flags.has('--retry-failed');
+  const pruneMode = flags.has('--prune');
+  const dryRun = flags.has('--dry-run');
+  const selectors = {
+    all: flags.has('--all'),
+    from: options.from,
+    to: options.to,
+    latest: options.latest !== undefined ? Number(options.latest) : null,
+  };
+  const hasSelector = selectors.all || selectors.from || selectors.to || selectors.latest !== null;
 
   // Validate month format
-  for (const m of targetMonths) {
+  for (const m of [...months, selectors.from, selectors.to].filter(Boolean)) {
     if (!/^\d{4}-\d{2}$/.test(m)) {
       console.error(`Invalid month format: ${m} (expected YYYY-MM)`);
       process.exit(1);
     }
   }
 
+  if (selectors.latest !== null && !(Number.isInteger(selectors.latest) && selectors.latest > 0)) {
+    console.error(`Invalid value for --latest: ${options.latest} (expected a positive integer)`);
+    process.exit(1);
+  }
+
+  const concurrency = options.concurrency !== undefined ? Number(options.concurrency) : undefined;
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+    console.error(`Invalid value for --concurrency: ${options.concurrency} (expected a positive integer)`);
+    process.exit(1);
+  }
+
+  const parallelMonths = options['parallel-months'] !== undefined ? Number(options['parallel-months']) : undefined;
+  if (parallelMonths !== undefined && !(Number.isInteger(parallelMonths) && parallelMonths > 0)) {
+    console.error(`Invalid value for --parallel-months: ${options['parallel-months']} (expected a positive integer)`);
+    process.exit(1);
+  }
+
+  const maxBandwidth = options['max-bandwidth'] !== undefined ? parseBytes(options['max-bandwidth']) : undefined;
+  if (maxBandwidth !== undefined && !(maxBandwidth > 0)) {
+    console.error(`Invalid value for --max-bandwidth: ${options['max-bandwidth']} (expected e.g. 500K or 10M)`);
+    process.exit(1);
+  }
+
+  if (months.length > 0 && hasSelector) {
+    console.error('Specify either explicit months or --all/--from/--to/--latest, not both');
+    process.exit(1);
+  }
+
+  const storageTarget = options.storage;
+  if (storageTarget !== undefined && storageTarget !== 'local' && !/^s3:\/\/[^/]+/.test(storageTarget)) {
+    console.error(`Invalid value for --storage: ${storageTarget} (expected local or s3://bucket/prefix)`);
+    process.exit(1);
+  }
+  if (options['s3-endpoint'] !== undefined && !/^https?:\/\//i.test(options['s3-endpoint'])) {
+    console.error(`Invalid value for --s3-endpoint: ${options['s3-endpoint']} (expected an http(s) URL)`);
+    process.exit(1);
+  }
+  const storageOptions = {
+    storage: storageTarget,
+    dedupe: flags.has('--dedupe'),
+    s3Endpoint: options['s3-endpoint'],
+  };
+
+  if (options.filter !== undefined) {
+    try {
+      createFilter(options.filter);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+
+  let pluginConfig = {};
+  if (options.config !== undefined) {
+    try {
+      pluginConfig = loadConfigFile(options.config);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+
+  // search, serve, status and export always print for people
+  const forPeople = command && command !== 'watch';
+  const output = createCliOutput(forPeople ? {} : { json: flags.has('--json'), quiet: flags.has('--quiet') });
+  const { events } = output;
+
+  if (command === 'search') {
+    const limit = options.limit !== undefined ? Number(options.limit) : 50;
+    if (!(Number.isInteger(limit) && limit > 0)) {
+      console.error(`Invalid value for --limit: ${options.limit} (expected a positive integer)`);
+      process.exit(1);
+    }
+    try {
+      withRun({ events }, () => searchCommand(positional.slice(1), {
+        where: options.where ? parseWhere(options.where) : null,
+        from: selectors.from,
+        to: selectors.to,
+        limit,
+      }));
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'serve') {
+    const port = options.port !== undefined ? Number(options.port) : 8080;
+    if (!(Number.isInteger(port) && port >= 0 && port < 65536)) {
+      console.error(`Invalid value for --port: ${options.port} (expected 0-65535)`);
+      process.exit(1);
+    }
+    try {
+      await withRun({ events, ...storageOptions }, () => serveCommand({ host: options.host || '127.0.0.1', port }));
+    } catch (error) {
+      console.error(`❌ Could not start server: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'export') {
+    try {
+      await withRun({ events, ...storageOptions }, () => exportCommand(months, {
+        format: options.format,
+        output: options.output,
+        from: selectors.from,
+        to: selectors.to,
+      }));
+    } catch (error) {
+      output.error(error.message);
+      process.exit(EXIT_ERROR);
+    }
+    return;
+  }
+
+  if (command === 'watch') {
+    const interval = options.interval !== undefined ? parseDuration(options.interval) : WATCH_INTERVAL;
+    if (!(interval >= 1000)) {
+      console.error(`Invalid value for --interval: ${options.interval} (expected e.g. 90s, 15m or 1h)`);
+      process.exit(1);
+    }
+    if (options.webhook && !/^https?:\/\//i.test(options.webhook)) {
+      console.error(`Invalid value for --webhook: ${options.webhook} (expected an http(s) URL)`);
+      process.exit(1);
+    }
+
+    // First Ctrl+C (or SIGTERM) stops after the current poll, a second one at once
+    const controller = new AbortController();
+    const stop = () => {
+      if (controller.signal.aborted) process.exit(EXIT_ERROR);
+      console.error('\nStopping after the current poll (press Ctrl+C again to quit now)');
+      controller.abort();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    try {
+      await watchMonths({
+        events,
+        source: options.source,
+        revision: options.revision,
+        concurrency,
+        maxBandwidth,
+        ...pluginConfig,
+        ...storageOptions,
+        filter: options.filter,
+        text: textMode,
+        interval,
+        exec: options.exec || null,
+        webhook: options.webhook || null,
+        feed: options.feed || null,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      output.error(error.message);
+      process.exit(EXIT_ERROR);
+    }
+    return;
+  }
+
+  if (command === 'status') {
+    const runCount = options.runs !== undefined ? Number(options.runs) : 5;
+    if (!(Number.isInteger(runCount) && runCount >= 0)) {
+      console.error(`Invalid value for --runs: ${options.runs} (expected a non-negative integer)`);
+      process.exit(1);
+    }
+    const json = flags.has('--json');
+    const status = withRun(json ? {} : { events }, () => statusCommand({ runs: runCount }));
+    if (json) {
+      console.log(JSON.stringify(status, null, 2));
+    }
+    process.exitCode = status.outstanding.length > 0 ? EXIT_PARTIAL : EXIT_OK;
+    return;
+  }
+
+  if (pruneMode && (zipMode || remoteZipMode || verifyMode || incrementalMode || retryMode)) {
+    console.error('--prune cannot be combined with --zip, --remote-zip, --verify, --incremental or --retry-failed');
+    process.exit(1);
+  }
+
+  if (!pruneMode && options.quarantine !== undefined) {
+    console.error('--quarantine needs --prune');
+    process.exit(1);
+  }
+
+  const maxSize = options['max-size'] !== undefined ? parseBytes(options['max-size']) : undefined;
+  if (maxSize !== undefined && !(maxSize > 0)) {
+    console.error(`Invalid value for --max-size: ${options['max-size']} (expected e.g. 500M or 50G)`);
+    process.exit(1);
+  }
+
+  if ((dryRun || maxSize !== undefined) && (remoteZipMode || verifyMode || retryMode)) {
+    console.error('--dry-run and --max-size cannot be combined with --remote-zip, --verify or --retry-failed');
+    process.exit(1);
+  }
+  if (pruneMode && maxSize !== undefined) {
+    console.error('--max-size cannot be combined with --prune');
+    process.exit(1);
+  }
+
+  if (retryMode && (zipMode || remoteZipMode || verifyMode || incrementalMode || selectors.all || selectors.latest !== null)) {
+    console.error('--retry-failed cannot be combined with --zip, --remote-zip, --verify, --incremental, --all or --latest');
+    process.exit(1);
+  }
+
+  if (incrementalMode && (remoteZipMode || verifyMode)) {
+    console.error('--incremental cannot be combined with --remote-zip or --verify');
+    process.exit(1);
+  }
+
+  if (remoteZipMode && !options.files && !options.where && !options.filter) {
+    console.error('--remote-zip needs --files, --where and/or --filter to select PDFs');
+    process.exit(1);
+  }
+
+  if (pruneMode && options.filter !== undefined) {
+    console.error('--filter cannot be combined with --prune (pruning follows the meta index)');
+    process.exit(1);
+  }
+
+  const runOptions = {
+    events,
+    source: options.source,
+    revision: options.revision,
+    concurrency,
+    maxBandwidth,
+    parallelMonths,
+    ...pluginConfig,
+    ...storageOptions,
+    filter: options.filter,
+    ...selectors,
+    text: textMode,
+    incremental: incrementalMode,
+  };
+
   try {
+    let result;
     if (verifyMode) {
-      await verifyOnly(targetMonths);
+      result = await verifyMonths(months, { ...runOptions, deep: deepMode });
+    } else if (pruneMode) {
+      result = await pruneMonths(months, { ...runOptions, quarantine: options.quarantine, dryRun });
+    } else if (retryMode) {
+      result = await retryFailedMonths(months, runOptions);
+    } else if (remoteZipMode) {
+      result = await syncMonthsFromRemoteZip(months, {
+        ...runOptions,
+        files: options.files ? options.files.split(',').map(f => f.trim()).filter(Boolean) : null,
+        where: options.where,
+      });
     } else if (zipMode) {
-      await syncFromZip(targetMonths);
+      result = await syncMonthsFromZip(months, { ...runOptions, dryRun, maxSize });
     } else {
-      await sync(targetMonths);
+      result = await syncMonths(months, { ...runOptions, dryRun, maxSize });
     }
+    // A plan fails when the sync it describes would not start
+    process.exitCode = dryRun && !pruneMode ? (result && result.problem ? EXIT_ERROR : EXIT_OK) : exitCodeFor(result);
   } catch (error) {
-    console.error('\n❌ Error:', error.message);
-    process.exit(1);
+    output.error(error.message);
+    process.exit(EXIT_ERROR);
   }
 }
 
-main();
+module.exports = {
+  DEFAULTS,
+  sync: syncMonths,
+  syncFromZip: syncMonthsFromZip,
+  syncFromRemoteZip: syncMonthsFromRemoteZip,
+  verifyOnly: verifyMonths,
+  retryFailed: retryFailedMonths,
+  prune: pruneMonths,
+  exportMeta: exportMonths,
+  watch: watchMonths,
+  downloadMeta: fetchMeta,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFilter, compileFilter, createFilter } = require('../lib/filter');
+
+const RECORDS = [
+  { section: 'ก', category: 'ประกาศกระทรวง', doctitle: 'ภาษีเงินได้', publishDate: '2024-07-01', page: 12 },
+  { section: 'ข', category: 'คำสั่ง', doctitle: 'แก้คำผิด ภาษี', publishDate: '2024-05-30', page: 3 },
+  { section: 'ง', category: 'ประกาศ', doctitle: 'Notice (draft)', publishDate: '2023-12-31', page: 100 },
+  { section: 'ก', doctitle: 'ไม่มีหมวด', publishDate: '2025-01-15', page: '9' },
+];
+
+// Indexes of the records an expression keeps
+const matching = (expression) => RECORDS.flatMap((record, i) => (createFilter(expression).test(record) ? [i] : []));
+
+test('parseFilter: and binds tighter than or, not tighter than and', () => {
+  const c = (field, value) => ({ field, op: '=', value });
+  assert.deepEqual(parseFilter('a = 1 or b = 2 and c = 3'), { or: [c('a', '1'), { and: [c('b', '2'), c('c', '3')] }] });
+  assert.deepEqual(parseFilter('not a = 1 and b = 2'), { and: [{ not: c('a', '1') }, c('b', '2')] });
+  assert.deepEqual(parseFilter('not (a = 1 or b = 2)'), { not: { or: [c('a', '1'), c('b', '2')] } });
+  assert.deepEqual(parseFilter('(a = 1 or b = 2) and c = 3'), { and: [{ or: [c('a', '1'), c('b', '2')] }, c('c', '3')] });
+  assert.deepEqual(parseFilter('a = 1 AND b = 2 Or c = 3'), parseFilter('a = 1 and b = 2 or c = 3'));
+});
+
+test('parseFilter: quoted values keep spaces, operators and escapes', () => {
+  assert.deepEqual(parseFilter('doctitle ~ "Notice (draft)"'), { field: 'doctitle', op: '~', value: 'Notice (draft)' });
+  assert.deepEqual(parseFilter("doctitle = 'a, b [c]'"), { field: 'doctitle', op: '=', value: 'a, b [c]' });
+  assert.deepEqual(parseFilter('doctitle = "say \\"hi\\" \\\\ there"'), { field: 'doctitle', op: '=', value: 'say "hi" \\ there' });
+  assert.deepEqual(parseFilter('doctitle = "it\'s"'), { field: 'doctitle', op: '=', value: "it's" });
+  assert.deepEqual(parseFilter('section = "and"'), { field: 'section', op: '=', value: 'and' });
+});
+
+test('parseFilter: operators need no surrounding spaces', () => {
+  assert.deepEqual(parseFilter('page>=10'), { field: 'page', op: '>=', value: '10' });
+  assert.deepEqual(parseFilter('doctitle!~ภาษี'), { field: 'doctitle', op: '!~', value: 'ภาษี' });
+});
+
+test('parseFilter: reads in [...] lists', () => {
+  assert.deepEqual(parseFilter('section in [ก, "ข ค", ง]'), { field: 'section', op: 'in', value: ['ก', 'ข ค', 'ง'] });
+  assert.deepEqual(parseFilter('section IN [ก]'), { field: 'section', op: 'in', value: ['ก'] });
+});
+
+test('parseFilter: reports errors with their position', () => {
+  const cases = [
+    ['', /^Empty filter$/],
+    ['section', /^Expected an operator \(= != ~ !~ < <= > >= in\) at the end$/],
+    ['section = ก and', /^Expected a field name at the end$/],
+    ['(section = ก', /^Expected "\)" at the end$/],
+    ['section = ก)', /^Unexpected token at position 12 \("\)"\)$/],
+    ['section ก', /^Expected an operator .* at position 9 \("ก"\)$/],
+    ['section in ก', /^Expected "\[" at position 12 \("ก"\)$/],
+    ['section in [ก ข]', /^Expected "\]" at position 15 \("ข"\)$/],
+    ['section in []', /^Expected a value at position 13 \("\]"\)$/],
+    ['and = 1', /^Expected a field name at position 1 \("and"\)$/],
+    ['doctitle = "open', /^Unterminated string at position 12$/],
+    ['section = ก ! x', /^Unexpected "!" at position 13$/],
+  ];
+  for (const [text, message] of cases) {
+    assert.throws(() => parseFilter(text), { message }, JSON.stringify(text));
+  }
+});
+
+test('createFilter: expressions select records', () => {
+  assert.deepEqual(matching('section = ก'), [0, 3]);
+  assert.deepEqual(matching('section != ก'), [1, 2]);
+  assert.deepEqual(matching('doctitle ~ ภาษี'), [0, 1]);
+  assert.deepEqual(matching('doctitle ~ NOTICE'), [2]);
+  assert.deepEqual(matching('section = ก and (category ~ "ประกาศ" or doctitle ~ ภาษี)'), [0]);
+  assert.deepEqual(matching('not doctitle ~ แก้คำผิด and publishDate >= 2024-06-01'), [0, 3]);
+  assert.deepEqual(matching('section in [ข, ง]'), [1, 2]);
+  assert.deepEqual(matching('category = ""'), [3]);
+  assert.deepEqual(matching('category !~ ประกาศ'), [1, 3]);
+});
+
+test('createFilter: compares numbers as numbers and everything else as text', () => {
+  assert.deepEqual(matching('page > 10'), [0, 2]);
+  assert.deepEqual(matching('page <= 9'), [1, 3]);
+  assert.deepEqual(matching('publishDate < 2024-06-01'), [1, 2]);
+  assert.deepEqual(matching('doctitle > A'), [0, 1, 2, 3]);
+  // A missing field is empty text, never a number
+  assert.deepEqual(matching('missing < 1'), [0, 1, 2, 3]);
+});
+
+test('createFilter: wraps parse errors', () => {
+  assert.throws(() => createFilter('section ='), { message: 'Invalid filter: Expected a value at the end' });
+});
+
+test('compileFilter: JSON trees, with arrays meaning and', () => {
+  const keep = (tree) => RECORDS.flatMap((record, i) => (compileFilter(tree)(record) ? [i] : []));
+  assert.deepEqual(keep({ and: [{ field: 'section', op: '=', value: 'ก' }, { not: { field: 'doctitle', op: '~', value: 'หมวด' } }] }), [0]);
+  assert.deepEqual(keep([{ field: 'page', op: '>=', value: 9 }, { field: 'section', value: 'ก' }]), [0, 3]);
+  assert.deepEqual(keep({ or: [{ field: 'section', op: 'in', value: ['ข'] }, { field: 'page', op: '=', value: 100 }] }), [1, 2]);
+});
+
+test('compileFilter: rejects malformed trees', () => {
+  const cases = [
+    [null, /^Invalid filter node: null$/],
+    [{ and: [] }, /^"and" needs a non-empty array$/],
+    [{ or: 'x' }, /^"or" needs a non-empty array$/],
+    [{ op: '=', value: 'x' }, /^Filter condition without a field/],
+    [{ field: 'a', op: 'like', value: 'x' }, /^Unknown filter operator "like"/],
+    [{ field: 'a', op: 'in', value: 'x' }, /^"in" needs an array of values \(field a\)$/],
+    [{ field: 'a', op: '=', value: ['x'] }, /^Filter condition on a needs a text or number value$/],
+  ];
+  for (const [tree, message] of cases) {
+    assert.throws(() => compileFilter(tree), { message }, JSON.stringify(tree));
+  }
+});
+
+test('createFilter: reads .json predicate files', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filter-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'filter.json');
+  fs.writeFileSync(file, JSON.stringify({ field: 'section', op: 'in', value: ['ก', 'ง'] }));
+
+  const filter = createFilter(` ${file} `);
+  assert.equal(filter.description, file);
+  assert.deepEqual(RECORDS.filter(filter.test).map(r => r.section), ['ก', 'ง', 'ก']);
+
+  fs.writeFileSync(file, '{ not json');
+  assert.throws(() => createFilter(file), ({ message }) => message.startsWith(`Could not read filter file ${file}: `));
+});
+
+test('createFilter: passes functions through and returns null for no spec', () => {
+  const isSectionA = (record) => record.section === 'ก';
+  assert.equal(createFilter(null), null);
+  assert.equal(createFilter(undefined), null);
+  assert.deepEqual(createFilter(isSectionA), { test: isSectionA, description: 'isSectionA' });
+  assert.equal(createFilter({ field: 'section', value: 'ก' }).description, '{"field":"section","value":"ก"}');
+});
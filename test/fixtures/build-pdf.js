@@ -0,0 +1,228 @@
+/**
+ * Builds small PDFs for the tests, so each fixture states the structure it
+ * exercises instead of hiding it in a binary file.
+ *
+ * An object is a string (the object's value) or { dict, data } for a stream,
+ * where `dict` is the stream dictionary without /Length (filled in here) and
+ * `data` a string or Buffer. Objects are numbered from 1 in order.
+ */
+
+const zlib = require('zlib');
+
+const latin1 = (value) => (Buffer.isBuffer(value) ? value : Buffer.from(value, 'latin1'));
+
+function serialize(num, object) {
+  if (typeof object === 'string') return latin1(`${num} 0 obj\n${object}\nendobj\n`);
+  const data = latin1(object.data);
+  const dict = object.dict.replace(/^<</, `<< /Length ${data.length}`);
+  return Buffer.concat([latin1(`${num} 0 obj\n${dict}\nstream\n`), data, latin1('\nendstream\nendobj\n')]);
+}
+
+// An xref stream's entries ([type, field2, field3] by object number) with
+// /W [1 4 2], Flate-compressed with the PNG Up predictor
+function xrefStreamData(entries) {
+  const columns = 7;
+  const rows = entries.map(([type, a, b]) => {
+    const row = Buffer.alloc(columns);
+    row[0] = type;
+    row.writeUInt32BE(a, 1);
+    row.writeUInt16BE(b, 5);
+    return row;
+  });
+  let previous = Buffer.alloc(columns);
+  const encoded = rows.map(row => {
+    const up = Buffer.from(row.map((byte, i) => (byte - previous[i]) & 0xff));
+    previous = row;
+    return Buffer.concat([Buffer.from([2]), up]);
+  });
+  return zlib.deflateSync(Buffer.concat(encoded));
+}
+
+// Build a PDF from `objects` (the catalog must be object 1, see above).
+// Options:
+// - `xref`: 'table' (default) or 'stream' (an xref stream)
+// - `compressed`: numbers of objects to put in an object stream (xref streams only)
+// - `prefix`: bytes written before %PDF-
+// - `startxrefShift`: added to the startxref offset, to break it
+// - `trailer`: extra trailer entries, e.g. '/Encrypt 9 0 R'
+// - `update`: objects (by number) redefined in an incremental update
+function buildPdf(objects, { xref = 'table', compressed = [], prefix = '', startxrefShift = 0, trailer = '', update = null } = {}) {
+  const parts = [latin1(prefix), latin1('%PDF-1.5\n%\xe2\xe3\xcf\xd3\n')];
+  const length = () => parts.reduce((a, p) => a + p.length, 0) - prefix.length;
+  const entries = [[0, 0, 65535]];
+
+  const direct = [];
+  objects.forEach((object, i) => {
+    if (compressed.includes(i + 1)) return;
+    direct.push(i + 1);
+    entries[i + 1] = [1, length(), 0];
+    parts.push(serialize(i + 1, object));
+  });
+
+  let size = objects.length + 1;
+  if (compressed.length > 0) {
+    if (xref !== 'stream') throw new Error('object streams need an xref stream');
+    const streamNum = size++;
+    let header = '';
+    let body = '';
+    compressed.forEach((num, index) => {
+      header += `${num} ${body.length} `;
+      body += `${objects[num - 1]}\n`;
+      entries[num] = [2, streamNum, index];
+    });
+    entries[streamNum] = [1, length(), 0];
+    parts.push(serialize(streamNum, {
+      dict: `<< /Type /ObjStm /N ${compressed.length} /First ${header.length} /Filter /FlateDecode >>`,
+      data: zlib.deflateSync(latin1(header + body)),
+    }));
+  }
+
+  const writeXref = (sectionEntries, sectionSize, extra) => {
+    const at = length();
+    if (xref === 'stream') {
+      const num = sectionSize;
+      const all = Object.assign([], sectionEntries);
+      all[num] = [1, at, 0];
+      const nums = Object.keys(all).map(Number).sort((a, b) => a - b);
+      const index = nums.map(n => `${n} 1`).join(' ');
+      parts.push(serialize(num, {
+        dict: `<< /Type /XRef /Size ${num + 1} /Index [${index}] /W [1 4 2] /Root 1 0 R ${extra} /Filter /FlateDecode /DecodeParms << /Predictor 12 /Columns 7 >> >>`,
+        data: xrefStreamData(nums.map(n => all[n])),
+      }));
+    } else {
+      const nums = Object.keys(sectionEntries).map(Number).sort((a, b) => a - b);
+      let table = 'xref\n';
+      for (const n of nums) {
+        const [type, offset, gen] = sectionEntries[n];
+        table += `${n} 1\n${String(offset).padStart(10, '0')} ${String(gen).padStart(5, '0')} ${type === 0 ? 'f' : 'n'} \n`;
+      }
+      parts.push(latin1(`${table}trailer\n<< /Size ${sectionSize} /Root 1 0 R ${extra} >>\n`));
+    }
+    return at;
+  };
+
+  let xrefAt = writeXref(entries, size, trailer);
+
+  if (update) {
+    const updated = [];
+    for (const [num, object] of Object.entries(update)) {
+      updated[num] = [1, length(), 0];
+      parts.push(serialize(Number(num), object));
+    }
+    parts.push(latin1(`startxref\n${xrefAt}\n%%EOF\n`));
+    xrefAt = writeXref(updated, xref === 'stream' ? size + 1 : size, `${trailer} /Prev ${xrefAt}`);
+  }
+
+  parts.push(latin1(`startxref\n${xrefAt + startxrefShift}\n%%EOF\n`));
+  return Buffer.concat(parts);
+}
+
+// Catalog, page tree and one page per content stream (a string, or a
+// { dict, data } stream for filtered content), sharing `resources`. Further
+// objects (fonts, images, ...) follow as objects 3 + pages * 2 onwards.
+function pagesPdf(contents, { resources = '<< >>', extra = [], ...options } = {}) {
+  const kids = contents.map((_, i) => `${3 + i * 2} 0 R`).join(' ');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${kids}] /Count ${contents.length} /Resources ${resources} >>`,
+  ];
+  contents.forEach((content, i) => {
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents ${4 + i * 2} 0 R >>`);
+    objects.push(typeof content === 'string' ? { dict: '<< >>', data: content } : content);
+  });
+  return buildPdf([...objects, ...extra], options);
+}
+
+// Number of the first object after the pages of pagesPdf()
+const firstExtra = (pageCount) => 3 + pageCount * 2;
+
+// A one-page PDF showing `text` in Helvetica
+function helloPdf(text = 'Hello World', options = {}) {
+  return pagesPdf([`BT /F1 12 Tf 72 720 Td (${text}) Tj ET`], {
+    resources: `<< /Font << /F1 ${firstExtra(1)} 0 R >> >>`,
+    extra: ['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'],
+    ...options,
+  });
+}
+
+// LZW-encode (9 to 12 bit codes, early change) like a PDF writer would
+function lzwEncode(input) {
+  const out = [];
+  let bits = 0;
+  let bitCount = 0;
+  let codeLength = 9;
+  const emit = (code) => {
+    bits = (bits << codeLength) | code;
+    bitCount += codeLength;
+    while (bitCount >= 8) {
+      out.push((bits >>> (bitCount - 8)) & 0xff);
+      bitCount -= 8;
+    }
+    bits &= (1 << bitCount) - 1;
+  };
+
+  let dict = new Map();
+  let next = 258;
+  const reset = () => {
+    dict = new Map();
+    for (let i = 0; i < 256; i++) dict.set(String.fromCharCode(i), i);
+    next = 258;
+    codeLength = 9;
+  };
+  reset();
+  emit(256);
+
+  let word = '';
+  for (const ch of latin1(input).toString('latin1')) {
+    if (dict.has(word + ch)) {
+      word += ch;
+      continue;
+    }
+    emit(dict.get(word));
+    dict.set(word + ch, next++);
+    if (next + 1 > 1 << codeLength && codeLength < 12) codeLength++;
+    word = ch;
+  }
+  if (word) emit(dict.get(word));
+  emit(257);
+  if (bitCount > 0) out.push((bits << (8 - bitCount)) & 0xff);
+  return Buffer.from(out);
+}
+
+// Hex string of UTF-16BE text, for CMaps
+const utf16Hex = (text) => Buffer.from(text, 'utf16le').swap16().toString('hex').toUpperCase();
+
+// ToUnicode CMap mapping 2-byte codes: `chars` is { code: text } (bfchar),
+// `ranges` is [[low, high, text of low]] (bfrange)
+function toUnicodeCMap({ chars = {}, ranges = [] }) {
+  const hex = (code) => code.toString(16).toUpperCase().padStart(4, '0');
+  const charLines = Object.entries(chars).map(([code, text]) => `<${hex(Number(code))}> <${utf16Hex(text)}>`);
+  const rangeLines = ranges.map(([low, high, text]) => `<${hex(low)}> <${hex(high)}> <${utf16Hex(text)}>`);
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '1 begincodespacerange',
+    '<0000> <FFFF>',
+    'endcodespacerange',
+    `${charLines.length} beginbfchar`,
+    ...charLines,
+    'endbfchar',
+    `${rangeLines.length} beginbfrange`,
+    ...rangeLines,
+    'endbfrange',
+    'endcmap',
+    'CMapName currentdict /CMap defineresource pop',
+    'end',
+    'end',
+  ].join('\n');
+}
+
+module.exports = {
+  buildPdf,
+  pagesPdf,
+  firstExtra,
+  helloPdf,
+  lzwEncode,
+  toUnicodeCMap,
+};
@@ -0,0 +1,105 @@
+/**
+ * Builds small ZIP archives for the tests, so each fixture states the layout
+ * it exercises (data descriptors, ZIP64 fields, bad CRCs) in code.
+ *
+ * An entry is { name, data, deflate, descriptor, zip64, crc }: `deflate`
+ * compresses the data, `descriptor` moves the CRC and sizes to a data
+ * descriptor after the data, `zip64` stores the sizes and offset in ZIP64
+ * extra fields and `crc` overrides the recorded CRC-32.
+ */
+
+const zlib = require('zlib');
+const { crc32 } = require('../../lib/zip');
+
+const u16 = (value) => {
+  const buf = Buffer.alloc(2);
+  buf.writeUInt16LE(value);
+  return buf;
+};
+const u32 = (value) => {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(value >>> 0);
+  return buf;
+};
+const u64 = (value) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64LE(BigInt(value));
+  return buf;
+};
+
+const MAX32 = 0xFFFFFFFF;
+
+// ZIP64 extended information extra field holding `values` (8 bytes each)
+const zip64Extra = (values) => Buffer.concat([u16(0x0001), u16(values.length * 8), ...values.map(u64)]);
+
+function buildZip(entries, { zip64 = false, comment = '' } = {}) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  const push = (buf) => {
+    parts.push(buf);
+    offset += buf.length;
+  };
+
+  for (const entry of entries) {
+    const data = Buffer.from(entry.data ?? '');
+    const body = entry.deflate ? zlib.deflateRawSync(data) : data;
+    const crc = entry.crc ?? crc32(data);
+    const name = Buffer.from(entry.name, 'utf8');
+    const flags = 0x0800 | (entry.descriptor ? 0x0008 : 0);
+    const method = entry.deflate ? 8 : 0;
+    const headerOffset = offset;
+
+    // Sizes in the local header: 0 when a descriptor follows, placeholders for ZIP64
+    const localSizes = entry.descriptor ? [0, 0] : [body.length, data.length];
+    const localExtra = entry.zip64 ? zip64Extra([localSizes[1], localSizes[0]]) : Buffer.alloc(0);
+    push(Buffer.concat([
+      u32(0x04034b50), u16(entry.zip64 ? 45 : 20), u16(flags), u16(method), u16(0), u16(0),
+      u32(entry.descriptor ? 0 : crc),
+      u32(entry.zip64 ? MAX32 : localSizes[0]), u32(entry.zip64 ? MAX32 : localSizes[1]),
+      u16(name.length), u16(localExtra.length), name, localExtra,
+    ]));
+    push(body);
+
+    if (entry.descriptor) {
+      const sizes = entry.zip64 ? [u64(body.length), u64(data.length)] : [u32(body.length), u32(data.length)];
+      push(Buffer.concat([u32(0x08074b50), u32(crc), ...sizes]));
+    }
+
+    const centralExtra = entry.zip64 ? zip64Extra([data.length, body.length, headerOffset]) : Buffer.alloc(0);
+    central.push(Buffer.concat([
+      u32(0x02014b50), u16(entry.zip64 ? 45 : 20), u16(entry.zip64 ? 45 : 20), u16(flags), u16(method), u16(0), u16(0),
+      u32(crc),
+      u32(entry.zip64 ? MAX32 : body.length), u32(entry.zip64 ? MAX32 : data.length),
+      u16(name.length), u16(centralExtra.length), u16(0), u16(0), u16(0), u32(0),
+      u32(entry.zip64 ? MAX32 : headerOffset),
+      name, centralExtra,
+    ]));
+  }
+
+  const cdOffset = offset;
+  const cd = Buffer.concat(central);
+  push(cd);
+
+  if (zip64) {
+    const recordOffset = offset;
+    push(Buffer.concat([
+      u32(0x06064b50), u64(44), u16(45), u16(45), u32(0), u32(0),
+      u64(entries.length), u64(entries.length), u64(cd.length), u64(cdOffset),
+    ]));
+    push(Buffer.concat([u32(0x07064b50), u32(0), u64(recordOffset), u32(1)]));
+  }
+
+  const text = Buffer.from(comment, 'utf8');
+  push(Buffer.concat([
+    u32(0x06054b50), u16(0), u16(0),
+    u16(zip64 ? 0xFFFF : entries.length), u16(zip64 ? 0xFFFF : entries.length),
+    u32(zip64 ? MAX32 : cd.length), u32(zip64 ? MAX32 : cdOffset),
+    u16(text.length), text,
+  ]));
+
+  return Buffer.concat(parts);
+}
+
+module.exports = { buildZip };
@@ -0,0 +1,97 @@
+/**
+ * Reads back the Parquet files lib/parquet.js writes, independently of the
+ * writer: a Thrift compact protocol decoder for the footer and page headers,
+ * and decoders for the definition levels and PLAIN values of each page.
+ *
+ * Thrift structs decode to objects keyed by field id, e.g. footer[3] is
+ * FileMetaData.num_rows.
+ */
+
+const zlib = require('zlib');
+
+function createDecoder(buf, pos = 0) {
+  function varint() {
+    let result = 0n;
+    let shift = 0n;
+    let byte;
+    do {
+      byte = buf[pos++];
+      result |= BigInt(byte & 0x7f) << shift;
+      shift += 7n;
+    } while (byte & 0x80);
+    return result;
+  }
+
+  const unzigzag = (n) => Number((n >> 1n) ^ -(n & 1n));
+
+  function value(type) {
+    switch (type) {
+      case 1: return true;
+      case 2: return false;
+      case 5:
+      case 6: return unzigzag(varint());
+      case 8: {
+        const length = Number(varint());
+        pos += length;
+        return buf.toString('utf8', pos - length, pos);
+      }
+      case 9: {
+        const header = buf[pos++];
+        const size = header >> 4 === 15 ? Number(varint()) : header >> 4;
+        return Array.from({ length: size }, () => value(header & 0x0f));
+      }
+      case 12: return struct();
+      default: throw new Error(`unexpected Thrift type ${type}`);
+    }
+  }
+
+  function struct() {
+    const fields = {};
+    let id = 0;
+    while (true) {
+      const header = buf[pos++];
+      if (header === 0) return fields;
+      id = header >> 4 ? id + (header >> 4) : unzigzag(varint());
+      fields[id] = value(header & 0x0f);
+    }
+  }
+
+  return { struct, get pos() { return pos; } };
+}
+
+// { magic, footerLength, footer } of a whole file
+function readFooter(buf) {
+  const footerLength = buf.readUInt32LE(buf.length - 8);
+  const start = buf.length - 8 - footerLength;
+  return {
+    magic: [buf.toString('latin1', 0, 4), buf.toString('latin1', buf.length - 4)],
+    footerLength,
+    footer: createDecoder(buf, start).struct(),
+  };
+}
+
+// Values of one column chunk (a single data page), nulls included
+function readColumn(buf, chunk, type) {
+  const decoder = createDecoder(buf, chunk[3][9]);
+  const header = decoder.struct();
+  const page = zlib.gunzipSync(buf.subarray(decoder.pos, decoder.pos + header[3]));
+  const count = header[5][1];
+
+  // One bit-packed run of definition levels
+  const levelsLength = page.readUInt32LE(0);
+  const defined = Array.from({ length: count }, (_, i) => (page[5 + (i >> 3)] >> (i & 7)) & 1);
+  let pos = 4 + levelsLength;
+
+  let bit = 0;
+  return defined.map((present) => {
+    if (!present) return null;
+    if (type === 0) return Boolean((page[pos + (bit >> 3)] >> (bit++ & 7)) & 1);
+    if (type === 2) return Number(page.readBigInt64LE((pos += 8) - 8));
+    if (type === 5) return page.readDoubleLE((pos += 8) - 8);
+    const length = page.readUInt32LE(pos);
+    pos += 4 + length;
+    return page.toString('utf8', pos - length, pos);
+  });
+}
+
+module.exports = { readFooter, readColumn };
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJournal, readOutstanding, selectRetries, appendRun, readRuns } = require('../lib/journal');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('recordFile: counts failed attempts until the file succeeds', (t) => {
+  const dir = tempDir(t);
+  const journal = createJournal(dir);
+  const attempts = () => JSON.parse(fs.readFileSync(path.join(dir, 'journal/2025/2025-01.json'), 'utf-8')).files['a.pdf'].attempts;
+
+  journal.recordFile('2025-01', 'a.pdf', { status: 'downloaded', size: 10 });
+  journal.flush();
+  assert.equal(attempts(), 0);
+
+  journal.recordFile('2025-01', 'a.pdf', { status: 'failed', error: 'HTTP 500' });
+  journal.recordFile('2025-01', 'a.pdf', { status: 'skipped' });
+  journal.recordFile('2025-01', 'a.pdf', { status: 'failed', error: 'HTTP 500' });
+  journal.flush();
+  assert.equal(attempts(), 2);
+
+  // A later run picks the count up from disk, and success resets it
+  const next = createJournal(dir);
+  next.recordFile('2025-01', 'a.pdf', { status: 'failed', error: 'HTTP 503' });
+  next.flush();
+  assert.equal(attempts(), 3);
+  next.recordFile('2025-01', 'a.pdf', { status: 'downloaded' });
+  next.flush();
+  assert.equal(attempts(), 0);
+});
+
+// A journal with a clean month, a month with failed and missing files and a
+// month that failed as a whole
+function sampleJournal(dir) {
+  const journal = createJournal(dir);
+  journal.recordFile('2024-12', 'ok.pdf', { status: 'downloaded' });
+  journal.setMissing('2024-12', []);
+
+  journal.recordFile('2025-01', 'a.pdf', { status: 'downloaded' });
+  journal.recordFile('2025-01', 'b.pdf', { status: 'failed', error: 'HTTP 500' });
+  journal.recordFile('2025-01', 'c.pdf', { status: 'failed', error: 'Invalid PDF: no pages' });
+  journal.setMissing('2025-01', ['b.pdf', 'd.pdf']);
+
+  journal.setMonthError('2025-02', 'No source available');
+  journal.recordFile('2025-02', 'e.pdf', { status: 'failed', error: 'HTTP 404' });
+  journal.flush();
+}
+
+test('readOutstanding: lists failed and missing files and failed months', (t) => {
+  const dir = tempDir(t);
+  sampleJournal(dir);
+
+  const outstanding = readOutstanding(dir);
+  assert.deepEqual(outstanding.map(o => o.month), ['2025-01', '2025-02']);
+
+  const [january, february] = outstanding;
+  assert.equal(january.error, null);
+  assert.deepEqual(january.failed.map(f => [f.name, f.error, f.attempts]), [
+    ['b.pdf', 'HTTP 500', 1],
+    ['c.pdf', 'Invalid PDF: no pages', 1],
+  ]);
+  // A failed file that is also missing is listed once
+  assert.deepEqual(january.missing, ['d.pdf']);
+  assert.equal(february.error, 'No source available');
+});
+
+test('selectRetries: picks files to re-attempt, whole failed months and month selectors', (t) => {
+  const dir = tempDir(t);
+  sampleJournal(dir);
+
+  const all = selectRetries(dir);
+  assert.deepEqual([...all.keys()], ['2025-01', '2025-02']);
+  assert.deepEqual([...all.get('2025-01')].sort(), ['b.pdf', 'c.pdf', 'd.pdf']);
+  assert.equal(all.get('2025-02'), null);
+
+  assert.deepEqual([...selectRetries(dir, { months: ['2025-02', '2024-12'] }).keys()], ['2025-02']);
+  assert.deepEqual([...selectRetries(dir, { from: '2025-02' }).keys()], ['2025-02']);
+  assert.deepEqual([...selectRetries(dir, { to: '2025-01' }).keys()], ['2025-01']);
+
+  // Once a retry succeeds, the file is no longer outstanding
+  const journal = createJournal(dir);
+  for (const name of ['b.pdf', 'c.pdf', 'd.pdf']) journal.recordFile('2025-01', name, { status: 'downloaded' });
+  journal.setMissing('2025-01', []);
+  journal.flush();
+  assert.deepEqual([...selectRetries(dir).keys()], ['2025-02']);
+});
+
+test('readRuns: returns the last runs and skips a line cut short', (t) => {
+  const dir = tempDir(t);
+  for (let i = 1; i <= 3; i++) appendRun(dir, { mode: 'sync', run: i });
+  fs.appendFileSync(path.join(dir, 'journal/runs.jsonl'), '{"mode":"sy');
+
+  assert.deepEqual(readRuns(dir, 2).map(r => r.run), [3]);
+  assert.deepEqual(readRuns(dir, 10).map(r => r.run), [1, 2, 3]);
+  assert.deepEqual(readRuns(path.join(dir, 'nowhere')), []);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createParquetWriter } = require('../lib/parquet');
+const { readFooter, readColumn } = require('./fixtures/read-parquet');
+
+const COLUMNS = [
+  { name: 'id', type: 'integer' },
+  { name: 'title', type: 'string' },
+  { name: 'score', type: 'double' },
+  { name: 'has_text', type: 'boolean' },
+];
+
+function writeFile(t, columns, rows) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'parquet-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'meta.parquet');
+
+  const writer = createParquetWriter(file, columns);
+  rows.forEach(row => writer.write(row));
+  writer.close();
+  return fs.readFileSync(file);
+}
+
+test('createParquetWriter: footer round-trip', (t) => {
+  const rows = Array.from({ length: 20 }, (_, i) => [i - 10, `ประกาศ ${i}`, i / 3, i % 3 === 0]);
+  const buf = writeFile(t, COLUMNS, rows);
+
+  const { magic, footerLength, footer } = readFooter(buf);
+  assert.deepEqual(magic, ['PAR1', 'PAR1']);
+  assert.ok(footerLength > 0 && footerLength < buf.length - 12);
+
+  assert.equal(footer[1], 1); // version
+  assert.equal(footer[3], 20); // num_rows
+  assert.equal(footer[6], 'open-law-thailand-sync'); // created_by
+
+  // Root element, then one OPTIONAL element per column (UTF8 for strings)
+  const [root, ...schema] = footer[2];
+  assert.deepEqual(root, { 3: 0, 4: 'schema', 5: 4 });
+  assert.deepEqual(schema.map(e => [e[4], e[1], e[3], e[6]]), [
+    ['id', 2, 1, undefined],
+    ['title', 6, 1, 0],
+    ['score', 5, 1, undefined],
+    ['has_text', 0, 1, undefined],
+  ]);
+
+  const [group] = footer[4];
+  assert.equal(footer[4].length, 1);
+  assert.equal(group[3], 20);
+  assert.deepEqual(group[1].map(chunk => [chunk[3][3][0], chunk[3][4], chunk[3][5]]), [
+    ['id', 2, 20], ['title', 2, 20], ['score', 2, 20], ['has_text', 2, 20],
+  ]);
+});
+
+test('createParquetWriter: column pages decode back to the rows, nulls included', (t) => {
+  const rows = [
+    [1, 'พระราชบัญญัติ', 1.5, true],
+    [null, null, null, null],
+    [2 ** 40, '', -0.25, false],
+    [-3, 'a "quoted" title', null, true],
+  ];
+  const buf = writeFile(t, COLUMNS, rows);
+  const { footer } = readFooter(buf);
+
+  const columns = footer[4][0][1].map((chunk, i) => readColumn(buf, chunk, footer[2][i + 1][1]));
+  const decoded = rows.map((_, r) => columns.map(values => values[r]));
+  assert.deepEqual(decoded, rows);
+});
+
+test('createParquetWriter: an empty file still has a readable footer', (t) => {
+  const { footer } = readFooter(writeFile(t, COLUMNS, []));
+  assert.equal(footer[3], 0);
+  assert.deepEqual(footer[4], []);
+});
+
+test('createParquetWriter: rejects unsupported column types', (t) => {
+  assert.throws(() => writeFile(t, [{ name: 'x', type: 'date' }], []), /Unsupported column type: date/);
+});
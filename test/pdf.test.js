@@ -0,0 +1,232 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { checkPdf, extractText, normalizeText } = require('../lib/pdf');
+const { buildPdf, pagesPdf, firstExtra, helloPdf, lzwEncode, toUnicodeCMap } = require('./fixtures/build-pdf');
+
+const HELVETICA = {
+  resources: `<< /Font << /F1 ${firstExtra(1)} 0 R >> >>`,
+  extra: ['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'],
+};
+
+const pageTexts = (buf) => extractText(buf).pages.map(p => p.text);
+
+// Thai text as TIS-620 bytes (U+0E01..U+0E5B -> 0xA1..0xFB)
+const tis620 = (text) => Buffer.from([...text].map(ch => ch.charCodeAt(0) - 0x0E00 + 0xA0));
+
+test('checkPdf: accepts a well-formed PDF', () => {
+  assert.deepEqual(checkPdf(helloPdf()), { pages: 1, repaired: false, problem: null });
+});
+
+test('checkPdf: rebuilds a startxref that points a few bytes off', () => {
+  for (const shift of [3, -7]) {
+    assert.deepEqual(checkPdf(helloPdf('Hello', { startxrefShift: shift })), { pages: 1, repaired: true, problem: null });
+  }
+});
+
+test('checkPdf: rebuilds the xref of a file with bytes before %PDF-', () => {
+  assert.deepEqual(checkPdf(helloPdf('Hello', { prefix: '\r\n' })), { pages: 1, repaired: true, problem: null });
+});
+
+test('checkPdf: reads xref streams with predictors and object streams', () => {
+  const buf = pagesPdf(['BT ET', 'BT ET'], { xref: 'stream', compressed: [2, 3] });
+  assert.deepEqual(checkPdf(buf), { pages: 2, repaired: false, problem: null });
+});
+
+test('checkPdf: passes encrypted PDFs once the trailer is read', () => {
+  const buf = buildPdf(['<< /Type /Catalog /Pages 2 0 R >>', '<< /Filter /Standard /V 1 >>'], { trailer: '/Encrypt 2 0 R' });
+  assert.deepEqual(checkPdf(buf), { pages: null, repaired: false, problem: null });
+});
+
+test('checkPdf: rejects empty files and error pages', () => {
+  assert.equal(checkPdf(Buffer.alloc(0)).problem, 'empty file');
+  assert.equal(checkPdf(Buffer.from('<!DOCTYPE html><html><body>Rate limited</body></html>')).problem,
+    'no %PDF- header (looks like an HTML page)');
+  assert.equal(checkPdf(Buffer.from('{"error":"Entry not found"}')).problem, 'no %PDF- header (looks like JSON)');
+});
+
+test('checkPdf: rejects truncated files', () => {
+  const buf = helloPdf();
+  assert.equal(checkPdf(buf.subarray(0, buf.length - 60)).problem, 'no %%EOF marker at the end (truncated?)');
+});
+
+test('checkPdf: rejects files without pages, even after repair', () => {
+  const empty = buildPdf(['<< /Type /Catalog /Pages 2 0 R >>', '<< /Type /Pages /Kids [] /Count 0 >>']);
+  assert.equal(checkPdf(empty).problem, 'no pages');
+
+  // The catalog points at a page tree that isn't in the file
+  const missing = buildPdf(['<< /Type /Catalog /Pages 7 0 R >>'], { startxrefShift: 5 });
+  assert.deepEqual(checkPdf(missing), { pages: null, repaired: true, problem: 'no pages' });
+});
+
+test('checkPdf: rejects a body with %%EOF but no objects', () => {
+  const problem = checkPdf(Buffer.from('%PDF-1.4\ngarbage\nstartxref\n9\n%%EOF\n')).problem;
+  assert.equal(problem, 'no cross-reference table, trailer or document catalog found');
+});
+
+test('extractText: reads text shown with Tj', () => {
+  assert.deepEqual(extractText(helloPdf('Hello World')), {
+    pages: [{ text: 'Hello World', chars: 10, scanned: false }],
+    repaired: false,
+  });
+});
+
+test('extractText: recovers from a broken xref like checkPdf', () => {
+  for (const options of [{ startxrefShift: 3 }, { prefix: '\r\n' }]) {
+    const { pages, repaired } = extractText(helloPdf('Repaired', options));
+    assert.equal(repaired, true);
+    assert.equal(pages[0].text, 'Repaired');
+  }
+});
+
+test('extractText: lays out lines top to bottom and spaces TJ gaps', () => {
+  const content = [
+    'BT /F1 12 Tf 72 700 Td (second line) Tj ET',
+    'BT /F1 12 Tf 72 720 Td [(first) -600 (line)] TJ ET',
+    'BT /F1 12 Tf 72 600 Td (after a gap) Tj ET',
+  ].join('\n');
+  assert.deepEqual(pageTexts(pagesPdf([content], HELVETICA)), ['first line\nsecond line\n\nafter a gap']);
+});
+
+test('extractText: decodes every supported stream filter', () => {
+  const content = 'BT /F1 12 Tf 72 720 Td (Filtered) Tj ET';
+  const ascii85 = (data) => {
+    let out = '';
+    for (let i = 0; i < data.length; i += 4) {
+      const chunk = Buffer.alloc(4);
+      data.copy(chunk, 0, i, i + 4);
+      let value = chunk.readUInt32BE(0);
+      const digits = [];
+      for (let d = 0; d < 5; d++) {
+        digits.unshift(String.fromCharCode((value % 85) + 33));
+        value = Math.floor(value / 85);
+      }
+      out += digits.slice(0, Math.min(5, data.length - i + 1)).join('');
+    }
+    return `${out}~>`;
+  };
+  const runLength = (data) => Buffer.concat([Buffer.from([data.length - 1]), data, Buffer.from([128])]);
+
+  const streams = [
+    { dict: '<< /Filter /FlateDecode >>', data: zlib.deflateSync(content) },
+    { dict: '<< /Filter /ASCIIHexDecode >>', data: `${Buffer.from(content).toString('hex')}>` },
+    { dict: '<< /Filter [/ASCII85Decode /FlateDecode] >>', data: ascii85(zlib.deflateSync(content)) },
+    { dict: '<< /Filter /RunLengthDecode >>', data: runLength(Buffer.from(content)) },
+    { dict: '<< /Filter /LZWDecode >>', data: lzwEncode(content) },
+  ];
+  for (const stream of streams) {
+    assert.deepEqual(pageTexts(pagesPdf([stream], HELVETICA)), ['Filtered'], stream.dict);
+  }
+});
+
+test('extractText: LZW streams long enough to widen the code length', () => {
+  const words = Array.from({ length: 400 }, (_, i) => `w${i.toString(36)}`).join(' ');
+  const content = `BT /F1 12 Tf 72 720 Td (${words}) Tj ET`;
+  const buf = pagesPdf([{ dict: '<< /Filter /LZWDecode >>', data: lzwEncode(content) }], HELVETICA);
+  assert.deepEqual(pageTexts(buf), [words]);
+});
+
+test('extractText: reads xref streams, object streams and incremental updates', () => {
+  const original = 'BT /F1 12 Tf 72 720 Td (Old text) Tj ET';
+  const updated = 'BT /F1 12 Tf 72 720 Td (New text) Tj ET';
+  for (const xref of ['table', 'stream']) {
+    const buf = pagesPdf([original], { ...HELVETICA, xref, update: { 4: { dict: '<< >>', data: updated } } });
+    assert.deepEqual(extractText(buf), { pages: [{ text: 'New text', chars: 7, scanned: false }], repaired: false }, xref);
+  }
+
+  const compressed = pagesPdf([original], { ...HELVETICA, xref: 'stream', compressed: [2, 3, 5] });
+  assert.deepEqual(pageTexts(compressed), ['Old text']);
+});
+
+test('extractText: maps 2-byte codes through a ToUnicode CMap', () => {
+  const fontNum = firstExtra(1);
+  const cmap = toUnicodeCMap({
+    chars: { 1: 'ร', 2: 'า', 3: 'ช' },
+    ranges: [[0x10, 0x12, 'ก']], // ก ข ฃ
+  });
+  const buf = pagesPdf(['BT /F1 12 Tf 72 720 Td <000100020003> Tj <00100011> Tj ET'], {
+    resources: `<< /Font << /F1 ${fontNum} 0 R >> >>`,
+    extra: [
+      `<< /Type /Font /Subtype /Type0 /BaseFont /THSarabunNew /Encoding /Identity-H /DescendantFonts [${fontNum + 1} 0 R] /ToUnicode ${fontNum + 2} 0 R >>`,
+      '<< /Type /Font /Subtype /CIDFontType2 /BaseFont /THSarabunNew /DW 500 >>',
+      { dict: '<< >>', data: cmap },
+    ],
+  });
+  assert.deepEqual(pageTexts(buf), ['ราชกข']);
+});
+
+test('extractText: decodes legacy TIS-620 Thai fonts without a ToUnicode map', () => {
+  const text = 'ราชกิจจานุเบกษา';
+  const content = Buffer.concat([Buffer.from('BT /F1 14 Tf 72 720 Td <'), Buffer.from(tis620(text).toString('hex')), Buffer.from('> Tj ET')]);
+  const buf = pagesPdf([{ dict: '<< >>', data: content }], {
+    resources: `<< /Font << /F1 ${firstExtra(1)} 0 R >> >>`,
+    extra: ['<< /Type /Font /Subtype /TrueType /BaseFont /AngsanaNew /Encoding /WinAnsiEncoding >>'],
+  });
+  assert.deepEqual(pageTexts(buf), [text]);
+});
+
+test('extractText: maps Differences glyph names, including Thai and uniXXXX names', () => {
+  const buf = pagesPdf(['BT /F1 12 Tf 72 720 Td <414243> Tj ET'], {
+    resources: `<< /Font << /F1 ${firstExtra(1)} 0 R >> >>`,
+    extra: ['<< /Type /Font /Subtype /Type1 /BaseFont /Custom /Encoding << /Differences [65 /kokaithai /uni0E32 /maiekthai] >> >>'],
+  });
+  assert.deepEqual(pageTexts(buf), ['กา่']);
+});
+
+test('extractText: maps Thai presentation forms back and recombines SARA AM', () => {
+  const fontNum = firstExtra(1);
+  const cmap = toUnicodeCMap({
+    chars: { 1: 'น', 2: '\u0E4D', 3: 'า', 4: '\uF70B', 5: 'ก', 6: '\uF70A' },
+  });
+  // น + NIKHAHIT + MAI THO (shifted form) + SARA AA, then ก + MAI EK (shifted form)
+  const buf = pagesPdf(['BT /F1 12 Tf 72 720 Td <0001000200040003> Tj ( ) Tj <00050006> Tj ET'], {
+    resources: `<< /Font << /F1 ${fontNum} 0 R /F2 ${fontNum + 3} 0 R >> >>`,
+    extra: [
+      `<< /Type /Font /Subtype /Type0 /BaseFont /Angsana /Encoding /Identity-H /DescendantFonts [${fontNum + 1} 0 R] /ToUnicode ${fontNum + 2} 0 R >>`,
+      '<< /Type /Font /Subtype /CIDFontType2 /BaseFont /Angsana >>',
+      { dict: '<< >>', data: cmap },
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    ],
+  });
+  assert.deepEqual(pageTexts(buf), ['น้ำ ก่']);
+});
+
+test('extractText: collects text from form XObjects', () => {
+  const formNum = firstExtra(1) + 1;
+  const buf = pagesPdf(['q 1 0 0 1 0 -100 cm /X1 Do Q BT /F1 12 Tf 72 720 Td (Page) Tj ET'], {
+    resources: `<< /Font << /F1 ${firstExtra(1)} 0 R >> /XObject << /X1 ${formNum} 0 R >> >>`,
+    extra: [
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+      { dict: '<< /Type /XObject /Subtype /Form /BBox [0 0 595 842] >>', data: 'BT /F1 12 Tf 72 720 Td (Form) Tj ET' },
+    ],
+  });
+  assert.deepEqual(pageTexts(buf), ['Page\n\nForm']);
+});
+
+test('extractText: flags pages with images and no text as scanned', () => {
+  const imageNum = firstExtra(2);
+  const buf = pagesPdf(['q 595 0 0 842 0 0 cm /Im1 Do Q', 'BT /F1 12 Tf 72 720 Td (Typed) Tj ET'], {
+    resources: `<< /Font << /F1 ${imageNum + 1} 0 R >> /XObject << /Im1 ${imageNum} 0 R >> >>`,
+    extra: [
+      { dict: '<< /Type /XObject /Subtype /Image /Width 1 /Height 1 /ColorSpace /DeviceGray /BitsPerComponent 8 >>', data: Buffer.from([0]) },
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    ],
+  });
+  assert.deepEqual(extractText(buf).pages, [
+    { text: '', chars: 0, scanned: true },
+    { text: 'Typed', chars: 5, scanned: false },
+  ]);
+});
+
+test('extractText: throws on files that are not PDFs', () => {
+  assert.throws(() => extractText(Buffer.from('<html></html>')), /not a PDF/);
+});
+
+test('normalizeText: Thai presentation forms, SARA AM and spacing', () => {
+  assert.equal(normalizeText('ก\uF705'), 'ก\u0E48');
+  assert.equal(normalizeText('น\u0E4D\u0E32'), 'น\u0E33');
+  assert.equal(normalizeText('น\u0E4D\u0E49\u0E32'), 'น\u0E49\u0E33');
+  assert.equal(normalizeText('น\u0E33\u0E49'), 'น\u0E49\u0E33');
+  assert.equal(normalizeText('ก \u0E34'), 'ก\u0E34');
+  assert.equal(normalizeText('line  \nnext'), 'line\nnext');
+});
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { freeSpace, createPlanner } = require('../lib/plan');
+const { buildZip } = require('./fixtures/build-zip');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const records = (...names) => names.map(pdf_file => ({ pdf_file }));
+
+// Upstream months for a planner: { month: { source, meta, index, zip } } where
+// `index` maps PDF names to sizes and `zip` is an archive Buffer
+function setup(dir, months, { stored = {}, local = true, free = 10 ** 12, ranges = true, filter = null, config = {} } = {}) {
+  const events = [];
+  const planner = createPlanner({ outputDir: dir, parallelMonths: 2, zipConcurrency: 1, ...config }, {
+    readMeta: async (month) => months[month].meta ?? null,
+    locate: async (month) => months[month].source,
+    remoteIndex: async (pdfRel) => new Map(Object.entries(months[path.basename(pdfRel)].index || {}).map(([name, size]) => [name, { size }])),
+    findZip: async (month) => (months[month].zip ? { remotePath: `zip/${month}.zip`, size: months[month].zip.length } : null),
+    readRange: async (remotePath, start, end) => {
+      if (!ranges) throw new Error('Range requests not supported');
+      return months[path.basename(remotePath, '.zip')].zip.subarray(start, end + 1);
+    },
+    selectedFiles: (meta) => meta.filter(m => m.pdf_file && (!filter || filter(m))).map(m => m.pdf_file),
+    storage: {
+      local,
+      list: async (pdfRel) => (stored[path.basename(pdfRel)] ? new Map(Object.entries(stored[path.basename(pdfRel)]).map(([name, size]) => [name, { size }])) : null),
+    },
+    freeSpace: () => free,
+    inMonth: (month, fn) => fn(),
+    log: () => {},
+    emit: (event, payload) => events.push([event, payload]),
+  });
+  return { planner, events };
+}
+
+test('planMonth: pdf/ months count present files and what is left to fetch', async (t) => {
+  const { planner } = setup(tempDir(t), {
+    '2025-01': { source: 'pdf', meta: records('a.pdf', 'b.pdf', 'c.pdf', 'new.pdf'), index: { 'a.pdf': 100, 'b.pdf': 200, 'c.pdf': 300 } },
+  }, { stored: { '2025-01': { 'a.pdf': 100, 'b.pdf': 150 } } });
+
+  const entry = await planner.planMonth('2025-01');
+
+  // b.pdf has the wrong size; new.pdf is not listed upstream yet
+  assert.deepEqual(entry, {
+    month: '2025-01', source: 'pdf', files: 4, present: 1, toFetch: 3,
+    bytesToFetch: 500, bytesPresent: 100, diskBytes: 500, tempBytes: 0, estimated: true,
+  });
+});
+
+test('planMonth: only the files the filter selects are planned, and every file without meta', async (t) => {
+  const months = {
+    '2025-01': { source: 'pdf', meta: records('a.pdf', 'b.pdf'), index: { 'a.pdf': 100, 'b.pdf': 200 } },
+    '2025-02': { source: 'pdf', index: { 'x.pdf': 10, 'y.pdf': 20 } },
+  };
+  const { planner } = setup(tempDir(t), months, { filter: (m) => m.pdf_file === 'b.pdf' });
+
+  assert.deepEqual(await planner.planMonth('2025-01').then(m => [m.files, m.bytesToFetch]), [1, 200]);
+  assert.deepEqual(await planner.planMonth('2025-02').then(m => [m.files, m.bytesToFetch, m.estimated]), [2, 30, false]);
+});
+
+test('planMonth: ZIP months take entry sizes from the central directory', async (t) => {
+  const dir = tempDir(t);
+  const zip = buildZip([
+    { name: '2025-01/a.pdf', data: 'a'.repeat(1000), deflate: true },
+    { name: '2025-01/b.pdf', data: 'b'.repeat(3000), deflate: true },
+    { name: '2025-01/readme.txt', data: 'not a gazette' },
+  ]);
+  const { planner } = setup(dir, { '2025-01': { source: 'zip', meta: records('a.pdf', 'b.pdf'), zip } },
+    { stored: { '2025-01': { 'a.pdf': 1000 } } });
+
+  // Half the archive was left by an earlier run
+  fs.mkdirSync(path.join(dir, 'zip/2025'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'zip/2025/2025-01.zip.part'), Buffer.alloc(100));
+
+  const entry = await planner.planMonth('2025-01');
+  assert.deepEqual(entry, {
+    month: '2025-01', source: 'zip', files: 2, present: 1, toFetch: 1,
+    bytesToFetch: zip.length - 100, bytesPresent: 1000, diskBytes: 3000, tempBytes: zip.length - 100, estimated: false,
+  });
+});
+
+test('planMonth: without Range requests, ZIP months share the archive size between PDFs', async (t) => {
+  const zip = buildZip([{ name: '2025-01/a.pdf', data: 'a'.repeat(1000) }, { name: '2025-01/b.pdf', data: 'b'.repeat(1000) }]);
+  const months = { '2025-01': { source: 'pdf', meta: records('a.pdf', 'b.pdf'), zip } };
+  const { planner } = setup(tempDir(t), months, { ranges: false });
+
+  const entry = await planner.planMonth('2025-01', { zip: true });
+  assert.equal(entry.source, 'zip');
+  assert.equal(entry.estimated, true);
+  assert.equal(entry.diskBytes, 2 * Math.round(zip.length / 2));
+  assert.equal(entry.tempBytes, zip.length);
+});
+
+test('planMonth: storage away from the output dir adds nothing to the disk', async (t) => {
+  const { planner } = setup(tempDir(t), { '2025-01': { source: 'pdf', meta: records('a.pdf'), index: { 'a.pdf': 100 } } }, { local: false });
+  const entry = await planner.planMonth('2025-01');
+  assert.deepEqual([entry.bytesToFetch, entry.diskBytes], [100, 0]);
+});
+
+// Months of `size` bytes each from pdf/, or from a ZIP archive of that size
+function sized(sizes, source = 'pdf') {
+  return Object.fromEntries(Object.entries(sizes).map(([month, size]) => [month, source === 'pdf'
+    ? { source, meta: records('a.pdf'), index: { 'a.pdf': size } }
+    : { source, meta: records('a.pdf'), zip: buildZip([{ name: `${month}/a.pdf`, data: Buffer.alloc(size) }]) }]));
+}
+
+test('plan: totals the months and checks the peak against free space', async (t) => {
+  const dir = tempDir(t);
+  const { planner, events } = setup(dir, sized({ '2025-01': 100, '2025-02': 200 }), { free: 250 });
+
+  const plan = await planner.plan(['2025-01', '2025-02']);
+
+  assert.deepEqual([plan.files, plan.toFetch, plan.bytesToFetch, plan.peakBytes, plan.fits], [2, 2, 300, 300, false]);
+  assert.equal(plan.problem, `Not enough disk space in ${dir}: the sync needs up to 300 B, 250 B free (free up space, narrow the selection or cap it with --max-size)`);
+  assert.deepEqual(events.map(([event]) => event), ['plan']);
+});
+
+test('plan: the peak holds only the largest archives that can be open at once', async (t) => {
+  const months = sized({ '2025-01': 1000, '2025-02': 3000, '2025-03': 2000 }, 'zip');
+  const { planner } = setup(tempDir(t), months, { config: { zipConcurrency: 2 } });
+
+  const plan = await planner.plan(Object.keys(months));
+
+  const [a, b, c] = plan.months;
+  assert.equal(plan.peakBytes, a.diskBytes + b.diskBytes + c.diskBytes + b.tempBytes + c.tempBytes);
+  assert.equal(plan.problem, null);
+});
+
+test('plan: maxSize defers the months past the first one over the cap', async (t) => {
+  const { planner } = setup(tempDir(t), sized({ '2025-01': 100, '2025-02': 200, '2025-03': 10 }));
+
+  const plan = await planner.plan(['2025-01', '2025-02', '2025-03'], { maxSize: 250 });
+
+  // 2025-03 would fit, but months are synced in order
+  assert.deepEqual(plan.months.map(m => m.deferred), [false, true, true]);
+  assert.deepEqual(plan.deferred, ['2025-02', '2025-03']);
+  assert.deepEqual([plan.toFetch, plan.peakBytes, plan.problem], [1, 100, null]);
+});
+
+test('plan: a cap smaller than the first month leaves nothing to sync', async (t) => {
+  const { planner } = setup(tempDir(t), sized({ '2025-01': 2048 }));
+
+  const plan = await planner.plan(['2025-01'], { maxSize: 1024 });
+
+  assert.equal(plan.fits, false);
+  assert.equal(plan.problem, '2025-01 alone needs up to 2 KB of disk, more than the size cap (1 KB)');
+});
+
+test('plan: fits when the free space is unknown', async (t) => {
+  const { planner } = setup(tempDir(t), sized({ '2025-01': 100 }), { free: null });
+  const plan = await planner.plan(['2025-01']);
+  assert.deepEqual([plan.freeBytes, plan.fits, plan.problem], [null, true, null]);
+});
+
+test('print: lists the months and the totals, marking estimates and deferrals', async (t) => {
+  const lines = [];
+  const { planner } = setup(tempDir(t), sized({ '2025-01': 1024, '2025-02': 4096 }), { free: 1024 ** 2 });
+  const plan = await planner.plan(['2025-01', '2025-02'], { maxSize: 2048 });
+  plan.estimated = true;
+
+  createPlanner({ outputDir: '.', parallelMonths: 1, zipConcurrency: 1 }, { log: (line) => lines.push(line) })
+    .print(plan, { detailed: true });
+
+  assert.deepEqual(lines, [
+    '\n📋 Plan by month:',
+    '  2025-01 (pdf/): 1 files, 0 present, 1 to fetch (1 KB)',
+    '  2025-02 (pdf/): 1 files, 0 present, 1 to fetch (4 KB) - deferred by --max-size',
+    '\n🧮 Plan: 1 of 1 files to fetch (~1 KB), 0 present (0 B)',
+    '  Peak disk usage: ~1 KB, 1 MB free',
+    '  Size cap: 2 KB, 1 months deferred (2025-02 onwards)',
+    '  ~ Estimated: some sizes are not listed upstream',
+  ]);
+});
+
+test('freeSpace: measures the nearest existing parent of a missing directory', (t) => {
+  const dir = tempDir(t);
+  const free = freeSpace(path.join(dir, 'not/yet/created'));
+  assert.ok(free === null || free > 0);
+  assert.equal(free, freeSpace(dir));
+});
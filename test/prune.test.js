@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findExtraFiles, createPruner } = require('../lib/prune');
+const { createStorage } = require('../lib/storage');
+const { createJournal, readRuns } = require('../lib/journal');
+
+const sha256 = (file) => crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+
+const MONTH = '2025-01';
+const PDF_DIR = 'pdf/2025/2025-01';
+const TEXT_DIR = 'text/2025/2025-01';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prune-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function write(dir, relPath, content) {
+  fs.mkdirSync(path.dirname(path.join(dir, relPath)), { recursive: true });
+  fs.writeFileSync(path.join(dir, relPath), content);
+}
+
+// Every file under `dir` with its size and mtime
+function snapshot(dir) {
+  return fs.readdirSync(dir, { recursive: true }).sort()
+    .map(name => [name, fs.statSync(path.join(dir, name))])
+    .filter(([, stats]) => stats.isFile())
+    .map(([name, stats]) => `${name} ${stats.size} ${stats.mtimeMs}`);
+}
+
+// A month whose meta now lists a.pdf and b.pdf: old.pdf was withdrawn, and
+// gone.txt is the sidecar of a PDF that is no longer on disk
+function seedMonth(dir) {
+  write(dir, `${PDF_DIR}/a.pdf`, '%PDF a');
+  write(dir, `${PDF_DIR}/b.pdf`, '%PDF b');
+  write(dir, `${PDF_DIR}/old.pdf`, '%PDF old, withdrawn');
+  write(dir, `${PDF_DIR}/c.pdf.part`, '%PDF partial');
+  write(dir, `${TEXT_DIR}/a.txt`, 'text a');
+  write(dir, `${TEXT_DIR}/old.txt`, 'text old');
+  write(dir, `${TEXT_DIR}/gone.txt`, 'text gone');
+  write(dir, `${TEXT_DIR}/index.json`, JSON.stringify({ files: { 'a.pdf': {}, 'old.pdf': {}, 'gone.pdf': {} } }));
+}
+
+const RECORDS = { [MONTH]: [{ pdf_file: 'a.pdf' }, { pdf_file: 'b.pdf' }] };
+
+// A pruner over `dir` whose io records what the prune asked for
+function setup(dir, { dedupe = false, storage = null, records = RECORDS } = {}) {
+  const calls = { readMeta: [], refreshCatalog: [], saveHashCache: 0, events: [] };
+  const cache = { [`${PDF_DIR}/old.pdf`]: { sha256: 'x' }, [`${PDF_DIR}/a.pdf`]: { sha256: 'y' } };
+  const journal = createJournal(dir);
+  const pruner = createPruner(dir, {
+    storage: storage || createStorage({ storage: 'local', outputDir: dir, dedupe }, { hash: async file => sha256(file), log: () => {} }),
+    source: { description: 'test source' },
+    revision: { revision: 'main', sha: 'abc' },
+    journal,
+    hashCache: () => cache,
+    saveHashCache: () => { calls.saveHashCache++; },
+    readMeta: async (month, { dryRun }) => {
+      calls.readMeta.push([month, dryRun]);
+      return records[month] ?? null;
+    },
+    refreshCatalog: (months) => calls.refreshCatalog.push(months),
+    log: () => {},
+    emit: (event, payload) => calls.events.push([event, payload.month]),
+  });
+  return { pruner, calls, cache, journal };
+}
+
+test('findExtraFiles: unlisted PDFs and orphaned text sidecars, never .part files', (t) => {
+  const dir = tempDir(t);
+  seedMonth(dir);
+
+  assert.deepEqual([...findExtraFiles(dir, MONTH, ['a.pdf', 'b.pdf'])], [
+    ['old.pdf', [`${PDF_DIR}/old.pdf`, `${TEXT_DIR}/old.txt`]],
+    ['gone.pdf', [`${TEXT_DIR}/gone.txt`]],
+  ]);
+  assert.deepEqual([...findExtraFiles(dir, '2025-02', ['a.pdf'])], []);
+});
+
+test('prune: deletes extra files and forgets them everywhere', async (t) => {
+  const dir = tempDir(t);
+  seedMonth(dir);
+  const { pruner, calls, cache, journal } = setup(dir);
+  journal.recordFile(MONTH, 'old.pdf', { status: 'downloaded' });
+  journal.recordFile(MONTH, 'a.pdf', { status: 'downloaded' });
+  journal.flush();
+
+  const [entry] = await pruner.prune([MONTH]);
+
+  assert.deepEqual(entry.files.map(f => [f.file, f.paths.length]), [['old.pdf', 2], ['gone.pdf', 1]]);
+  assert.equal(entry.bytes, '%PDF old, withdrawn'.length + 'text old'.length + 'text gone'.length);
+  assert.deepEqual(fs.readdirSync(path.join(dir, PDF_DIR)).sort(), ['a.pdf', 'b.pdf', 'c.pdf.part']);
+  assert.deepEqual(fs.readdirSync(path.join(dir, TEXT_DIR)).sort(), ['a.txt', 'index.json']);
+
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(path.join(dir, TEXT_DIR, 'index.json'))).files), ['a.pdf']);
+  assert.deepEqual(Object.keys(cache), [`${PDF_DIR}/a.pdf`]);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(path.join(dir, 'journal/2025/2025-01.json'))).files), ['a.pdf']);
+
+  assert.deepEqual(calls.readMeta, [[MONTH, false]]);
+  assert.deepEqual(calls.refreshCatalog, [[MONTH]]);
+  assert.equal(calls.saveHashCache, 1);
+  assert.deepEqual(calls.events, [['month-start', MONTH], ['month-done', MONTH]]);
+
+  const report = JSON.parse(fs.readFileSync(path.join(dir, 'prune-report.json')));
+  assert.equal(report.action, 'delete');
+  assert.equal(report.totalFiles, 2);
+  assert.deepEqual(report.revision, { revision: 'main', sha: 'abc' });
+  assert.deepEqual(readRuns(dir).map(r => r.mode), ['prune']);
+});
+
+test('prune: a dry run reports the same files and leaves the disk untouched', async (t) => {
+  const dir = tempDir(t);
+  seedMonth(dir);
+  const { pruner, calls, cache } = setup(dir);
+  const before = snapshot(dir);
+
+  const [entry] = await pruner.prune([MONTH], { quarantineDir: path.join(dir, 'quarantine'), dryRun: true });
+
+  assert.deepEqual(entry.files.map(f => f.file), ['old.pdf', 'gone.pdf']);
+  assert.deepEqual(snapshot(dir), before);
+  assert.equal(Object.keys(cache).length, 2);
+  assert.deepEqual(calls.readMeta, [[MONTH, true]]);
+  assert.deepEqual(calls.refreshCatalog, []);
+  assert.equal(calls.saveHashCache, 0);
+});
+
+test('prune: quarantine keeps paths and drops deduplicated objects with their last link', async (t) => {
+  const dir = tempDir(t);
+  const { pruner } = setup(dir, { dedupe: true });
+  const storage = createStorage({ storage: 'local', outputDir: dir, dedupe: true }, { hash: async file => sha256(file), log: () => {} });
+  for (const name of ['a.pdf', 'b.pdf', 'old.pdf']) {
+    write(dir, `${PDF_DIR}/${name}.part`, `%PDF ${name}`);
+    await storage.put(`${PDF_DIR}/${name}`, path.join(dir, `${PDF_DIR}/${name}.part`));
+  }
+  write(dir, `${TEXT_DIR}/old.txt`, 'text old');
+  const objects = () => fs.readdirSync(path.join(dir, 'objects'), { recursive: true }).filter(f => f.endsWith('.pdf')).length;
+  assert.equal(objects(), 3);
+
+  await pruner.prune([MONTH], { quarantineDir: path.join(dir, 'quarantine') });
+
+  const [stamp] = fs.readdirSync(path.join(dir, 'quarantine'));
+  const quarantined = path.join(dir, 'quarantine', stamp);
+  assert.equal(fs.readFileSync(path.join(quarantined, PDF_DIR, 'old.pdf'), 'utf-8'), '%PDF old.pdf');
+  assert.equal(fs.readFileSync(path.join(quarantined, TEXT_DIR, 'old.txt'), 'utf-8'), 'text old');
+  assert.deepEqual(fs.readdirSync(path.join(dir, PDF_DIR)).sort(), ['a.pdf', 'b.pdf']);
+  assert.equal(objects(), 2);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'prune-report.json'))).quarantineDir, quarantined);
+});
+
+test('prune: leaves months without meta, or whose meta lists no PDFs, alone', async (t) => {
+  const dir = tempDir(t);
+  seedMonth(dir);
+  const { pruner } = setup(dir, { records: { [MONTH]: [{ doctitle: 'no pdf_file' }] } });
+  const before = snapshot(dir);
+
+  const report = await pruner.prune([MONTH, '2025-02']);
+
+  assert.deepEqual(report.map(m => [m.month, m.skipped]), [[MONTH, 'meta file lists no PDFs'], ['2025-02', 'no meta file']]);
+  assert.deepEqual(snapshot(dir).filter(f => f.startsWith('pdf') || f.startsWith('text')), before);
+});
+
+test('prune: refuses storage that is not the output directory', async (t) => {
+  const dir = tempDir(t);
+  seedMonth(dir);
+  const { pruner, calls } = setup(dir, { storage: { local: false, description: 's3://bucket/gazette' } });
+  const before = snapshot(dir);
+
+  await assert.rejects(pruner.prune([MONTH]), { message: 'Pruning reads the PDFs from disk: it cannot prune s3://bucket/gazette' });
+  assert.deepEqual(calls.readMeta, []);
+  assert.deepEqual(snapshot(dir), before);
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createPool, createScheduler, parseRetryAfter } = require('../lib/scheduler');
+
+test('parseRetryAfter: reads delay-seconds', () => {
+  assert.equal(parseRetryAfter('120'), 120000);
+  assert.equal(parseRetryAfter(' 0 '), 0);
+});
+
+test('parseRetryAfter: reads an HTTP date relative to now', () => {
+  const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+  assert.equal(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now), 0);
+});
+
+test('parseRetryAfter: returns null for missing or unreadable values', () => {
+  for (const value of [undefined, null, '', 'soon', 'Wed, 99 Foo']) {
+    assert.equal(parseRetryAfter(value), null, String(value));
+  }
+});
+
+test('createScheduler: halves concurrency on each throttle, never below 1', () => {
+  const scheduler = createScheduler({ concurrency: 8 });
+  assert.equal(scheduler.concurrency, 8);
+  assert.deepEqual([0, 0, 0, 0].map(() => scheduler.throttled(0)), [4, 2, 1, 1]);
+  assert.equal(scheduler.concurrency, 1);
+});
+
+test('createScheduler: adds a slot back after a run of successes, up to the maximum', () => {
+  const scheduler = createScheduler({ concurrency: 4 });
+  scheduler.throttled(0);
+  scheduler.throttled(0);
+
+  // 10 successes per current slot earn one more slot
+  for (let i = 0; i < 9; i++) scheduler.succeeded();
+  assert.equal(scheduler.concurrency, 1);
+  scheduler.succeeded();
+  assert.equal(scheduler.concurrency, 2);
+
+  for (let i = 0; i < 19; i++) scheduler.succeeded();
+  assert.equal(scheduler.concurrency, 2);
+  scheduler.succeeded();
+  assert.equal(scheduler.concurrency, 3);
+
+  for (let i = 0; i < 100; i++) scheduler.succeeded();
+  assert.equal(scheduler.concurrency, 4);
+});
+
+test('createScheduler: a throttle resets the recovery count', () => {
+  const scheduler = createScheduler({ concurrency: 4 });
+  scheduler.throttled(0);
+  for (let i = 0; i < 19; i++) scheduler.succeeded();
+  scheduler.throttled(0);
+  scheduler.succeeded();
+  assert.equal(scheduler.concurrency, 1);
+});
+
+test('createScheduler: ready() waits out the longest pause', async () => {
+  const scheduler = createScheduler({ concurrency: 2 });
+  const start = Date.now();
+  scheduler.throttled(120);
+  scheduler.throttled(20);
+
+  await scheduler.ready();
+
+  assert.ok(Date.now() - start >= 110, `resumed after ${Date.now() - start} ms`);
+});
+
+test('createScheduler: limitBody spaces response bodies to the bandwidth cap', async () => {
+  const scheduler = createScheduler({ concurrency: 2, maxBandwidth: 10000 });
+  const response = (bytes) => new Response(new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes; i += 500) controller.enqueue(new Uint8Array(500));
+      controller.close();
+    },
+  }), { status: 200, headers: { 'content-type': 'application/pdf' } });
+
+  const start = Date.now();
+  const bodies = await Promise.all([1500, 1500].map(bytes => scheduler.limitBody(response(bytes)).arrayBuffer()));
+
+  // 3000 bytes at 10 kB/s: the last chunk may start after 250 ms
+  assert.deepEqual(bodies.map(body => body.byteLength), [1500, 1500]);
+  assert.ok(Date.now() - start >= 240, `read in ${Date.now() - start} ms`);
+});
+
+test('createScheduler: limitBody passes responses through without a cap', () => {
+  const response = new Response('body', { status: 206 });
+  assert.equal(createScheduler({ concurrency: 1 }).limitBody(response), response);
+});
+
+// A task that records when it starts and finishes, resolving once released
+function trackedTask(log, name) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const task = async () => {
+    log.push(`start ${name}`);
+    await done;
+    log.push(`end ${name}`);
+    return name;
+  };
+  return { task, release };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('createPool: runs at most limit() tasks at a time, in queue order', async () => {
+  const log = [];
+  const pool = createPool(() => 2);
+  const tasks = ['a', 'b', 'c'].map(name => trackedTask(log, name));
+  const results = tasks.map(({ task }) => pool.run(task));
+
+  await tick();
+  assert.deepEqual(log, ['start a', 'start b']);
+
+  tasks[1].release();
+  await tick();
+  assert.deepEqual(log, ['start a', 'start b', 'end b', 'start c']);
+
+  tasks[0].release();
+  tasks[2].release();
+  assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+});
+
+test('createPool: priority tasks jump the queue', async () => {
+  const log = [];
+  const pool = createPool(() => 1);
+  const first = trackedTask(log, 'first');
+  const running = pool.run(first.task);
+  const queued = ['later', 'meta'].map(name => trackedTask(log, name));
+  const results = [pool.run(queued[0].task), pool.run(queued[1].task, { priority: true })];
+
+  first.release();
+  queued.forEach(({ release }) => release());
+  await Promise.all([running, ...results]);
+
+  assert.deepEqual(log.filter(line => line.startsWith('start')), ['start first', 'start meta', 'start later']);
+});
+
+test('createPool: follows a limit that changes while tasks run', async () => {
+  let limit = 1;
+  const log = [];
+  const pool = createPool(() => limit);
+  const tasks = ['a', 'b', 'c'].map(name => trackedTask(log, name));
+  const results = tasks.map(({ task }) => pool.run(task));
+
+  await tick();
+  limit = 3;
+  tasks[0].release();
+  await tick();
+  assert.deepEqual(log, ['start a', 'end a', 'start b', 'start c']);
+
+  tasks.forEach(({ release }) => release());
+  await Promise.all(results);
+});
+
+test('createPool: rejects with the task error and keeps going', async () => {
+  const pool = createPool(() => 1);
+  const failing = pool.run(async () => { throw new Error('boom'); });
+  const next = pool.run(async () => 'next');
+
+  await assert.rejects(failing, /boom/);
+  assert.equal(await next, 'next');
+});
+
+test('createPool: tasks keep the async context they were queued from', async () => {
+  const context = new AsyncLocalStorage();
+  const pool = createPool(() => 1);
+  const blocker = trackedTask([], 'blocker');
+  const blocked = context.run('outer', () => pool.run(blocker.task));
+
+  // Queued behind the blocker, so it starts from the blocker's completion
+  const seen = context.run('month', () => pool.run(async () => context.getStore()));
+  blocker.release();
+
+  assert.equal(await seen, 'month');
+  await blocked;
+});
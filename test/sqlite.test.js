@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createSqliteWriter } = require('../lib/sqlite');
+
+// Checks against the real engine need the sqlite3 shell
+let hasSqlite3 = true;
+try {
+  execFileSync('sqlite3', ['-version'], { stdio: 'ignore' });
+} catch {
+  hasSqlite3 = false;
+}
+
+const COLUMNS = [
+  { name: 'id', type: 'integer' },
+  { name: 'title', type: 'string' },
+  { name: 'score', type: 'double' },
+  { name: 'has "text"', type: 'boolean' },
+];
+
+function tempDb(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'meta.sqlite');
+}
+
+// Row `i`: integers of every width, Thai text, nulls, and every 500th title
+// too large for its page so it spills into overflow pages
+function row(i) {
+  const title = i % 500 === 0 ? `ประกาศ ${i} `.repeat(1500) : `ประกาศ ${i}`;
+  return [i * 1000003 - 5000000, title, i % 7 === 0 ? null : i / 4, i % 2 === 0];
+}
+
+function writeDb(filePath, rows, options) {
+  const writer = createSqliteWriter(filePath, COLUMNS, options);
+  for (let i = 0; i < rows; i++) writer.write(row(i));
+  writer.close();
+}
+
+const sqlite3 = (filePath, sql) => execFileSync('sqlite3', [filePath, sql], { encoding: 'utf8' }).trim();
+
+test('createSqliteWriter: writes a header whose page count matches the file', (t) => {
+  const file = tempDb(t);
+  writeDb(file, 3000);
+
+  const buf = fs.readFileSync(file);
+  assert.equal(buf.toString('latin1', 0, 16), 'SQLite format 3\0');
+  assert.equal(buf.readUInt16BE(16), 4096);
+  assert.equal(buf.readUInt32BE(28) * 4096, buf.length);
+  assert.ok(buf.length / 4096 > 1, 'expected more than one page');
+});
+
+test('createSqliteWriter: sqlite3 accepts a database spanning many pages', { skip: !hasSqlite3 }, (t) => {
+  const file = tempDb(t);
+  const rows = 40000; // More leaves than one interior page holds: two interior levels
+  writeDb(file, rows);
+
+  assert.equal(sqlite3(file, 'PRAGMA integrity_check'), 'ok');
+  assert.equal(sqlite3(file, 'SELECT count(*) FROM records'), String(rows));
+  assert.equal(sqlite3(file, 'SELECT max(rowid) FROM records'), String(rows));
+
+  for (const i of [0, 1, 499, 500, 12345, rows - 1]) {
+    const [id, title, score, flag] = row(i);
+    const got = sqlite3(file, `SELECT id, length(title), score IS NULL, "has ""text""" FROM records WHERE rowid = ${i + 1}`);
+    assert.equal(got, [id, [...title].length, score === null ? 1 : 0, flag ? 1 : 0].join('|'), `row ${i}`);
+  }
+  assert.equal(sqlite3(file, 'SELECT title FROM records WHERE rowid = 2'), 'ประกาศ 1');
+});
+
+test('createSqliteWriter: declares the table and column types', { skip: !hasSqlite3 }, (t) => {
+  const file = tempDb(t);
+  writeDb(file, 0, { table: 'meta' });
+
+  assert.equal(sqlite3(file, 'PRAGMA integrity_check'), 'ok');
+  assert.equal(sqlite3(file, 'SELECT sql FROM sqlite_master'),
+    'CREATE TABLE "meta" ("id" INTEGER, "title" TEXT, "score" REAL, "has ""text""" INTEGER)');
+  assert.equal(sqlite3(file, 'SELECT count(*) FROM meta'), '0');
+});
+
+test('createSqliteWriter: rejects unsupported column types', (t) => {
+  assert.throws(() => createSqliteWriter(tempDb(t), [{ name: 'x', type: 'date' }]), /Unsupported column type: date/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+const sha256 = (file) => crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A deduplicated local storage in `dir`, and a helper to store `content` at a path
+function dedupedStorage(dir) {
+  const storage = createStorage({ storage: 'local', outputDir: dir, dedupe: true }, { hash: async file => sha256(file), log: () => {} });
+  const put = async (relPath, content) => {
+    const file = path.join(dir, `${relPath}.part`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return storage.put(relPath, file);
+  };
+  return { storage, put };
+}
+
+const objectsIn = (dir) => fs.existsSync(path.join(dir, 'objects'))
+  ? fs.readdirSync(path.join(dir, 'objects'), { recursive: true }).filter(f => f.endsWith('.pdf'))
+  : [];
+
+test('local storage: dedupe stores equal files once and lists the tree', async (t) => {
+  const dir = tempDir(t);
+  const { storage, put } = dedupedStorage(dir);
+
+  assert.deepEqual(await put('pdf/2025/2025-01/a.pdf', 'same'), { deduplicated: false });
+  assert.deepEqual(await put('pdf/2025/2025-02/b.pdf', 'same'), { deduplicated: true });
+  await put('pdf/2025/2025-01/c.pdf', 'other');
+
+  assert.equal(objectsIn(dir).length, 2);
+  assert.deepEqual(storage.stats, { stored: 3, deduplicated: 1, savedBytes: 4 });
+  assert.deepEqual([...(await storage.list('pdf/2025/2025-01'))], [['a.pdf', { size: 4 }], ['c.pdf', { size: 5 }]]);
+  assert.equal(await storage.list('pdf/2025/2025-03'), null);
+});
+
+test('local storage: quarantine moves the file out and drops the object with its last link', async (t) => {
+  const dir = tempDir(t);
+  const { storage, put } = dedupedStorage(dir);
+  await put('pdf/2025/2025-01/a.pdf', 'same');
+  await put('pdf/2025/2025-02/b.pdf', 'same');
+
+  const target = path.join(dir, 'quarantine/pdf/2025/2025-01/a.pdf');
+  await storage.quarantine('pdf/2025/2025-01/a.pdf', target);
+  assert.equal(fs.readFileSync(target, 'utf-8'), 'same');
+  assert.equal(await storage.stat('pdf/2025/2025-01/a.pdf'), null);
+  // Still linked from 2025-02
+  assert.equal(objectsIn(dir).length, 1);
+
+  await storage.quarantine('pdf/2025/2025-02/b.pdf', path.join(dir, 'quarantine/pdf/2025/2025-02/b.pdf'));
+  assert.deepEqual(objectsIn(dir), []);
+  assert.equal(fs.readFileSync(path.join(dir, 'quarantine/pdf/2025/2025-02/b.pdf'), 'utf-8'), 'same');
+});
+
+test('local storage: remove deletes the file and its last object', async (t) => {
+  const dir = tempDir(t);
+  const { storage, put } = dedupedStorage(dir);
+  await put('pdf/2025/2025-01/a.pdf', 'same');
+
+  await storage.remove('pdf/2025/2025-01/a.pdf');
+  assert.equal(await storage.stat('pdf/2025/2025-01/a.pdf'), null);
+  assert.deepEqual(objectsIn(dir), []);
+  // Removing what is gone is a no-op
+  await storage.remove('pdf/2025/2025-01/a.pdf');
+});
@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWatcher, runWatch, loadWatchState, MAX_WATCH_BACKOFF } = require('../lib/watch');
+const { readRuns } = require('../lib/journal');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const metaPathOf = (dir, month) => path.join(dir, 'meta', month.slice(0, 4), `${month}.jsonl`);
+const toJsonl = (records) => records.map(r => JSON.stringify(r)).join('\n') + '\n';
+const gazette = (name, extra = {}) => ({ pdf_file: `${name}.pdf`, doctitle: name, ...extra });
+
+// Upstream as the watcher sees it: `upstream.meta` maps months to their
+// records, `upstream.inventory` lists the months. Downloads land in `stored`.
+function setup(dir, { hotMonths = 2, filter = null } = {}) {
+  const upstream = {
+    years: ['2025', '2026'],
+    inventory: [{ month: '2025-12', pdf: true }, { month: '2026-01', pdf: true }],
+    meta: { '2025-12': [gazette('a')], '2026-01': [gazette('b')] },
+  };
+  const stored = new Map();
+  const calls = { synced: [], discovered: [], events: [], refreshed: [] };
+
+  const watcher = createWatcher({ outputDir: dir, hotMonths }, {
+    listYears: async () => upstream.years,
+    discoverMonths: async (years) => {
+      calls.discovered.push(years);
+      return upstream.inventory.filter(m => years.includes(m.month.slice(0, 4)));
+    },
+    downloadMeta: async (month) => {
+      if (!upstream.meta[month]) return null;
+      fs.mkdirSync(path.dirname(metaPathOf(dir, month)), { recursive: true });
+      fs.writeFileSync(metaPathOf(dir, month), toJsonl(upstream.meta[month]));
+      return metaPathOf(dir, month);
+    },
+    parseMetaFile: (file) => fs.readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line)),
+    selectedFiles: (records) => records.filter(r => r.pdf_file && (!filter || filter.test(r))).map(r => r.pdf_file),
+    filter,
+    syncMonth: async (month, metaPath) => {
+      calls.synced.push(month);
+      const names = fs.readFileSync(metaPath, 'utf-8').trim().split('\n').map(line => JSON.parse(line).pdf_file);
+      const have = stored.get(month) || new Map();
+      const missing = names.filter(name => !have.has(name));
+      for (const name of missing) have.set(name, { size: 10 });
+      stored.set(month, have);
+      return { source: 'pdf', downloaded: missing.length, skipped: 0, failed: 0 };
+    },
+    extractText: async () => {},
+    storage: {
+      list: async (relPath) => stored.get(path.basename(relPath)) || null,
+      location: (relPath) => path.join(dir, relPath),
+    },
+    source: { description: 'test source' },
+    revision: null,
+    journal: { flush: () => {} },
+    saveHashCache: () => {},
+    refreshCatalog: (months) => calls.refreshed.push(months),
+    log: () => {},
+    logError: () => {},
+    emit: (event, payload) => calls.events.push(payload.pdf_file),
+  });
+  return { watcher, upstream, stored, calls };
+}
+
+// Notifier recording announced files; `failing` lists actions that fail
+function notifier(failing = []) {
+  const sent = [];
+  return {
+    sent,
+    names: ['exec', 'webhook'],
+    notify: async (payload, { only }) => {
+      sent.push({ file: payload.pdf_file, only, detectedAt: payload.detectedAt, downloaded: payload.downloaded });
+      return (only || ['exec', 'webhook']).filter(a => failing.includes(a)).map(action => ({ action, error: 'boom' }));
+    },
+  };
+}
+
+test('createWatcher: hot months come from the latest upstream listing, not the clock', async (t) => {
+  const { watcher, upstream, calls } = setup(tempDir(t), { hotMonths: 3 });
+  upstream.years = ['2024', 'misc', '2026', '2025'];
+  upstream.inventory = [
+    { month: '2025-10', pdf: false }, { month: '2025-11', pdf: true }, { month: '2025-12', pdf: true },
+    { month: '2026-01', pdf: true }, { month: '2026-02', pdf: false },
+  ];
+
+  assert.deepEqual(await watcher.hotMonths(), ['2025-11', '2025-12', '2026-01']);
+  // Up to 12 hot months span at most the last two years
+  assert.deepEqual(calls.discovered, [['2025', '2026']]);
+});
+
+test('createWatcher: the baseline poll downloads without announcing, later polls announce', async (t) => {
+  const dir = tempDir(t);
+  const { watcher, upstream, stored, calls } = setup(dir);
+  const first = notifier();
+
+  const entries = await watcher.poll(first, { baseline: true, text: false });
+
+  assert.deepEqual(entries.map(e => [e.month, e.added, e.downloaded]), [['2025-12', 0, 1], ['2026-01', 0, 1]]);
+  assert.deepEqual(first.sent, []);
+  assert.deepEqual(loadWatchState(dir).months['2026-01'].seen, ['b.pdf']);
+
+  upstream.meta['2026-01'].push(gazette('c'));
+  const second = notifier();
+  const [, entry] = await watcher.poll(second, { baseline: false, text: false });
+
+  assert.equal(entry.added, 1);
+  assert.deepEqual(second.sent.map(s => [s.file, s.only, s.downloaded]), [['c.pdf', null, true]]);
+  assert.deepEqual(calls.events, ['c.pdf']);
+  assert.ok(stored.get('2026-01').has('c.pdf'));
+  assert.deepEqual(loadWatchState(dir).months['2026-01'].seen.sort(), ['b.pdf', 'c.pdf']);
+  assert.deepEqual(readRuns(dir).map(r => [r.mode, r.totalNew]), [['watch', 0], ['watch', 1]]);
+});
+
+test('createWatcher: retries only the failed actions, keeping the detection time', async (t) => {
+  const dir = tempDir(t);
+  const { watcher, upstream } = setup(dir);
+  await watcher.poll(notifier(), { baseline: true, text: false });
+  upstream.meta['2025-12'].push(gazette('new'));
+
+  const failing = notifier(['webhook']);
+  const [entry] = await watcher.poll(failing, { baseline: false, text: false });
+  assert.equal(entry.added, 1);
+  const { retry } = loadWatchState(dir).months['2025-12'];
+  assert.deepEqual(retry['new.pdf'].actions, ['webhook']);
+
+  const next = notifier();
+  const [retried] = await watcher.poll(next, { baseline: false, text: false });
+  assert.deepEqual([retried.added, retried.retried], [0, 1]);
+  assert.deepEqual(next.sent.map(s => [s.file, s.only, s.detectedAt]), [['new.pdf', ['webhook'], failing.sent[0].detectedAt]]);
+  assert.deepEqual(loadWatchState(dir).months['2025-12'].retry, {});
+
+  const quiet = notifier();
+  await watcher.poll(quiet, { baseline: false, text: false });
+  assert.deepEqual(quiet.sent, []);
+});
+
+test('createWatcher: months synced before they were watched start from their local meta', async (t) => {
+  const dir = tempDir(t);
+  const { watcher, upstream } = setup(dir);
+  fs.mkdirSync(path.dirname(metaPathOf(dir, '2026-01')), { recursive: true });
+  fs.writeFileSync(metaPathOf(dir, '2026-01'), toJsonl(upstream.meta['2026-01']));
+  upstream.meta['2026-01'].push(gazette('since'));
+
+  const sent = notifier();
+  await watcher.poll(sent, { baseline: true, text: false });
+
+  // Even on the baseline poll, what appeared since the local sync is announced
+  assert.deepEqual(sent.sent.map(s => s.file), ['since.pdf']);
+});
+
+test('createWatcher: records left out by the filter are taken in without firing', async (t) => {
+  const dir = tempDir(t);
+  const filter = { test: (record) => record.section === 'ก' };
+  const { watcher, upstream } = setup(dir, { filter });
+  await watcher.poll(notifier(), { baseline: true, text: false });
+  upstream.meta['2026-01'].push(gazette('kept', { section: 'ก' }), gazette('other', { section: 'ข' }));
+
+  const sent = notifier();
+  await watcher.poll(sent, { baseline: false, text: false });
+
+  assert.deepEqual(sent.sent.map(s => s.file), ['kept.pdf']);
+  assert.ok(loadWatchState(dir).months['2026-01'].seen.includes('other.pdf'));
+});
+
+test('createWatcher: drops months that are no longer hot once nothing is left to retry', async (t) => {
+  const dir = tempDir(t);
+  const { watcher, upstream } = setup(dir);
+  await watcher.poll(notifier(), { baseline: true, text: false });
+
+  upstream.inventory.push({ month: '2026-02', pdf: true });
+  upstream.meta['2026-02'] = [gazette('feb')];
+  await watcher.poll(notifier(), { baseline: false, text: false });
+
+  assert.deepEqual(Object.keys(loadWatchState(dir).months).sort(), ['2026-01', '2026-02']);
+});
+
+test('createWatcher: fails a poll when no hot month is listed', async (t) => {
+  const { watcher, upstream } = setup(tempDir(t));
+  upstream.inventory = [];
+  await assert.rejects(watcher.poll(notifier(), { baseline: true, text: false }), { message: 'No hot months listed upstream' });
+});
+
+test('runWatch: backs off after failed polls and resets on success', async () => {
+  const controller = new AbortController();
+  const outcomes = ['fail', 'fail', 'ok', 'ok'];
+  const polls = [];
+  const sleeps = [];
+
+  await runWatch({ interval: 1000, notifier: notifier(), source: { description: 'test' }, signal: controller.signal }, {
+    poll: async ({ baseline }) => {
+      polls.push(baseline);
+      if (polls.length === outcomes.length) controller.abort();
+      if (outcomes[polls.length - 1] === 'fail') throw new Error('upstream down');
+    },
+    sleep: async (ms) => sleeps.push(ms),
+    log: () => {},
+    logError: () => {},
+  });
+
+  // Failed polls don't count: the first successful one is the baseline
+  assert.deepEqual(polls, [true, true, true, false]);
+  assert.deepEqual(sleeps, [2000, 4000, 1000]);
+});
+
+test('runWatch: caps the backoff at an hour, or the interval when longer', async () => {
+  for (const [interval, cap] of [[20 * 60 * 1000, MAX_WATCH_BACKOFF], [2 * MAX_WATCH_BACKOFF, 2 * MAX_WATCH_BACKOFF]]) {
+    const controller = new AbortController();
+    const sleeps = [];
+    await runWatch({ interval, notifier: notifier(), source: { description: 'test' }, signal: controller.signal }, {
+      poll: async () => { throw new Error('down'); },
+      sleep: async (ms) => {
+        sleeps.push(ms);
+        if (sleeps.length === 3) controller.abort();
+      },
+      log: () => {},
+      logError: () => {},
+    });
+    assert.ok(sleeps.every(ms => ms <= cap) && sleeps.at(-1) === cap, `${interval}: ${sleeps}`);
+  }
+});
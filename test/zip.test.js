@@ -0,0 +1,240 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { createExtractor, readCentralDirectory, extractEntry, crc32, isUnsafeName, safeJoin, PART_SUFFIX } = require('../lib/zip');
+const { buildZip } = require('./fixtures/build-zip');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Stream `archive` through an extractor in `chunkSize` pieces, so headers and
+// descriptors straddle chunk boundaries
+async function extract(archive, destDir, options = {}, chunkSize = 7) {
+  const extractor = createExtractor(destDir, options);
+  for (let i = 0; i < archive.length; i += chunkSize) {
+    if (!extractor.write(archive.subarray(i, i + chunkSize))) await once(extractor, 'drain');
+  }
+  extractor.end();
+  await once(extractor, 'finish');
+  return extractor;
+}
+
+const statuses = (extractor) => extractor.entries.map(e => [e.name, e.status]);
+const PDF = '%PDF-1.4\n' + 'x'.repeat(500) + '\n%%EOF\n';
+
+test('isUnsafeName / safeJoin: reject names that escape the target', (t) => {
+  for (const name of ['../x.pdf', 'a/../../x.pdf', '/etc/passwd', 'C:/x.pdf', '..\\x.pdf', 'a\0b']) {
+    assert.equal(isUnsafeName(name), true, name);
+  }
+  assert.equal(isUnsafeName('2025/a..b.pdf'), false);
+
+  const dir = tempDir(t);
+  assert.equal(safeJoin(dir, 'sub/a.pdf'), path.join(dir, 'sub', 'a.pdf'));
+  assert.throws(() => safeJoin(dir, '../a.pdf'), /unsafe path: \.\.\/a\.pdf/);
+  assert.throws(() => safeJoin(dir, ''), /unsafe path/);
+});
+
+test('createExtractor: extracts stored and deflated entries', async (t) => {
+  const dir = tempDir(t);
+  const archive = buildZip([
+    { name: 'a.pdf', data: PDF },
+    { name: 'sub/', data: '' },
+    { name: 'sub/b.pdf', data: PDF.repeat(3), deflate: true },
+  ]);
+
+  const extractor = await extract(archive, dir);
+
+  assert.equal(extractor.archiveError, null);
+  assert.deepEqual(statuses(extractor), [['a.pdf', 'extracted'], ['sub/b.pdf', 'extracted']]);
+  assert.equal(fs.readFileSync(path.join(dir, 'a.pdf'), 'utf8'), PDF);
+  assert.equal(fs.readFileSync(path.join(dir, 'sub', 'b.pdf'), 'utf8'), PDF.repeat(3));
+});
+
+test('createExtractor: rejects zip-slip entries and extracts the rest', async (t) => {
+  const root = tempDir(t);
+  const dir = path.join(root, 'out');
+  const archive = buildZip([
+    { name: '../evil.pdf', data: 'evil' },
+    { name: 'ok.pdf', data: PDF },
+  ]);
+
+  const extractor = await extract(archive, dir);
+
+  assert.deepEqual(statuses(extractor), [['../evil.pdf', 'failed'], ['ok.pdf', 'extracted']]);
+  assert.match(extractor.entries[0].error, /unsafe path/);
+  assert.equal(fs.existsSync(path.join(root, 'evil.pdf')), false);
+  assert.equal(fs.existsSync(path.join(dir, 'ok.pdf')), true);
+});
+
+test('createExtractor: fails an entry whose CRC-32 does not match and leaves no file', async (t) => {
+  const dir = tempDir(t);
+  const archive = buildZip([
+    { name: 'bad.pdf', data: PDF, deflate: true, crc: 0x12345678 },
+    { name: 'good.pdf', data: PDF },
+  ]);
+
+  const extractor = await extract(archive, dir);
+
+  assert.deepEqual(statuses(extractor), [['bad.pdf', 'failed'], ['good.pdf', 'extracted']]);
+  assert.match(extractor.entries[0].error, /CRC mismatch/);
+  assert.deepEqual(fs.readdirSync(dir), ['good.pdf']);
+});
+
+test('createExtractor: reads sizes and CRC from data descriptors', async (t) => {
+  const dir = tempDir(t);
+  const archive = buildZip([
+    { name: 'stored.pdf', data: PDF, descriptor: true },
+    { name: 'deflated.pdf', data: PDF.repeat(2), deflate: true, descriptor: true },
+    { name: 'last.pdf', data: 'tail' },
+  ]);
+
+  const extractor = await extract(archive, dir);
+
+  assert.equal(extractor.archiveError, null);
+  assert.deepEqual(statuses(extractor), [['stored.pdf', 'extracted'], ['deflated.pdf', 'extracted'], ['last.pdf', 'extracted']]);
+  assert.equal(fs.readFileSync(path.join(dir, 'stored.pdf'), 'utf8'), PDF);
+  assert.equal(fs.readFileSync(path.join(dir, 'deflated.pdf'), 'utf8'), PDF.repeat(2));
+  assert.equal(extractor.entries[1].size, PDF.length * 2);
+});
+
+test('createExtractor: reads ZIP64 sizes from extra fields and descriptors', async (t) => {
+  const dir = tempDir(t);
+  const archive = buildZip([
+    { name: 'a.pdf', data: PDF, zip64: true },
+    { name: 'b.pdf', data: PDF, deflate: true, zip64: true, descriptor: true },
+    { name: 'c.pdf', data: PDF, zip64: true, descriptor: true },
+  ], { zip64: true });
+
+  const extractor = await extract(archive, dir);
+
+  assert.equal(extractor.archiveError, null);
+  assert.deepEqual(statuses(extractor), [['a.pdf', 'extracted'], ['b.pdf', 'extracted'], ['c.pdf', 'extracted']]);
+  for (const name of ['a.pdf', 'b.pdf', 'c.pdf']) {
+    assert.equal(fs.readFileSync(path.join(dir, name), 'utf8'), PDF);
+  }
+});
+
+test('createExtractor: keeps existing files and honours filter and mapName', async (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'A.PDF'), PDF);
+  const archive = buildZip([
+    { name: 'a.pdf', data: PDF },
+    { name: 'b.pdf', data: PDF },
+    { name: 'notes.txt', data: 'skip me' },
+  ]);
+
+  const extractor = await extract(archive, dir, {
+    filter: name => name.endsWith('.pdf'),
+    mapName: name => name.toUpperCase(),
+  });
+
+  assert.deepEqual(statuses(extractor), [['a.pdf', 'existing'], ['b.pdf', 'extracted']]);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['A.PDF', 'B.PDF']);
+});
+
+test('createExtractor: reports a truncated archive and removes the partial entry', async (t) => {
+  const dir = tempDir(t);
+  const archive = buildZip([{ name: 'a.pdf', data: PDF }, { name: 'b.pdf', data: PDF }]);
+  const cut = archive.indexOf('b.pdf') + 'b.pdf'.length + 100;
+
+  const extractor = await extract(archive.subarray(0, cut), dir);
+
+  assert.equal(extractor.archiveError, 'archive truncated before the central directory');
+  assert.deepEqual(statuses(extractor), [['a.pdf', 'extracted'], ['b.pdf', 'failed']]);
+  assert.equal(extractor.entries[1].error, 'archive truncated');
+  assert.equal(fs.existsSync(path.join(dir, `b.pdf${PART_SUFFIX}`)), false);
+});
+
+// Range callbacks over an in-memory archive, recording the ranges asked for
+function rangeReader(archive) {
+  const ranges = [];
+  return {
+    ranges,
+    readRange: async (start, end) => {
+      ranges.push([start, end]);
+      return archive.subarray(start, end + 1);
+    },
+    streamRange: async (start, end) => {
+      ranges.push([start, end]);
+      const data = archive.subarray(start, end + 1);
+      return (async function* () {
+        for (let i = 0; i < data.length; i += 64) yield data.subarray(i, i + 64);
+      })();
+    },
+  };
+}
+
+test('readCentralDirectory: lists entries past an archive comment', async () => {
+  const archive = buildZip([
+    { name: 'a.pdf', data: PDF },
+    { name: 'dir/', data: '' },
+    { name: 'b.pdf', data: PDF, deflate: true, descriptor: true },
+  ], { comment: 'month archive' });
+  const { readRange } = rangeReader(archive);
+
+  const entries = await readCentralDirectory(archive.length, readRange);
+
+  assert.deepEqual(entries.map(e => [e.name, e.method, e.uncompressedSize]), [['a.pdf', 0, PDF.length], ['b.pdf', 8, PDF.length]]);
+  assert.equal(entries[0].localHeaderOffset, 0);
+  assert.equal(entries[1].crc, crc32(Buffer.from(PDF)));
+});
+
+test('readCentralDirectory: follows the ZIP64 locator and extra fields', async () => {
+  const archive = buildZip([{ name: 'a.pdf', data: PDF }, { name: 'b.pdf', data: PDF, zip64: true }], { zip64: true });
+  const { readRange } = rangeReader(archive);
+
+  const entries = await readCentralDirectory(archive.length, readRange);
+
+  assert.deepEqual(entries.map(e => [e.name, e.zip64, e.compressedSize]), [['a.pdf', false, PDF.length], ['b.pdf', true, PDF.length]]);
+  assert.equal(entries[1].localHeaderOffset, archive.indexOf('b.pdf') - 30);
+});
+
+test('readCentralDirectory: rejects data without an end record', async () => {
+  const { readRange } = rangeReader(Buffer.alloc(100));
+  await assert.rejects(readCentralDirectory(100, readRange), /end of central directory not found/);
+});
+
+test('extractEntry: extracts one entry by range without reading the others', async (t) => {
+  const dir = tempDir(t);
+  const big = 'y'.repeat(5000);
+  const archive = buildZip([
+    { name: 'a.pdf', data: big },
+    { name: 'b.pdf', data: PDF.repeat(4), deflate: true, descriptor: true },
+  ]);
+  const reader = rangeReader(archive);
+  const entries = await readCentralDirectory(archive.length, reader.readRange);
+  reader.ranges.length = 0;
+
+  const size = await extractEntry(entries[1], path.join(dir, 'b.pdf'), reader);
+
+  assert.equal(size, PDF.length * 4);
+  assert.equal(fs.readFileSync(path.join(dir, 'b.pdf'), 'utf8'), PDF.repeat(4));
+  assert.ok(reader.ranges.every(([start]) => start >= entries[1].localHeaderOffset), 'read bytes of another entry');
+});
+
+test('extractEntry: leaves nothing behind on a CRC mismatch', async (t) => {
+  const dir = tempDir(t);
+  const archive = buildZip([{ name: 'a.pdf', data: PDF, crc: 1 }]);
+  const reader = rangeReader(archive);
+  const [entry] = await readCentralDirectory(archive.length, reader.readRange);
+
+  await assert.rejects(extractEntry(entry, path.join(dir, 'a.pdf'), reader), /CRC mismatch/);
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test('extractEntry: refuses zip-slip names before reading any data', async (t) => {
+  const dir = tempDir(t);
+  const archive = buildZip([{ name: '../a.pdf', data: PDF }]);
+  const reader = rangeReader(archive);
+  const [entry] = await readCentralDirectory(archive.length, reader.readRange);
+  reader.ranges.length = 0;
+
+  await assert.rejects(extractEntry(entry, path.join(dir, 'a.pdf'), reader), /unsafe path/);
+  assert.deepEqual(reader.ranges, []);
+});